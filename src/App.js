@@ -1,701 +1,834 @@
-import React, { useState, useEffect } from "react";
-import Papa from "papaparse";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import SchemaPanel from "./components/SchemaPanel";
+import ParseProgress from "./components/ParseProgress";
+import ImportDialog from "./components/ImportDialog";
+import DataSourcePanel from "./components/DataSourcePanel";
+import DatasetManager from "./components/DatasetManager";
+import FormulaPanel from "./components/FormulaPanel";
+import ChartPanel from "./components/ChartPanel";
+import ViewSpecPanel from "./components/ViewSpecPanel";
+import StatsPanel from "./components/StatsPanel";
+import WorkspacePanel from "./components/WorkspacePanel";
+import { resolveColumnSchema } from "./utils/schema";
+import { parseDataFile } from "./utils/parseFile";
+import { detectImportOptions, readPreview } from "./utils/importers";
 import {
-  LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
-  AreaChart, Area, ScatterChart, Scatter, PieChart, Pie, Cell
-} from "recharts";
+  mergeDatasets, datasetSchema, hasColumnText, setColumnSchema, reloadDataset, uniqueDatasetName,
+  joinCandidates, resolveJoinColumn, renameColumn
+} from "./utils/datasets";
+import { addComputedColumns, computeColumn, renameReferences, COMPUTED_SOURCE } from "./utils/formula";
+import { resolveStyle } from "./utils/seriesStyle";
+import { LOCALES } from "./utils/format";
+import { ROW_INDEX_KEY, createView, remapView } from "./utils/views";
+import {
+  createViewSpec, readViewSpec, readViewSpecFile, resolveSpecViews, decodeViewSpec, getSpecHashParam, viewSpecUrl,
+  loadPresets, storePresets
+} from "./utils/viewSpec";
+import { fetchDataFile, fileFromText, getSourceParam, looksTabular } from "./utils/sources";
+import { downloadBlob } from "./utils/download";
+import {
+  isWorkspaceAvailable, newStoreKey, listStoredDatasets, storeDataset, storeSession, loadSession, loadStoredDataset,
+  deleteStoredDataset, storageEstimate
+} from "./utils/workspace";
 
-const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#8dd1e1'];
+// How long the workspace waits for changes to settle before saving them
+const WORKSPACE_SAVE_DELAY = 1000;
 
 function App() {
-  const [data, setData] = useState([]);
-  const [headers, setHeaders] = useState([]);
-  const [chartType, setChartType] = useState("line");
-  const [selectedColumns, setSelectedColumns] = useState([]);
+  // Loaded files: typed arrays and the raw strings they can't stand in for per column, the schema
+  // inferred from them and the user's overrides, plus what's needed to reload them
+  const [datasets, setDatasets] = useState([]);
+  // Dataset whose column types are shown for editing
+  const [activeDatasetId, setActiveDatasetId] = useState(null);
+  const [alignMode, setAlignMode] = useState("x"); // x, row
+  const [joinColumn, setJoinColumn] = useState(null);
+  // Columns computed from formulas over the combined columns, in order: { id, name, formula }
+  const [computedColumns, setComputedColumns] = useState([]);
+  const [parseProgress, setParseProgress] = useState(null);
+  // File waiting in the import dialog, with the options detected or chosen for it
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  // Why the last attempt to load data failed, shown until the next attempt or dismissal
+  const [sourceError, setSourceError] = useState(null);
+  const [isFetchingUrl, setIsFetchingUrl] = useState(false);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  // Chart panels over the combined columns. The single layout shows the active one, the dashboard
+  // shows them all in a grid.
+  const [views, setViews] = useState(() => [createView("view-1")]);
+  const [activeViewId, setActiveViewId] = useState("view-1");
+  const [layout, setLayout] = useState("single"); // single, dashboard
+  const [dashboardColumns, setDashboardColumns] = useState(2);
+  const [syncZoom, setSyncZoom] = useState(false);
+  const [syncHover, setSyncHover] = useState(false);
+  // Last zoom committed in a panel while zooms are synced: { viewId, kind, start, end }
+  const [syncedZoom, setSyncedZoom] = useState(null);
   const [darkMode, setDarkMode] = useState(false);
-  const [zoomDomain, setZoomDomain] = useState({ start: 0, end: 10 });
-  const [xAxisStrategy, setXAxisStrategy] = useState("auto"); // auto, sparse, sample, none
+  // Locale of numbers and dates on the charts; empty follows the browser
+  const [locale, setLocale] = useState("");
+  // Saved view specs by name, and the outcome of the last save, restore or share
+  const [presets, setPresets] = useState(loadPresets);
+  const [specMessage, setSpecMessage] = useState(null);
+  // Datasets saved in the browser, the storage used, and the outcome of the last workspace action.
+  // Nothing is saved until the last session has been restored, so it isn't overwritten first.
+  const [storedDatasets, setStoredDatasets] = useState([]);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [workspaceMessage, setWorkspaceMessage] = useState(null);
+  const [isWorkspaceReady, setIsWorkspaceReady] = useState(false);
 
   useEffect(() => {
     const html = document.documentElement;
     darkMode ? html.classList.add("dark") : html.classList.remove("dark");
   }, [darkMode]);
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: true,
-      complete: (results) => {
-        // Trim all string values in every row & every column
-        const cleanedData = results.data.map(row => {
-          const trimmedRow = {};
-          Object.entries(row).forEach(([key, val]) => {
-            trimmedRow[key] = typeof val === "string" ? val.trim() : val;
-          });
-          return trimmedRow;
-        });
-        setData(cleanedData);
+  // Cancels the parse in flight, if any
+  const cancelParseRef = useRef(null);
+  useEffect(() => () => {
+    if (cancelParseRef.current) cancelParseRef.current();
+  }, []);
 
-        if (results.data.length > 0) {
-          const cols = Object.keys(results.data[0]);
-          setHeaders(cols);
+  // All datasets combined into one set of columns; a single dataset is used as is
+  const merged = useMemo(
+    () => mergeDatasets(datasets, { align: alignMode, joinColumn }),
+    [datasets, alignMode, joinColumn]
+  );
+  // The combined columns plus the computed ones, which then behave like any other column
+  const { table: combined, errors: formulaErrors } = useMemo(
+    () => addComputedColumns(merged, computedColumns),
+    [merged, computedColumns]
+  );
+  const isJoined = datasets.length > 1 && alignMode === "x";
+  const effectiveJoinColumn = resolveJoinColumn(datasets, joinColumn);
+  const activeDataset = datasets.find(ds => ds.id === activeDatasetId) || datasets[0];
+  const activeView = views.find(view => view.id === activeViewId) || views[0];
 
-          // Select the second column by default if exists, else empty
-          setSelectedColumns(cols.length > 1 ? [cols[1]] : []);
+  const isComputedColumn = (col) => Boolean(combined.sources[col]) && combined.sources[col].datasetId === COMPUTED_SOURCE;
+  // Joined datasets are plotted against their join column, or a computed column
+  const joinOptions = isJoined ? [...joinCandidates(datasets), ...combined.headers.filter(isComputedColumn)] : null;
 
-          setZoomDomain({ start: 0, end: cleanedData.length - 1 });
-        }
-      },
-      error: (err) => {
-        console.error("Error parsing CSV:", err);
-      }
-    });
+  // Refresh the import preview whenever the pending file or its options change
+  useEffect(() => {
+    if (!pendingImport) return undefined;
+    let cancelled = false;
+    setImportPreview(null);
+    readPreview(pendingImport.file, pendingImport.options)
+      .then(preview => {
+        if (!cancelled) setImportPreview(preview);
+      })
+      .catch(err => {
+        if (!cancelled) setImportPreview({ error: err.message || String(err) });
+      });
+    return () => { cancelled = true; };
+  }, [pendingImport]);
+
+  const reportSourceError = (prefix, err) => {
+    setSourceError(`${prefix}: ${(err && err.message) || String(err)}`);
   };
 
-  const handleChartTypeChange = (e) => setChartType(e.target.value);
+  // Every source ends up here as a File. Detect its format and dialect, then let the user confirm
+  // them in the import dialog, or import straight away when `confirm` is false. The file becomes a
+  // new dataset, or replaces the one with `datasetId`.
+  const openDataFile = (file, { confirm = true, datasetId = null, url = null } = {}) => {
+    setSourceError(null);
+    detectImportOptions(file)
+      .then(options => {
+        if (confirm) setPendingImport({ file, options, datasetId, url });
+        else startImport(file, options, { datasetId, url });
+      })
+      .catch(err => reportSourceError(`Could not read ${file.name}`, err));
+  };
 
-  const handleColumnToggle = (col) => {
-    setSelectedColumns(prev =>
-      prev.includes(col) ? prev.filter(c => c !== col) : [...prev, col]
-    );
+  const openUrl = (url, options) => {
+    setSourceError(null);
+    setIsFetchingUrl(true);
+    fetchDataFile(url)
+      .then(file => openDataFile(file, { ...options, url }))
+      .catch(err => reportSourceError("Could not load URL", err))
+      .finally(() => setIsFetchingUrl(false));
   };
 
-  // Zoom In: Shrink range by removing 1/4th from both ends
-  const handleZoomIn = () => {
-    setZoomDomain(prev => {
-      const range = prev.end - prev.start;
-      if (range <= 2) return prev; // Prevent zooming in too far
-      const increment = Math.ceil(range / 4);
-      const newStart = prev.start + increment;
-      const newEnd = prev.end - increment;
-      if (newStart >= newEnd) return prev; // Prevent invalid range
-      return {
-        start: newStart,
-        end: newEnd,
-      };
-    });
+  const openText = (text) => {
+    if (!looksTabular(text)) {
+      setSourceError("Pasted text doesn't look like a table: expected several lines or delimited values.");
+      return;
+    }
+    openDataFile(fileFromText(text));
   };
 
-  // Zoom Out: Expand range by adding half of current range to ends
-  const handleZoomOut = () => {
-    setZoomDomain(prev => {
-      const range = prev.end - prev.start;
-      const increment = Math.ceil(range / 2);
-      const newStart = Math.max(0, prev.start - increment);
-      const newEnd = Math.min(data.length - 1, prev.end + increment);
-      return {
-        start: newStart,
-        end: newEnd,
-      };
-    });
+  // Apply the view in the link's #view= once on startup; it waits for the data
+  const applySpecRef = useRef(null);
+  const pendingSpecRef = useRef(null);
+  useEffect(() => {
+    const encoded = getSpecHashParam();
+    if (!encoded) return;
+    try {
+      applySpecRef.current(decodeViewSpec(encoded));
+    } catch (err) {
+      setSpecMessage({ type: "error", text: err.message });
+    }
+  }, []);
+
+  // Load the dataset linked with ?src= once on startup, without the import dialog
+  const openUrlRef = useRef(openUrl);
+  openUrlRef.current = openUrl;
+  useEffect(() => {
+    const src = getSourceParam();
+    if (src) openUrlRef.current(src, { confirm: false });
+  }, []);
+
+  // Pasting outside of form fields imports a copied file or table
+  const pasteHandlerRef = useRef(null);
+  pasteHandlerRef.current = (e) => {
+    const target = e.target;
+    if (target.closest && target.closest("input, textarea, select, [contenteditable='true']")) return;
+    const file = e.clipboardData.files[0];
+    const text = e.clipboardData.getData("text/plain");
+    if (file) {
+      e.preventDefault();
+      openDataFile(file);
+    } else if (looksTabular(text)) {
+      e.preventDefault();
+      openText(text);
+    }
+  };
+  useEffect(() => {
+    const listener = (e) => pasteHandlerRef.current(e);
+    document.addEventListener("paste", listener);
+    return () => document.removeEventListener("paste", listener);
+  }, []);
+
+  // Drop a file anywhere on the page. Nested elements fire enter/leave pairs, so count them.
+  const dragDepthRef = useRef(0);
+  const isFileDrag = (e) => Array.from(e.dataTransfer.types || []).includes("Files");
+
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDraggingFile(true);
   };
 
-  const handleResetZoom = () => {
-    setZoomDomain({ start: 0, end: data.length - 1 });
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
   };
 
-  // Calculate data ranges for better Y-axis scaling
-  const getDataRange = (data, column) => {
-    const values = data.map(d => Number(d[column])).filter(v => !isNaN(v));
-    if (values.length === 0) return [0, 100];
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const padding = (max - min) * 0.1;
-    return [min - padding, max + padding];
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setIsDraggingFile(false);
   };
 
-  // Smart interval calculation for X-axis ticks
-  const calculateTickInterval = (dataLength, chartWidth = 800) => {
-    const maxTicks = Math.floor(chartWidth / 100); // Assume each tick needs ~100px for readability
-    
-    if (dataLength <= maxTicks) {
-      return 0; // Show all ticks
-    }
-    
-    // Calculate interval to show approximately maxTicks
-    const interval = Math.ceil(dataLength / maxTicks);
-    return interval - 1; // Recharts uses 0-based interval
-  };
-
-  // Sample data for better performance with large datasets
-  const sampleData = (data, maxPoints = 1000) => {
-    if (data.length <= maxPoints) return data;
-    
-    const step = Math.ceil(data.length / maxPoints);
-    const sampled = [];
-    
-    for (let i = 0; i < data.length; i += step) {
-      sampled.push(data[i]);
-    }
-    
-    // Always include the last point
-    if (sampled[sampled.length - 1] !== data[data.length - 1]) {
-      sampled.push(data[data.length - 1]);
-    }
-    
-    return sampled;
-  };
-
-  // Render Y axes for all selected columns, with better scaling
-  const renderYAxes = (chartData) => selectedColumns.map((col, i) => {
-    const [min, max] = getDataRange(chartData, col);
-    return (
-      <YAxis
-        key={col}
-        yAxisId={col}
-        orientation={i % 2 === 0 ? 'left' : 'right'}
-        stroke={COLORS[i % COLORS.length]}
-        domain={[min, max]}
-        allowDataOverflow={false}
-        tickFormatter={(value) => formatValue(value)}
-      />
-    );
-  });
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDraggingFile(false);
+    const file = e.dataTransfer.files[0];
+    if (file) openDataFile(file);
+  };
 
-  const renderLines = () => selectedColumns.map((col, i) => (
-    <Line
-      key={col}
-      yAxisId={col}
-      type="monotone"
-      dataKey={col}
-      stroke={COLORS[i % COLORS.length]}
-      strokeWidth={2}
-      dot={false}
-      isAnimationActive={false}
-      connectNulls={false}
-    />
-  ));
-
-  const renderBars = () => selectedColumns.map((col, i) => (
-    <Bar
-      key={col}
-      yAxisId={col}
-      dataKey={col}
-      fill={COLORS[i % COLORS.length]}
-      isAnimationActive={false}
-    />
-  ));
-
-  const renderAreas = () => selectedColumns.map((col, i) => (
-    <Area
-      key={col}
-      yAxisId={col}
-      dataKey={col}
-      fill={COLORS[i % COLORS.length]}
-      stroke={COLORS[i % COLORS.length]}
-      fillOpacity={0.6}
-      isAnimationActive={false}
-      connectNulls={false}
-    />
-  ));
-
-  const renderScatters = () => selectedColumns.map((col, i) => (
-    <Scatter
-      key={col}
-      yAxisId={col}
-      dataKey={col}
-      fill={COLORS[i % COLORS.length]}
-      isAnimationActive={false}
-    />
-  ));
-
-  // Analyze the X-axis column to determine data pattern and create descriptive name
-  const analyzeXAxisColumn = () => {
-    if (!data.length || !headers.length) return headers[0] || "X-Axis";
-    
-    const columnName = headers[0];
-    const values = data.map(row => row[columnName]).filter(val => val != null);
-    
-    if (values.length === 0) return columnName;
-    
-    // Check if values are dates
-    const dateValues = values.filter(val => val instanceof Date || !isNaN(Date.parse(val)));
-    if (dateValues.length > values.length * 0.8) {
-      return `${columnName} (Timeline)`;
-    }
-    
-    // Check if values are numeric
-    const numericValues = values.filter(val => !isNaN(Number(val)));
-    if (numericValues.length > values.length * 0.8) {
-      const nums = numericValues.map(val => Number(val));
-      const min = Math.min(...nums);
-      const max = Math.max(...nums);
-      const range = max - min;
-      
-      if (range === 0) {
-        return `${columnName} (Constant: ${min})`;
-      } else if (nums.length > 1) {
-        // Check if it's a sequence (like years, months, etc.)
-        const sorted = [...nums].sort((a, b) => a - b);
-        const differences = [];
-        for (let i = 1; i < sorted.length; i++) {
-          differences.push(sorted[i] - sorted[i-1]);
-        }
-        const avgDiff = differences.reduce((sum, diff) => sum + diff, 0) / differences.length;
-        
-        if (avgDiff > 0 && avgDiff < 1) {
-          return `${columnName} (Range: ${min.toFixed(2)} - ${max.toFixed(2)})`;
-        } else if (Number.isInteger(avgDiff) && avgDiff > 0) {
-          return `${columnName} (Sequence: +${Math.round(avgDiff)})`;
-        } else {
-          return `${columnName} (Range: ${min} - ${max})`;
+  const handleImportOptionsChange = (patch) => {
+    setPendingImport(prev => ({ ...prev, options: { ...prev.options, ...patch } }));
+  };
+
+  const handleImportConfirm = () => {
+    const { file, options, datasetId, url } = pendingImport;
+    setPendingImport(null);
+    startImport(file, options, { datasetId, url });
+  };
+
+  // A dataset loaded again is read with its type overrides, or with `schemaOverrides` when given
+  const startImport = (file, options, { datasetId = null, url = null, schemaOverrides = null } = {}) => {
+    if (cancelParseRef.current) cancelParseRef.current();
+
+    const existing = datasetId && datasets.find(ds => ds.id === datasetId);
+    const overrides = schemaOverrides || (existing ? existing.schemaOverrides : {});
+    setParseProgress({ fileName: file.name, rows: 0, bytes: 0, totalBytes: file.size });
+    cancelParseRef.current = parseDataFile(file, { ...options, schemaOverrides: overrides }, {
+      onProgress: (progress) => {
+        setParseProgress(prev => prev && { ...prev, ...progress });
+      },
+      onComplete: (result) => {
+        cancelParseRef.current = null;
+        setParseProgress(null);
+        if (result.rowCount === 0) {
+          setSourceError(`No data rows found in ${file.name}. Check the import options.`);
+          return;
         }
-      }
-    }
-    
-    // Check if values are categorical (strings with repetition)
-    const uniqueValues = [...new Set(values)];
-    if (uniqueValues.length < values.length * 0.5 && uniqueValues.length > 1) {
-      return `${columnName} (${uniqueValues.length} Categories)`;
-    }
-    
-    // Default case - just show the column name with data type hint
-    const sampleValue = values[0];
-    if (typeof sampleValue === 'string') {
-      return `${columnName} (Text)`;
-    }
-    
-    return columnName;
-  };
-
-  // Custom tick formatter for X-axis to handle long labels and dates
-  const formatXAxisTick = (value) => {
-    if (!value) return "—";
-    
-    // Handle Date objects or date strings
-    let dateObj = null;
-    if (value instanceof Date) {
-      dateObj = value;
-    } else if (typeof value === 'string' && !isNaN(Date.parse(value))) {
-      dateObj = new Date(value);
-    }
-    
-    if (dateObj && !isNaN(dateObj.getTime())) {
-      // Check if the date has time information (not just midnight)
-      const hasTime = dateObj.getHours() !== 0 || dateObj.getMinutes() !== 0 || dateObj.getSeconds() !== 0;
-      
-      if (hasTime) {
-        // Show date and time
-        return dateObj.toLocaleString('en-US', { 
-          month: 'short', 
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: false
-        });
-      } else {
-        // Show just date
-        return dateObj.toLocaleDateString('en-US', { 
-          month: 'short', 
-          day: 'numeric',
-          year: '2-digit'
+        // Kept so the dataset can be reloaded later
+        const source = { fileName: file.name, file, options, url };
+        const id = datasetId || `dataset-${nextDatasetIdRef.current++}`;
+        setDatasets(prev => {
+          const existing = prev.find(ds => ds.id === id);
+          if (existing) return prev.map(ds => (ds === existing ? reloadDataset(ds, result, source) : ds));
+          const name = uniqueDatasetName(file.name, prev.map(ds => ds.name));
+          return [...prev, { ...result, ...source, id, name, storeKey: newStoreKey() }];
         });
+        setActiveDatasetId(id);
+      },
+      onError: (err) => {
+        cancelParseRef.current = null;
+        setParseProgress(null);
+        reportSourceError(`Could not parse ${file.name}`, err);
       }
+    });
+  };
+
+  const nextDatasetIdRef = useRef(1);
+
+  const handleReloadDataset = (id) => {
+    const ds = datasets.find(d => d.id === id);
+    if (ds.url) openUrl(ds.url, { confirm: false, datasetId: id });
+    else startImport(ds.file, ds.options, { datasetId: id });
+  };
+
+  const handleReplaceDataset = (id, file) => openDataFile(file, { datasetId: id });
+
+  const handleRemoveDataset = (id) => {
+    setDatasets(prev => prev.filter(ds => ds.id !== id));
+  };
+
+  const handleRenameDataset = (id, name) => {
+    setDatasets(prev => prev.map(ds => (
+      ds.id === id ? { ...ds, name: uniqueDatasetName(name, prev.filter(d => d.id !== id).map(d => d.name)) } : ds
+    )));
+  };
+
+  // A new computed column is checked against the current columns first; returns why it can't be
+  // added, or null
+  const handleAddComputedColumn = (name, formula) => {
+    if (!name) return "Give the column a name";
+    if (combined.headers.includes(name) || computedColumns.some(c => c.name === name)) {
+      return `There is already a column named "${name}"`;
     }
-    
-    // Handle strings
-    if (typeof value === 'string' && value.length > 8) {
-      return value.substring(0, 6) + '...';
-    }
-    
-    return String(value);
-  };
-
-  // Format values for display, handling different data types
-  const formatValue = (value) => {
-    if (!value && value !== 0) return "—";
-    
-    // Handle Date objects or date strings
-    let dateObj = null;
-    if (value instanceof Date) {
-      dateObj = value;
-    } else if (typeof value === 'string' && !isNaN(Date.parse(value))) {
-      dateObj = new Date(value);
+    try {
+      computeColumn(formula, combined);
+    } catch (err) {
+      return err.message;
     }
-    
-    if (dateObj && !isNaN(dateObj.getTime())) {
-      // Check if the date has time information
-      const hasTime = dateObj.getHours() !== 0 || dateObj.getMinutes() !== 0 || dateObj.getSeconds() !== 0;
-      
-      if (hasTime) {
-        return dateObj.toLocaleString('en-US', {
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit',
-          hour12: false
-        });
-      } else {
-        return dateObj.toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        });
-      }
+    const id = computedColumns.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+    setComputedColumns(prev => [...prev, { id, name, formula }]);
+    updateView(activeView.id)(view => ({ ...view, selectedColumns: [...view.selectedColumns, name] }));
+    return null;
+  };
+
+  // Renaming a computed column also renames it in the formulas that use it
+  const handleUpdateComputedColumn = (id, patch) => {
+    setComputedColumns(prev => {
+      const { name: from } = prev.find(c => c.id === id);
+      const rename = (name) => (patch.name && name === from ? patch.name : null);
+      return prev.map(c => (c.id === id ? { ...c, ...patch } : { ...c, formula: renameReferences(c.formula, rename) }));
+    });
+  };
+
+  const handleRemoveComputedColumn = (id) => {
+    const { name } = computedColumns.find(c => c.id === id);
+    setComputedColumns(prev => prev.filter(c => c.id !== id));
+    setViews(prev => prev.map(view => ({
+      ...view,
+      selectedColumns: view.selectedColumns.filter(col => col !== name),
+      xColumn: view.xColumn === name ? ROW_INDEX_KEY : view.xColumn,
+    })));
+  };
+
+  // Keep every view pointing at the same dataset columns when datasets are added, removed, renamed
+  // or aligned differently, since that changes the combined column names. Computed columns are
+  // carried over the same way when they are renamed, and so are the formulas that use them.
+  const previousMergeRef = useRef(combined);
+  useEffect(() => {
+    const previous = previousMergeRef.current;
+    previousMergeRef.current = combined;
+    if (previous === combined) return;
+    const from = previous.sources;
+    const to = combined.sources;
+    const names = Object.keys(to);
+
+    // The first dataset is joined on its first column, which the views plot against, unless a view
+    // is waiting to be applied to it
+    if (!Object.keys(from).length && names.length) setJoinColumn(to[names[0]].column);
+    if (pendingSpecRef.current && names.length) {
+      const spec = pendingSpecRef.current;
+      pendingSpecRef.current = null;
+      applySpecRef.current(spec);
+      return;
     }
-    
-    if (typeof value === 'number') {
-      return value.toFixed(2);
+    setViews(prev => prev.map(view => remapView(view, previous, combined)));
+    setComputedColumns(prev => {
+      const next = prev.map(c => ({ ...c, formula: renameReferences(c.formula, name => renameColumn(name, from, to)) }));
+      return next.every((c, i) => c.formula === prev[i].formula) ? prev : next;
+    });
+  }, [combined]);
+
+  const handleCancelParse = () => {
+    if (cancelParseRef.current) cancelParseRef.current();
+    cancelParseRef.current = null;
+    setParseProgress(null);
+  };
+
+  // Type overrides apply to the dataset selected in the dataset manager
+  const updateActiveDataset = (update) => {
+    setDatasets(prev => prev.map(ds => (ds.id === activeDataset.id ? update(ds) : ds)));
+  };
+
+  // Text and category columns are retyped from their text. The others keep only part of it, so
+  // their file is read again with the new override (null restores the inferred type).
+  const overrideColumnSchema = (col, columnSchema) => {
+    if (hasColumnText(activeDataset, col)) {
+      updateActiveDataset(ds => setColumnSchema(ds, col, columnSchema && columnSchema.format === undefined
+        ? resolveColumnSchema(ds.rawColumns[col], columnSchema.type)
+        : columnSchema));
+      return;
     }
-    return String(value);
+    const { id, file, options, url } = activeDataset;
+    const schemaOverrides = { ...activeDataset.schemaOverrides };
+    if (columnSchema) schemaOverrides[col] = columnSchema;
+    else delete schemaOverrides[col];
+    startImport(file, options, { datasetId: id, url, schemaOverrides });
   };
 
-  // Render the chart, supporting normal (zoomed) and full modes
-  const renderChart = (mode = "normal") => {
-    if (!data.length || selectedColumns.length === 0 || headers.length === 0) {
-      return <p className="text-center text-gray-500">Please upload CSV and select columns.</p>;
+  // Overriding a type picks the date format or decimal separator that best fits the column
+  const handleColumnTypeChange = (col, type) => overrideColumnSchema(col, { type });
+
+  const handleColumnFormatChange = (col, format) => overrideColumnSchema(col, { ...datasetSchema(activeDataset)[col], format });
+
+  const handleColumnTypeReset = (col) => overrideColumnSchema(col, null);
+
+  // Views are changed through updaters, like state setters
+  const updateView = (id) => (update) => {
+    setViews(prev => prev.map(view => (view.id === id ? update(view) : view)));
+  };
+
+  const nextViewIdRef = useRef(2);
+  const newViewId = () => `view-${nextViewIdRef.current++}`;
+
+  // A new panel starts as a copy of the active one
+  const handleAddView = () => {
+    const id = newViewId();
+    setViews(prev => [...prev, createView(id, { ...activeView, title: "" })]);
+    setActiveViewId(id);
+    setLayout("dashboard");
+  };
+
+  const handleRemoveView = (id) => {
+    setViews(prev => prev.filter(view => view.id !== id));
+    if (id === activeView.id) setActiveViewId(views.find(view => view.id !== id).id);
+  };
+
+  // Small multiples: replace a view with one per series, all with the Y range given, and zoom and
+  // hover them together
+  const handleSmallMultiples = (id, series, { min, max }) => {
+    const source = views.find(view => view.id === id);
+    const multiples = series.map(({ column, color }) => createView(newViewId(), {
+      ...source,
+      title: resolveStyle(source.seriesStyles[column]).name || column,
+      selectedColumns: [column],
+      seriesStyles: { [column]: { ...source.seriesStyles[column], color, stack: "", axis: "own", min, max } },
+      sharedAxes: {},
+      span: 1,
+    }));
+    setViews(prev => prev.flatMap(view => (view.id === id ? multiples : [view])));
+    setActiveViewId(multiples[0].id);
+    setLayout("dashboard");
+    setSyncZoom(true);
+    setSyncHover(true);
+  };
+
+  const handleSyncZoomChange = (enabled) => {
+    setSyncZoom(enabled);
+    setSyncedZoom(null);
+  };
+
+  // View specs are applied over the loaded datasets, leaving out what refers to columns they don't
+  // have. Before any data is loaded, the spec waits for the first file.
+  const applySpec = (spec) => {
+    if (!datasets.length) {
+      pendingSpecRef.current = spec;
+      setSpecMessage({ type: "info", text: "The view will be applied to the next file loaded." });
+      return;
     }
+    const { headers } = mergeDatasets(datasets, { align: spec.alignMode, joinColumn: spec.joinColumn || joinColumn });
+    const { views: restored, missing } = resolveSpecViews(spec, [...headers, ...spec.computedColumns.map(c => c.name)]);
+    const ids = restored.map(newViewId);
+    setViews(restored.map((view, i) => createView(ids[i], view)));
+    setActiveViewId(ids[spec.activeView]);
+    setLayout(spec.layout);
+    setDashboardColumns(spec.dashboardColumns);
+    setSyncZoom(spec.syncZoom);
+    setSyncHover(spec.syncHover);
+    setSyncedZoom(null);
+    setAlignMode(spec.alignMode);
+    if (spec.joinColumn) setJoinColumn(spec.joinColumn);
+    setComputedColumns(spec.computedColumns);
+    setDarkMode(spec.darkMode);
+    setLocale(spec.locale);
+    setSpecMessage(missing.length
+      ? { type: "warning", text: `These columns are not in the data, so the parts of the view using them were left out: ${missing.join(", ")}` }
+      : null);
+  };
+  applySpecRef.current = applySpec;
 
-    // Slice data based on zoom or show full data
-    let chartData = mode === "full" ? data : data.slice(zoomDomain.start, zoomDomain.end + 1);
-    
-    // For large datasets, apply sampling if needed
-    if (mode === "full" && chartData.length > 2000) {
-      switch (xAxisStrategy) {
-        case "sample":
-          chartData = sampleData(chartData, 1000);
-          break;
-        // For other strategies, we'll handle in X-axis configuration
-      }
+  const tryApplySpec = (readSpec) => {
+    try {
+      applySpec(readSpec());
+    } catch (err) {
+      setSpecMessage({ type: "error", text: err.message });
     }
-    
-    // Get the descriptive X-axis name
-    const xAxisName = analyzeXAxisColumn();
-
-    // Calculate appropriate tick interval based on strategy and data size
-    let tickInterval = 0;
-    let showTicks = true;
-    
-    switch (xAxisStrategy) {
-      case "auto":
-        tickInterval = calculateTickInterval(chartData.length);
-        break;
-      case "sparse":
-        tickInterval = Math.max(Math.ceil(chartData.length / 10), 0);
-        break;
-      case "none":
-        showTicks = false;
-        break;
-      case "sample":
-        tickInterval = 0; // Show all ticks since data is already sampled
-        break;
+  };
+
+  const currentSpec = () => createViewSpec({
+    views, activeViewId: activeView.id, layout, dashboardColumns, syncZoom, syncHover, alignMode,
+    joinColumn: effectiveJoinColumn, computedColumns, darkMode, locale,
+  });
+
+  const updatePresets = (next, success) => {
+    try {
+      storePresets(next);
+      setPresets(next);
+      setSpecMessage(success && { type: "info", text: success });
+    } catch (err) {
+      setSpecMessage({ type: "error", text: err.message });
     }
+  };
 
-    const xAxisProps = {
-      dataKey: headers[0],
-      tickFormatter: showTicks ? formatXAxisTick : () => "",
-      allowDuplicatedCategory: false,
-      interval: tickInterval,
-      angle: showTicks ? -45 : 0,
-      textAnchor: showTicks ? "end" : "middle",
-      height: showTicks ? 100 : 60,
-      tick: showTicks ? { fontSize: 10 } : false,
-      minTickGap: 1,
-      label: { 
-        value: xAxisName, 
-        position: 'insideBottom', 
-        offset: showTicks ? 10 : -20, 
-        textAnchor: 'middle' 
-      }
-    };
-
-    const chartMargin = { top: 20, right: 60, left: 60, bottom: showTicks ? 120 : 80 };
-
-    switch(chartType) {
-      case "line":
-        return (
-          <LineChart data={chartData} margin={chartMargin}>
-            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
-            <XAxis {...xAxisProps} />
-            {renderYAxes(chartData)}
-            <Tooltip 
-              labelFormatter={(value) => `${xAxisName}: ${formatValue(value)}`}
-              formatter={(value, name) => [formatValue(value), name]}
-            />
-            <Legend />
-            {renderLines()}
-          </LineChart>
-        );
-
-      case "bar":
-        return (
-          <BarChart data={chartData} margin={chartMargin}>
-            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
-            <XAxis {...xAxisProps} />
-            {renderYAxes(chartData)}
-            <Tooltip 
-              labelFormatter={(value) => `${xAxisName}: ${formatValue(value)}`}
-              formatter={(value, name) => [formatValue(value), name]}
-            />
-            <Legend />
-            {renderBars()}
-          </BarChart>
-        );
-
-      case "area":
-        return (
-          <AreaChart data={chartData} margin={chartMargin}>
-            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
-            <XAxis {...xAxisProps} />
-            {renderYAxes(chartData)}
-            <Tooltip 
-              labelFormatter={(value) => `${xAxisName}: ${formatValue(value)}`}
-              formatter={(value, name) => [formatValue(value), name]}
-            />
-            <Legend />
-            {renderAreas()}
-          </AreaChart>
-        );
-
-      case "scatter":
-        return (
-          <ScatterChart data={chartData} margin={chartMargin}>
-            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
-            <XAxis 
-              {...xAxisProps}
-              type="category"
-            />
-            {renderYAxes(chartData)}
-            <Tooltip 
-              cursor={{ strokeDasharray: '3 3' }}
-              labelFormatter={(value) => `${xAxisName}: ${formatValue(value)}`}
-              formatter={(value, name) => [formatValue(value), name]}
-            />
-            <Legend />
-            {renderScatters()}
-          </ScatterChart>
-        );
-
-      case "pie":
-        // For pie chart, aggregate data across all rows for selected columns
-        const pieData = selectedColumns.map((col, i) => {
-          const sum = chartData.reduce((acc, row) => {
-            const value = Number(row[col]);
-            return acc + (isNaN(value) ? 0 : value);
-          }, 0);
-          return {
-            name: col,
-            value: sum,
-            color: COLORS[i % COLORS.length],
-          };
-        }).filter(d => d.value > 0);
-
-        // Show warning if no meaningful data
-        if (pieData.length === 0 || pieData.every(d => d.value === 0)) {
-          return <p className="text-center text-gray-500">Selected columns contain no numeric data for Pie Chart.</p>;
+  const handleSavePreset = (name) => {
+    updatePresets({ ...presets, [name]: currentSpec() }, `Saved the view as "${name}".`);
+  };
+
+  const handleDeletePreset = (name) => {
+    const { [name]: deleted, ...rest } = presets;
+    updatePresets(rest, null);
+  };
+
+  const handleExportSpec = () => {
+    downloadBlob(new Blob([JSON.stringify(currentSpec(), null, 2)], { type: "application/json" }), "view.json");
+  };
+
+  const handleImportSpec = (file) => {
+    readViewSpecFile(file)
+      .then(applySpec)
+      .catch(err => setSpecMessage({ type: "error", text: `Could not import ${file.name}: ${err.message}` }));
+  };
+
+  const reportWorkspaceError = (prefix, err) => {
+    setWorkspaceMessage({ type: "error", text: `${prefix}: ${(err && err.message) || String(err)}` });
+  };
+
+  const refreshWorkspace = () => Promise.all([listStoredDatasets(), storageEstimate()])
+    .then(([stored, usage]) => {
+      setStoredDatasets(stored);
+      setStorageUsage(usage);
+    })
+    .catch(err => reportWorkspaceError("Could not read the workspace", err));
+
+  // Columns already saved, by store key, so they are saved again only when reloaded or retyped;
+  // and the keys of datasets that couldn't be saved, left out of the session
+  const savedDataRef = useRef(new Map());
+  const unsavedKeysRef = useRef(new Set());
+  // Saves run one after the other, so an older one can't finish last
+  const saveQueueRef = useRef(Promise.resolve());
+
+  // Save the columns of new, reloaded and retyped datasets, then the names and charts of all of
+  // them as the session to restore
+  const saveWorkspace = () => {
+    const spec = currentSpec();
+    const fresh = datasets.filter(ds => savedDataRef.current.get(ds.storeKey) !== ds.columns);
+    fresh.forEach(ds => savedDataRef.current.set(ds.storeKey, ds.columns));
+    saveQueueRef.current = saveQueueRef.current
+      .then(() => Promise.all(fresh.map(ds => storeDataset(ds, datasets.length === 1 ? spec : null)
+        .then(() => unsavedKeysRef.current.delete(ds.storeKey))
+        .catch(err => {
+          unsavedKeysRef.current.add(ds.storeKey);
+          reportWorkspaceError(`Could not save ${ds.name} in the workspace`, err);
+        }))))
+      .then(() => storeSession(datasets.filter(ds => !unsavedKeysRef.current.has(ds.storeKey)), spec))
+      .then(refreshWorkspace)
+      .catch(err => reportWorkspaceError("Could not save the session", err));
+  };
+  const saveWorkspaceRef = useRef(saveWorkspace);
+  saveWorkspaceRef.current = saveWorkspace;
+  useEffect(() => {
+    if (!isWorkspaceReady) return undefined;
+    const timer = setTimeout(() => saveWorkspaceRef.current(), WORKSPACE_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [
+    isWorkspaceReady, datasets, views, activeViewId, layout, dashboardColumns, syncZoom, syncHover, alignMode, joinColumn,
+    computedColumns, darkMode, locale,
+  ]);
+
+  // Add saved datasets to the loaded ones. With nothing loaded yet, they are shown as `spec` has
+  // them once they are combined, or as a single dataset was last shown; otherwise the views carry
+  // on and take them in like any added file. Those no longer saved are left out.
+  const openStoredDatasets = (keys, spec = null) => Promise.all(keys.map(key => loadStoredDataset(key)
+    .catch(err => {
+      reportWorkspaceError("Could not open a saved dataset", err);
+      return null;
+    })))
+    .then(results => {
+      const opened = results.filter(Boolean);
+      if (!opened.length) return;
+      const savedSpec = spec || (opened.length === 1 ? opened[0].spec : null);
+      if (!datasets.length) {
+        try {
+          pendingSpecRef.current = savedSpec && readViewSpec(savedSpec);
+        } catch (err) {
+          setSpecMessage({ type: "error", text: err.message });
         }
+      }
+      const restored = opened.map(({ dataset }) => {
+        savedDataRef.current.set(dataset.storeKey, dataset.columns);
+        return { ...dataset, id: `dataset-${nextDatasetIdRef.current++}` };
+      });
+      setDatasets(prev => restored.reduce((next, dataset) => [
+        ...next,
+        next.some(ds => ds.name === dataset.name)
+          ? { ...dataset, name: uniqueDatasetName(dataset.name, next.map(ds => ds.name)) }
+          : dataset,
+      ], prev));
+      setActiveDatasetId(restored[0].id);
+    });
 
-        return (
-          <PieChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
-            <Pie
-              data={pieData}
-              dataKey="value"
-              nameKey="name"
-              cx="50%"
-              cy="50%"
-              outerRadius={100}
-              fill="#8884d8"
-              label={({ name, percent }) => `${name} ${(percent * 100).toFixed(1)}%`}
-            >
-              {pieData.map((entry, index) => (
-                <Cell key={`cell-${index}`} fill={entry.color} />
-              ))}
-            </Pie>
-            <Tooltip formatter={(value) => [formatValue(value), 'Value']} />
-            <Legend />
-          </PieChart>
-        );
-
-      default:
-        return null;
-    }
+  const handleOpenStored = (key) => {
+    setWorkspaceMessage(null);
+    openStoredDatasets([key]).then(refreshWorkspace);
   };
 
-  // Export functionality with html2canvas alternative
-  const exportChart = (isFullChart = false) => {
-    const chartElement = document.getElementById(isFullChart ? "full-chart" : "chart");
-    if (!chartElement) return;
-    
-    // Simple fallback - create a data URL from SVG if possible
-    const svgElement = chartElement.querySelector('svg');
-    if (svgElement) {
-      const svgData = new XMLSerializer().serializeToString(svgElement);
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      const img = new Image();
-      
-      canvas.width = svgElement.clientWidth || 800;
-      canvas.height = svgElement.clientHeight || 600;
-      
-      img.onload = function() {
-        ctx.drawImage(img, 0, 0);
-        const link = document.createElement('a');
-        link.download = isFullChart ? 'full_chart.png' : 'chart.png';
-        link.href = canvas.toDataURL('image/png');
-        link.click();
-      };
-      
-      img.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgData)));
-    }
+  const handleDeleteStored = (key) => {
+    deleteStoredDataset(key)
+      .then(refreshWorkspace)
+      .catch(err => reportWorkspaceError("Could not delete the saved dataset", err));
   };
 
-  // Disable zoom buttons if zoom limits reached or no data
-  const canZoomIn = zoomDomain.end - zoomDomain.start > 2;
-  const canZoomOut = !(zoomDomain.start === 0 && zoomDomain.end === data.length - 1);
+  // Bring back the datasets and charts of the last session once on startup, unless the link names
+  // the data to load. A view in the link is applied to them instead of the saved one.
+  const restoreWorkspaceRef = useRef(null);
+  restoreWorkspaceRef.current = () => {
+    const restored = getSourceParam()
+      ? Promise.resolve()
+      : loadSession().then(session => session && openStoredDatasets(session.keys, pendingSpecRef.current || session.spec));
+    restored
+      .catch(err => reportWorkspaceError("Could not restore the last session", err))
+      .finally(() => {
+        setIsWorkspaceReady(true);
+        refreshWorkspace();
+      });
+  };
+  useEffect(() => {
+    if (isWorkspaceAvailable()) restoreWorkspaceRef.current();
+  }, []);
+
+  // The link also loads the data when it came from a URL; the address bar gets it too, in case
+  // the clipboard isn't available
+  const handleCopyLink = () => {
+    const url = viewSpecUrl(currentSpec(), datasets.length === 1 ? datasets[0].url : null);
+    window.history.replaceState(null, "", url);
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+    copied
+      .then(() => setSpecMessage({ type: "info", text: "Copied a link to this view." }))
+      .catch(() => setSpecMessage({ type: "info", text: "The link to this view is in the address bar." }));
+  };
 
-  // Get current data size info
-  const currentDataSize = zoomDomain.end - zoomDomain.start + 1;
-  const isLargeDataset = data.length > 1000;
+  const isDashboard = layout === "dashboard";
+  const shownViews = isDashboard ? views : [activeView];
 
   return (
-    <div className="p-4 max-w-6xl mx-auto min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-500">
+    <div
+      className={`p-4 ${isDashboard ? "max-w-screen-2xl" : "max-w-6xl"} mx-auto min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-500`}
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {isDraggingFile && (
+        <div className="fixed inset-0 z-40 flex items-center justify-center bg-blue-500 bg-opacity-20 border-4 border-dashed border-blue-500 pointer-events-none">
+          <p className="px-6 py-3 rounded-lg bg-white dark:bg-gray-800 text-lg font-semibold shadow">Drop to import</p>
+        </div>
+      )}
+
       <div className="flex justify-between items-center mb-4">
         <h1 className="text-3xl font-bold">CSV Plotter</h1>
-        <button
-          onClick={() => setDarkMode(!darkMode)}
-          className="px-4 py-2 rounded bg-gray-300 dark:bg-gray-700 text-gray-900 dark:text-gray-100 hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors"
-          aria-label="Toggle dark mode"
-        >
-          {darkMode ? "Light Mode" : "Dark Mode"}
-        </button>
+        <div className="flex items-center gap-2">
+          <select
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            className="p-2 border rounded bg-white dark:bg-gray-800 dark:border-gray-600"
+            aria-label="Number and date locale"
+          >
+            {Object.entries(LOCALES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setDarkMode(!darkMode)}
+            className="px-4 py-2 rounded bg-gray-300 dark:bg-gray-700 text-gray-900 dark:text-gray-100 hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors"
+            aria-label="Toggle dark mode"
+          >
+            {darkMode ? "Light Mode" : "Dark Mode"}
+          </button>
+        </div>
       </div>
 
-      <input
-        type="file"
-        accept=".csv"
-        onChange={handleFileUpload}
-        className="mb-6 p-2 border rounded dark:bg-gray-800 dark:border-gray-600 w-full max-w-md"
-        aria-label="Upload CSV file"
+      <DataSourcePanel
+        onFile={openDataFile}
+        onUrl={openUrl}
+        onText={openText}
+        loading={isFetchingUrl}
+        error={sourceError}
+        onDismissError={() => setSourceError(null)}
       />
 
-      {data.length > 0 && (
-        <>
-          <div className="mb-4 flex flex-wrap gap-4 items-center">
-            <select
-              value={chartType}
-              onChange={handleChartTypeChange}
-              className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
-              aria-label="Select chart type"
-            >
-              <option value="line">Line Chart</option>
-              <option value="bar">Bar Chart</option>
-              <option value="area">Area Chart</option>
-              <option value="scatter">Scatter Chart</option>
-              <option value="pie">Pie Chart</option>
-            </select>
-
-            <select
-              value={xAxisStrategy}
-              onChange={(e) => setXAxisStrategy(e.target.value)}
-              className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
-              aria-label="Select X-axis display strategy"
-            >
-              <option value="auto">Auto Spacing</option>
-              <option value="sparse">Sparse Labels</option>
-              <option value="sample">Sample Data</option>
-              <option value="none">No Labels</option>
-            </select>
-
-            <div className="text-sm text-gray-600 dark:text-gray-400">
-              Showing {currentDataSize} of {data.length} data points
-              {isLargeDataset && (
-                <span className="block text-xs text-orange-600 dark:text-orange-400">
-                  Large dataset detected - X-axis strategy helps readability
-                </span>
-              )}
-            </div>
-          </div>
+      {pendingImport && (
+        <ImportDialog
+          fileName={pendingImport.file.name}
+          options={pendingImport.options}
+          preview={importPreview}
+          onChange={handleImportOptionsChange}
+          onConfirm={handleImportConfirm}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
 
-          <div className="mb-4">
-            <p className="mb-2 font-semibold">Select Columns to Plot:</p>
-            <div className="flex flex-wrap gap-2">
-              {headers.slice(1).map((col) => (
-                <label key={col} className="flex items-center gap-1 px-3 py-1 border rounded cursor-pointer select-none hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors">
-                  <input
-                    type="checkbox"
-                    checked={selectedColumns.includes(col)}
-                    onChange={() => handleColumnToggle(col)}
-                    className="mr-1"
-                  />
-                  <span className="text-sm">{col}</span>
-                </label>
-              ))}
-            </div>
-            {selectedColumns.length === 0 && (
-              <p className="text-sm text-red-600 mt-2">Please select at least one column to plot.</p>
-            )}
-          </div>
+      {parseProgress && (
+        <ParseProgress {...parseProgress} onCancel={handleCancelParse} />
+      )}
 
-          {chartType !== 'pie' && (
-            <div className="mb-4 flex flex-wrap gap-2">
-              <button
-                onClick={handleZoomIn}
-                disabled={!canZoomIn}
-                className={`px-3 py-2 rounded text-white transition-colors ${canZoomIn ? "bg-blue-500 hover:bg-blue-600" : "bg-gray-400 cursor-not-allowed"}`}
-                aria-label="Zoom in"
-              >
-                Zoom In
-              </button>
-              <button
-                onClick={handleZoomOut}
-                disabled={!canZoomOut}
-                className={`px-3 py-2 rounded text-white transition-colors ${canZoomOut ? "bg-blue-500 hover:bg-blue-600" : "bg-gray-400 cursor-not-allowed"}`}
-                aria-label="Zoom out"
-              >
-                Zoom Out
-              </button>
-              <button
-                onClick={handleResetZoom}
-                className="px-3 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors"
-                aria-label="Reset zoom"
-              >
-                Reset Zoom
-              </button>
-            </div>
-          )}
+      {isWorkspaceAvailable() && (
+        <WorkspacePanel
+          stored={storedDatasets}
+          openKeys={datasets.map(ds => ds.storeKey)}
+          usage={storageUsage}
+          message={workspaceMessage}
+          locale={locale}
+          onOpen={handleOpenStored}
+          onDelete={handleDeleteStored}
+          onDismissMessage={() => setWorkspaceMessage(null)}
+        />
+      )}
 
-          <div className="mb-4 flex flex-wrap gap-2">
-            <button
-              onClick={() => exportChart(false)}
-              className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700 transition-colors"
-              aria-label="Export current view as PNG"
-            >
-              Export View as PNG
-            </button>
+      <DatasetManager
+        datasets={datasets}
+        activeId={activeDataset && activeDataset.id}
+        align={alignMode}
+        excluded={isJoined ? merged.excluded : []}
+        joinColumn={effectiveJoinColumn}
+        onSelect={setActiveDatasetId}
+        onRename={handleRenameDataset}
+        onReload={handleReloadDataset}
+        onReplace={handleReplaceDataset}
+        onRemove={handleRemoveDataset}
+        onAlignChange={setAlignMode}
+      />
 
+      {datasets.length > 0 && (
+        <FormulaPanel
+          computedColumns={computedColumns}
+          errors={formulaErrors}
+          onAdd={handleAddComputedColumn}
+          onUpdate={handleUpdateComputedColumn}
+          onRemove={handleRemoveComputedColumn}
+        />
+      )}
+
+      {activeDataset && (
+        <SchemaPanel
+          title={datasets.length > 1 ? `Column Types: ${activeDataset.name}` : "Column Types"}
+          headers={activeDataset.headers}
+          schema={datasetSchema(activeDataset)}
+          inferredSchema={activeDataset.inferredSchema}
+          sampleRow={Object.fromEntries(activeDataset.headers.map(col => [col, activeDataset.rawColumns[col][0]]))}
+          onTypeChange={handleColumnTypeChange}
+          onFormatChange={handleColumnFormatChange}
+          onReset={handleColumnTypeReset}
+        />
+      )}
+
+      {combined.headers.length > 0 && (
+        <StatsPanel table={combined} xColumn={activeView.xColumn === ROW_INDEX_KEY ? null : activeView.xColumn} />
+      )}
+
+      <ViewSpecPanel
+        presets={presets}
+        message={specMessage}
+        onSavePreset={handleSavePreset}
+        onApplyPreset={(name) => tryApplySpec(() => readViewSpec(presets[name]))}
+        onDeletePreset={handleDeletePreset}
+        onExport={handleExportSpec}
+        onImport={handleImportSpec}
+        onCopyLink={handleCopyLink}
+        onDismissMessage={() => setSpecMessage(null)}
+      />
+
+      {combined.headers.length > 0 && (
+        <>
+          <div className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+            <div className="flex rounded overflow-hidden border dark:border-gray-600" role="group" aria-label="Layout">
+              {[["single", "Single chart"], ["dashboard", "Dashboard"]].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setLayout(value)}
+                  aria-pressed={layout === value}
+                  className={`px-3 py-1 transition-colors ${layout === value ? "bg-blue-500 text-white" : "bg-white dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700"}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
             <button
-              onClick={() => exportChart(true)}
-              className="px-4 py-2 rounded bg-purple-600 text-white hover:bg-purple-700 transition-colors"
-              aria-label="Export full chart as PNG"
+              onClick={handleAddView}
+              className="px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 transition-colors"
             >
-              Export Full Chart as PNG
+              Add chart panel
             </button>
+            {isDashboard && (
+              <>
+                <select
+                  value={dashboardColumns}
+                  onChange={(e) => setDashboardColumns(Number(e.target.value))}
+                  className="p-1 border rounded dark:bg-gray-800 dark:border-gray-600"
+                  aria-label="Dashboard columns"
+                >
+                  {[1, 2, 3, 4].map(count => (
+                    <option key={count} value={count}>{count === 1 ? "1 column" : `${count} columns`}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={syncZoom} onChange={(e) => handleSyncZoomChange(e.target.checked)} />
+                  Sync zoom
+                </label>
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={syncHover} onChange={(e) => setSyncHover(e.target.checked)} />
+                  Sync hover
+                </label>
+              </>
+            )}
           </div>
 
           <div
-            id="chart"
-            className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-lg overflow-hidden"
-          >
-            <div style={{ width: "100%", height: "600px" }}>
-              <ResponsiveContainer width="100%" height="100%">
-                {renderChart()}
-              </ResponsiveContainer>
-            </div>
-          </div>
-
-          {/* Hidden chart for full export */}
-          <div
-            id="full-chart"
-            style={{ position: "absolute", top: "-9999px", left: "-9999px", width: 1200, height: 800 }}
+            className={isDashboard ? "grid gap-4 items-start" : undefined}
+            style={isDashboard ? { gridTemplateColumns: `repeat(${dashboardColumns}, minmax(0, 1fr))` } : undefined}
           >
-            <ResponsiveContainer width="100%" height="100%">
-              {renderChart("full")}
-            </ResponsiveContainer>
+            {shownViews.map(view => (
+              <ChartPanel
+                key={view.id}
+                view={view}
+                placeholderTitle={`Chart ${views.indexOf(view) + 1}`}
+                onChange={updateView(view.id)}
+                combined={combined}
+                locale={locale}
+                joinOptions={joinOptions}
+                onJoinColumnChange={setJoinColumn}
+                compact={isDashboard}
+                isActive={view.id === activeView.id}
+                onActivate={() => setActiveViewId(view.id)}
+                canRemove={views.length > 1}
+                onRemove={() => handleRemoveView(view.id)}
+                syncZoom={isDashboard && syncZoom}
+                syncHover={isDashboard && syncHover}
+                syncedZoom={syncedZoom}
+                onZoomSync={setSyncedZoom}
+                onSmallMultiples={(series, bounds) => handleSmallMultiples(view.id, series, bounds)}
+              />
+            ))}
           </div>
         </>
       )}
@@ -0,0 +1,89 @@
+import React from "react";
+import { AGGREGATES, DATE_BUCKETS, aggregatesForType, aggregateFor } from "../utils/aggregate";
+import { isDateType } from "../utils/schema";
+
+const selectClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+
+// Group-by column, date bucket and the aggregate used for each selected series
+function AggregationPanel({ headers, schema, aggregation, series, groupCount, rowCount, onChange }) {
+  const { enabled, groupBy, bucket, aggregates } = aggregation;
+  const groupType = schema[groupBy] ? schema[groupBy].type : undefined;
+
+  return (
+    <div className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 font-semibold">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => onChange({ ...aggregation, enabled: e.target.checked })}
+          />
+          Aggregate by group
+        </label>
+
+        {enabled && (
+          <>
+            <label className="flex items-center gap-2">
+              Group by
+              <select
+                value={groupBy || ""}
+                onChange={(e) => onChange({ ...aggregation, groupBy: e.target.value })}
+                className={selectClass}
+                aria-label="Group by column"
+              >
+                {headers.map(col => (
+                  <option key={col} value={col}>{col}</option>
+                ))}
+              </select>
+            </label>
+
+            {isDateType(groupType) && (
+              <label className="flex items-center gap-2">
+                per
+                <select
+                  value={bucket}
+                  onChange={(e) => onChange({ ...aggregation, bucket: e.target.value })}
+                  className={selectClass}
+                  aria-label="Date bucket"
+                >
+                  {Object.entries(DATE_BUCKETS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            <span className="text-xs text-gray-600 dark:text-gray-400">
+              {rowCount.toLocaleString()} rows in {groupCount.toLocaleString()} groups
+            </span>
+          </>
+        )}
+      </div>
+
+      {enabled && series.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-3">
+          {series.map(col => {
+            const type = schema[col] ? schema[col].type : "text";
+            return (
+              <label key={col} className="flex items-center gap-2">
+                {col}
+                <select
+                  value={aggregateFor(aggregates, col, type)}
+                  onChange={(e) => onChange({ ...aggregation, aggregates: { ...aggregates, [col]: e.target.value } })}
+                  className={selectClass}
+                  aria-label={`Aggregate for ${col}`}
+                >
+                  {aggregatesForType(type).map(agg => (
+                    <option key={agg} value={agg}>{AGGREGATES[agg]}</option>
+                  ))}
+                </select>
+              </label>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AggregationPanel;
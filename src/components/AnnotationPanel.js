@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useRef } from "react";
+import { isDateType } from "../utils/schema";
+import {
+  ANNOTATION_TYPES, Y_ANNOTATION_TYPES, DEFAULT_ANNOTATION_COLOR, appendAnnotations, readEventsFile,
+} from "../utils/annotations";
+
+const fieldClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+
+// Input for an X value of the X column's type
+function XField({ type, value, label, onChange }) {
+  const inputType = isDateType(type) ? (type === "datetime" ? "datetime-local" : "date") : "text";
+  return (
+    <input
+      type={inputType}
+      step={type === "datetime" ? 1 : undefined}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder="X"
+      className={`${fieldClass} w-44`}
+      aria-label={label}
+    />
+  );
+}
+
+function YField({ value, label, onChange }) {
+  return (
+    <input
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder="Y"
+      className={`${fieldClass} w-24`}
+      aria-label={label}
+    />
+  );
+}
+
+// Reference lines, shaded ranges and notes drawn on the chart. Annotations clicked on the chart
+// come in as `focusedId`, and their label is focused for editing. Events can be imported from a CSV
+// with a time column, like deploys or incidents.
+function AnnotationPanel({ annotations, xType, series, labels, isOpen, focusedId, onToggle, onChange }) {
+  const [importMessage, setImportMessage] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const labelRefs = useRef({});
+
+  useEffect(() => {
+    if (focusedId != null && isOpen && labelRefs.current[focusedId]) labelRefs.current[focusedId].focus();
+  }, [focusedId, isOpen]);
+
+  const update = (id, patch) => {
+    onChange(annotations.map(annotation => (annotation.id === id ? { ...annotation, ...patch } : annotation)));
+  };
+
+  const handleAdd = (type) => {
+    onChange(appendAnnotations(annotations, [{ type, column: series[0] || null }]));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setImportMessage(null);
+    setImportError(null);
+    try {
+      const { annotations: events, skipped } = await readEventsFile(file, xType);
+      onChange(appendAnnotations(annotations, events));
+      setImportMessage(
+        `Imported ${events.length} ${events.length === 1 ? "event" : "events"}`
+        + (skipped ? `; ${skipped} ${skipped === 1 ? "row was" : "rows were"} skipped` : "")
+      );
+    } catch (err) {
+      setImportError(`Could not import events: ${err.message}`);
+    }
+  };
+
+  const buttonClass = "px-3 py-1 rounded bg-gray-300 dark:bg-gray-700 text-sm hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors";
+
+  return (
+    <details
+      open={isOpen}
+      onToggle={(e) => onToggle(e.currentTarget.open)}
+      className="mt-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow"
+    >
+      <summary className="font-semibold cursor-pointer select-none">
+        Annotations
+        {annotations.length > 0 && (
+          <span className="ml-2 text-sm font-normal text-gray-600 dark:text-gray-400">{annotations.length}</span>
+        )}
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-2 text-sm">
+        {annotations.length === 0 && (
+          <p className="text-gray-600 dark:text-gray-400">
+            No annotations yet. Pick what a click on the chart adds above the chart, or add them here.
+          </p>
+        )}
+
+        {annotations.map(annotation => {
+          const { id, type } = annotation;
+          const onYAxis = Y_ANNOTATION_TYPES.includes(type);
+          const hasX = type === "xLine" || type === "xRange" || type === "note";
+          return (
+            <div
+              key={id}
+              className={`flex flex-wrap items-center gap-2 p-1 rounded ${id === focusedId ? "ring-2 ring-blue-400" : ""}`}
+            >
+              <select
+                value={type}
+                onChange={(e) => update(id, { type: e.target.value })}
+                className={fieldClass}
+                aria-label="Annotation type"
+              >
+                {Object.entries(ANNOTATION_TYPES).map(([value, name]) => (
+                  <option key={value} value={value}>{name}</option>
+                ))}
+              </select>
+              {hasX && (
+                <XField type={xType} value={annotation.x} label="Annotation X" onChange={(x) => update(id, { x })} />
+              )}
+              {type === "xRange" && (
+                <>
+                  <span>to</span>
+                  <XField type={xType} value={annotation.x2} label="Annotation X end" onChange={(x2) => update(id, { x2 })} />
+                </>
+              )}
+              {onYAxis && (
+                <YField value={annotation.y} label="Annotation Y" onChange={(y) => update(id, { y })} />
+              )}
+              {type === "yRange" && (
+                <>
+                  <span>to</span>
+                  <YField value={annotation.y2} label="Annotation Y end" onChange={(y2) => update(id, { y2 })} />
+                </>
+              )}
+              {onYAxis && series.length > 1 && (
+                <select
+                  value={series.includes(annotation.column) ? annotation.column : series[0]}
+                  onChange={(e) => update(id, { column: e.target.value })}
+                  className={fieldClass}
+                  aria-label="Annotation axis"
+                >
+                  {series.map(col => (
+                    <option key={col} value={col}>On the axis of {labels[col]}</option>
+                  ))}
+                </select>
+              )}
+              <input
+                ref={(element) => { labelRefs.current[id] = element; }}
+                value={annotation.label}
+                onChange={(e) => update(id, { label: e.target.value })}
+                placeholder="Label"
+                className={`${fieldClass} w-48`}
+                aria-label="Annotation label"
+              />
+              <input
+                type="color"
+                value={annotation.color || DEFAULT_ANNOTATION_COLOR}
+                onChange={(e) => update(id, { color: e.target.value })}
+                className="w-8 h-8 p-0 border rounded cursor-pointer"
+                aria-label="Annotation colour"
+              />
+              <button
+                onClick={() => onChange(annotations.filter(other => other.id !== id))}
+                className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                aria-label="Remove annotation"
+              >
+                ×
+              </button>
+            </div>
+          );
+        })}
+
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => handleAdd("yLine")} className="px-3 py-1 rounded bg-blue-500 text-white text-sm hover:bg-blue-600 transition-colors">
+            Add horizontal line
+          </button>
+          <button onClick={() => handleAdd("yRange")} className={buttonClass}>Add shaded Y range</button>
+          <button onClick={() => handleAdd("xLine")} className={buttonClass}>Add vertical marker</button>
+          <label className={`${buttonClass} cursor-pointer`}>
+            Import events CSV…
+            <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleImport} className="hidden" aria-label="Import events CSV" />
+          </label>
+          {annotations.length > 0 && (
+            <button onClick={() => onChange([])} className={buttonClass}>Remove all</button>
+          )}
+        </div>
+        {importMessage && <p className="text-gray-600 dark:text-gray-400" role="status">{importMessage}</p>}
+        {importError && <p className="text-red-600" role="alert">{importError}</p>}
+      </div>
+    </details>
+  );
+}
+
+export default AnnotationPanel;
@@ -0,0 +1,2246 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from "react";
+import {
+  LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+  AreaChart, Area, ScatterChart, Scatter, PieChart, Pie, Cell, ReferenceArea, ReferenceLine, ReferenceDot, Symbols,
+  ComposedChart
+} from "recharts";
+import ZoomOverview from "./ZoomOverview";
+import FilterPanel from "./FilterPanel";
+import AggregationPanel from "./AggregationPanel";
+import SeriesStylePanel from "./SeriesStylePanel";
+import ExportDialog from "./ExportDialog";
+import DataTable from "./DataTable";
+import AnnotationPanel from "./AnnotationPanel";
+import FormatPanel from "./FormatPanel";
+import TimeSeriesPanel from "./TimeSeriesPanel";
+import useZoomHistory from "../hooks/useZoomHistory";
+import { isNumericType, isDateType, isPlottableType } from "../utils/schema";
+import { buildRow, buildRows, getCellValue, getColumnRange, getStackedRange } from "../utils/columns";
+import { downsampleRows, DOWNSAMPLE_METHODS } from "../utils/downsample";
+import { filterRows, applyRowFilter } from "../utils/filters";
+import { aggregateTable, aggregateFor, AGGREGATES, DATE_BUCKETS } from "../utils/aggregate";
+import { COMPUTED_SOURCE } from "../utils/formula";
+import {
+  PALETTES, DASH_PATTERNS, TREND_TYPES, OVERLAY_MARKS, paletteColor, resolveStyle, parseAxisBound, buildAxes, markFor,
+  stackGroupFor, hasOverlays
+} from "../utils/seriesStyle";
+import { seriesPoints, fitTrend, curvePoints, movingAverageBand, forecastSeries } from "../utils/trends";
+import { DEFAULT_ANNOTATION_COLOR, appendAnnotations, valueText, parseAnnotationValue } from "../utils/annotations";
+import { applyTimeSeries, countTimeZones, showInUtc } from "../utils/timeSeries";
+import { resolveFormat, formatNumber, formatDate, formatCount, formatShare, dateFormatter } from "../utils/format";
+import { DEFAULT_VIEW, ROW_INDEX_KEY, CHART_TYPES, X_AXIS_STRATEGIES, MAX_SPAN } from "../utils/views";
+import {
+  DISTRIBUTION_CHART_TYPES, BIN_RULES, MAX_BINS, BIN_KEY, sortedValues, sortedValuesAt, histogramRows, boxStats,
+  splitByGroup, ecdfPoints
+} from "../utils/distribution";
+import {
+  DEFAULT_EXPORT_OPTIONS, buildChartFile, isValidExportSize, layoutExport, readLegendItems
+} from "../utils/chartExport";
+import { tableRecords, recordsToFile, exportValue } from "../utils/dataExport";
+import { downloadBlob, safeFileName } from "../utils/download";
+
+// Most points drawn per chart before downsampling kicks in
+const VIEW_MAX_POINTS = 1000;
+const FULL_MAX_POINTS = 2000;
+const OVERVIEW_MAX_POINTS = 300;
+
+// Narrowest zoom window, in rows
+const MIN_ZOOM_SPAN = 2;
+
+// Rows shown around a row located from the data table
+const LOCATE_SPAN = 50;
+
+// Wheel and keyboard zooms are committed to history once they've been idle this long
+const GESTURE_COMMIT_DELAY = 400;
+
+// Trendlines against dates are fitted per day, so their equations read in days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What the data export holds for charts that summarise their rows instead of plotting them; other
+// charts export the rows themselves
+const DERIVED_EXPORTS = {
+  histogram: "The bins of the histogram with the count of each series in them",
+  box: "The quartiles, whiskers and range of each box",
+  ecdf: "The points of each series' cumulative distribution",
+  pie: "The sum of each series",
+};
+
+// Most timeline gaps shaded in the visible range
+const MAX_SHADED_GAPS = 200;
+
+// Chart heights on their own and in a dashboard, where they can be dragged taller or shorter
+const CHART_HEIGHT = 600;
+const COMPACT_CHART_HEIGHT = 320;
+
+// Row positions holding the first and last X values inside [start, end], assuming X ascends with
+// the rows; null when none do
+const rowsInXRange = (values, start, end) => {
+  let first = -1;
+  let last = -1;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value == null || !(value >= start && value <= end)) continue;
+    if (first === -1) first = i;
+    last = i;
+  }
+  return first === -1 ? null : { start: first, end: last };
+};
+
+// Whether a table's schema has a column of that name. Names come from views, which can be saved and
+// shared, so keys every object inherits ("constructor", "toString") don't count.
+const hasColumn = (schema, col) => Object.prototype.hasOwnProperty.call(schema, col);
+
+// Key of the box plot's range bars, which span the whole Y domain so each box can be drawn on it
+const BOX_KEY = "__box";
+
+// Box and whiskers of one series drawn on a range bar spanning `domain`, with outliers as dots
+function BoxShape({ x, y, width, height, stats, domain, color }) {
+  if (!stats) return null;
+  const [min, max] = domain;
+  const toY = (value) => y + ((max - value) / (max - min)) * height;
+  const boxWidth = Math.min(width * 0.6, 60);
+  const center = x + width / 2;
+  const left = center - boxWidth / 2;
+  return (
+    <g>
+      <line x1={center} x2={center} y1={toY(stats.high)} y2={toY(stats.q3)} stroke={color} />
+      <line x1={center} x2={center} y1={toY(stats.q1)} y2={toY(stats.low)} stroke={color} />
+      <line x1={center - boxWidth / 4} x2={center + boxWidth / 4} y1={toY(stats.high)} y2={toY(stats.high)} stroke={color} />
+      <line x1={center - boxWidth / 4} x2={center + boxWidth / 4} y1={toY(stats.low)} y2={toY(stats.low)} stroke={color} />
+      <rect
+        x={left}
+        y={toY(stats.q3)}
+        width={boxWidth}
+        height={Math.max(1, toY(stats.q1) - toY(stats.q3))}
+        fill={color}
+        fillOpacity={0.3}
+        stroke={color}
+      />
+      <line x1={left} x2={left + boxWidth} y1={toY(stats.median)} y2={toY(stats.median)} stroke={color} strokeWidth={2} />
+      {stats.outliers.map((value, i) => (
+        <circle key={i} cx={center} cy={toY(value)} r={2.5} fill="none" stroke={color} />
+      ))}
+    </g>
+  );
+}
+
+// One chart with its own series, filters, aggregation, styles and zoom, drawn from the shared
+// combined columns. `view` holds the settings and `onChange` takes an updater for them, like a
+// state setter. In a dashboard the panel is compact, and zooms and hovers can be synced with the
+// other panels: committed zooms go out through `onZoomSync` and come back in as `syncedZoom`.
+function ChartPanel({
+  view, placeholderTitle, onChange, combined, locale = "", joinOptions, onJoinColumnChange, compact = false, isActive = false,
+  onActivate, canRemove = false, onRemove, syncHover = false, syncZoom = false, syncedZoom, onZoomSync, onSmallMultiples,
+}) {
+  const {
+    chartType, selectedColumns, rowFilter, aggregation, seriesStyles, sharedAxes, palette, stackOffset,
+    xAxisStrategy, downsampleMethod, histogramBins, boxGroupBy, annotations, timeSeries, columnFormats,
+  } = view;
+
+  // Setters for the view's fields, taking a value or an updater of the previous one
+  const setField = (key) => (value) => onChange(prev => ({
+    ...prev,
+    [key]: typeof value === "function" ? value(prev[key]) : value,
+  }));
+  const setChartType = setField("chartType");
+  const setXColumn = setField("xColumn");
+  const setSelectedColumns = setField("selectedColumns");
+  const setRowFilter = setField("rowFilter");
+  const setAggregation = setField("aggregation");
+  const setSeriesStyles = setField("seriesStyles");
+  const setSharedAxes = setField("sharedAxes");
+  const setPalette = setField("palette");
+  const setStackOffset = setField("stackOffset");
+  const setXAxisStrategy = setField("xAxisStrategy");
+  const setDownsampleMethod = setField("downsampleMethod");
+  const setHistogramBins = setField("histogramBins");
+  const setBoxGroupBy = setField("boxGroupBy");
+  const setAnnotations = setField("annotations");
+  const setTimeSeries = setField("timeSeries");
+  const setColumnFormats = setField("columnFormats");
+
+  // Distributions and pies summarise the rows in the zoom window instead of plotting them in order,
+  // so zoom gestures, downsampling and row highlights don't apply to them
+  const isDistributionChart = DISTRIBUTION_CHART_TYPES.includes(chartType);
+  const isRowOrderChart = chartType !== "pie" && !isDistributionChart;
+
+  const {
+    zoomDomain: storedZoomDomain, committedDomain, zoomTo, previewZoom, commitPreview, resetHistory,
+    goBack, goForward, canGoBack, canGoForward
+  } = useZoomHistory({ start: 0, end: 10 });
+  const [dragSelection, setDragSelection] = useState(null);
+
+  // The export dialog keeps its options between openings. The legend is read from the chart on
+  // screen when it opens, since exported charts draw their own.
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const [exportLegend, setExportLegend] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  // Row picked in the data table or on the chart, marked in both
+  const [selectedRow, setSelectedRow] = useState(null);
+  const [isTableOpen, setIsTableOpen] = useState(!compact);
+
+  // What a click on the chart adds: nothing (it selects the row), or one of the point annotations;
+  // an X range is dragged out instead of zooming. Annotations clicked on the chart open in the panel.
+  const [annotationTool, setAnnotationTool] = useState("");
+  const [isAnnotationsOpen, setIsAnnotationsOpen] = useState(false);
+  const [focusedAnnotation, setFocusedAnnotation] = useState(null);
+
+  // Dates are moved to read as UTC before anything else, so filters, groups and resampling all
+  // work on the times as shown
+  const isUtc = timeSeries.timeZone === "utc";
+  const zonedTable = useMemo(() => (isUtc ? showInUtc(combined) : combined), [combined, isUtc]);
+
+  // Rows kept by the filter panel; zoom, downsampling, axis ranges and pie totals all work on these
+  const { positions: filteredPositions, errors: filterErrors } = useMemo(
+    () => filterRows(rowFilter, zonedTable.columns, zonedTable.schema, zonedTable.rowCount),
+    [rowFilter, zonedTable]
+  );
+  const filteredTable = useMemo(
+    () => (filteredPositions ? applyRowFilter(zonedTable, filteredPositions) : zonedTable),
+    [zonedTable, filteredPositions]
+  );
+
+  // Group by the chosen column, or else the first category, text or date column
+  const groupBy = hasColumn(filteredTable.schema, aggregation.groupBy)
+    ? aggregation.groupBy
+    : filteredTable.headers.find(col => !isNumericType(filteredTable.schema[col].type)) || filteredTable.headers[0];
+  const isAggregated = aggregation.enabled && Boolean(groupBy);
+  // Dates are bucketed by the default bucket when the view names one this version doesn't know
+  const bucket = Object.prototype.hasOwnProperty.call(DATE_BUCKETS, aggregation.bucket)
+    ? aggregation.bucket
+    : DEFAULT_VIEW.aggregation.bucket;
+  const groupedTable = useMemo(
+    () => (isAggregated
+      ? aggregateTable(filteredTable, { groupBy, bucket, aggregates: aggregation.aggregates })
+      : filteredTable),
+    [filteredTable, isAggregated, groupBy, bucket, aggregation.aggregates]
+  );
+  // Aggregated rows are plotted against their group. Otherwise the chosen column, which for the
+  // render after datasets change can be gone until the views are remapped.
+  let xColumn = view.xColumn === ROW_INDEX_KEY || hasColumn(groupedTable.schema, view.xColumn) ? view.xColumn : ROW_INDEX_KEY;
+  if (isAggregated) xColumn = groupBy;
+
+  // Charts drawn in row order against a date column can be resampled, filled and have their gaps
+  // shaded
+  const isTimeSeries = isRowOrderChart && xColumn !== ROW_INDEX_KEY && isDateType(groupedTable.schema[xColumn].type);
+  const { resample, aggregate: resampleAggregate, fill, showGaps, gapFactor } = timeSeries;
+  const { table, gaps: timeGaps, error: timeSeriesError } = useMemo(
+    () => (isTimeSeries
+      ? applyTimeSeries(groupedTable, xColumn, { resample, aggregate: resampleAggregate, fill, showGaps, gapFactor })
+      : { table: groupedTable, gaps: [], error: null }),
+    [groupedTable, isTimeSeries, xColumn, resample, resampleAggregate, fill, showGaps, gapFactor]
+  );
+  const { headers, columns, schema, rowCount } = table;
+  // Whether the X column's timestamps name their UTC offset, read from the text in the file
+  const zoneCounts = useMemo(
+    () => (isTimeSeries ? countTimeZones(combined, xColumn) : null),
+    [isTimeSeries, combined, xColumn]
+  );
+
+  // Row object for Recharts at a position. Only the rows drawn are built, since large files have
+  // far more than a chart shows.
+  const rowAt = (i) => buildRow(columns, headers, i, ROW_INDEX_KEY);
+
+  // The zoom window can lie past the rows for the render after they shrink, until the effect that
+  // resets the zoom history runs
+  const lastRow = Math.max(0, rowCount - 1);
+  const zoomDomain = storedZoomDomain.end > lastRow
+    ? { start: Math.min(storedZoomDomain.start, lastRow), end: lastRow }
+    : storedZoomDomain;
+
+  // Row positions belong to the table they were picked in
+  useEffect(() => setSelectedRow(null), [table]);
+
+  const getColumnType = (col) => (hasColumn(schema, col) ? schema[col].type : undefined);
+  // Booleans, categories and text can split a box plot into groups
+  const isGroupColumn = (col) => !isNumericType(getColumnType(col)) && !isDateType(getColumnType(col));
+  const isComputedColumn = (col) => Boolean(combined.sources[col]) && combined.sources[col].datasetId === COMPUTED_SOURCE;
+
+  // Zoom windows that came from a reset or from another panel, so they aren't sent out again
+  const unsyncedDomainRef = useRef(null);
+
+  // A different number of rows (new data or filters) starts a fresh zoom history over all of them.
+  // When the panel first shows, a saved zoom that still fits the rows is restored instead.
+  const savedZoomRef = useRef(view.zoom);
+  useEffect(() => {
+    const saved = savedZoomRef.current;
+    savedZoomRef.current = null;
+    const domain = saved && saved.end < rowCount ? saved : { start: 0, end: Math.max(0, rowCount - 1) };
+    unsyncedDomainRef.current = domain;
+    resetHistory(domain);
+  }, [rowCount, resetHistory]);
+
+  const handleChartTypeChange = (e) => setChartType(e.target.value);
+
+  // Changing the X column drops it from the plotted series. Datasets are joined on the X column,
+  // so the choice also sets the join column for when they are.
+  const handleXColumnChange = (e) => {
+    const col = e.target.value;
+    // Datasets can't be joined on a computed column, so picking one keeps the join as it is
+    if (!isComputedColumn(col)) {
+      if (combined.sources[col]) onJoinColumnChange(combined.sources[col].column);
+      else if (joinOptions && col !== ROW_INDEX_KEY) onJoinColumnChange(col);
+    }
+    setXColumn(col);
+    setSelectedColumns(prev => prev.filter(c => c !== col));
+  };
+
+  const isRowIndexX = xColumn === ROW_INDEX_KEY;
+  const seriesColumns = headers.filter(col => col !== xColumn);
+  // Only columns with numeric values (numbers, dates, booleans) can be drawn as series
+  const plottedColumns = useMemo(
+    () => selectedColumns.filter(col => hasColumn(schema, col) && isPlottableType(schema[col].type)),
+    [selectedColumns, schema]
+  );
+  const yAxes = buildAxes(plottedColumns, seriesStyles, sharedAxes, chartType);
+  const axisIdOf = Object.fromEntries(yAxes.flatMap(axis => axis.columns.map(col => [col, axis.id])));
+
+  // Series take the palette's colours in plotting order unless given one of their own
+  const seriesColor = (col) => resolveStyle(seriesStyles[col]).color || paletteColor(palette, plottedColumns.indexOf(col));
+
+  const handleSeriesStyleChange = (col, patch) => {
+    setSeriesStyles(prev => ({ ...prev, [col]: { ...prev[col], ...patch } }));
+  };
+
+  const handleSharedAxisChange = (side, patch) => {
+    setSharedAxes(prev => ({ ...prev, [side]: { ...prev[side], ...patch } }));
+  };
+
+  const handleResetStyles = () => {
+    setSeriesStyles({});
+    setSharedAxes({});
+  };
+
+  const handleColumnFormatChange = (col, patch) => {
+    setColumnFormats(prev => ({ ...prev, [col]: { ...prev[col], ...patch } }));
+  };
+
+  const handleColumnFormatReset = (col) => {
+    setColumnFormats(prev => {
+      const next = { ...prev };
+      delete next[col];
+      return next;
+    });
+  };
+
+  const handleColumnToggle = (col) => {
+    setSelectedColumns(prev =>
+      prev.includes(col) ? prev.filter(c => c !== col) : [...prev, col]
+    );
+  };
+
+  // Keep a zoom window inside the data and at least MIN_ZOOM_SPAN rows wide
+  const clampDomain = (start, end) => {
+    const last = Math.max(0, rowCount - 1);
+    const span = Math.min(last, Math.max(MIN_ZOOM_SPAN, Math.round(end - start)));
+    const clampedStart = Math.min(Math.max(0, Math.round(start)), last - span);
+    return { start: clampedStart, end: clampedStart + span };
+  };
+
+  // Zoom In: Shrink range by removing 1/4th from both ends
+  const handleZoomIn = () => {
+    const range = zoomDomain.end - zoomDomain.start;
+    if (range <= MIN_ZOOM_SPAN) return; // Prevent zooming in too far
+    const increment = Math.ceil(range / 4);
+    const newStart = zoomDomain.start + increment;
+    const newEnd = zoomDomain.end - increment;
+    if (newStart >= newEnd) return; // Prevent invalid range
+    zoomTo({ start: newStart, end: newEnd });
+  };
+
+  // Zoom Out: Expand range by adding half of current range to ends
+  const handleZoomOut = () => {
+    const range = zoomDomain.end - zoomDomain.start;
+    const increment = Math.ceil(range / 2);
+    zoomTo({
+      start: Math.max(0, zoomDomain.start - increment),
+      end: Math.min(rowCount - 1, zoomDomain.end + increment),
+    });
+  };
+
+  const handleResetZoom = () => {
+    zoomTo({ start: 0, end: rowCount - 1 });
+  };
+
+  // Zoom to a row picked in the data table, unless it's already in a window as close as that
+  const handleLocateRow = (position) => {
+    setSelectedRow(position);
+    if (!isRowOrderChart) return;
+    const isInView = position >= zoomDomain.start && position <= zoomDomain.end;
+    if (!isInView || zoomDomain.end - zoomDomain.start > LOCATE_SPAN) {
+      zoomTo(clampDomain(position - LOCATE_SPAN / 2, position + LOCATE_SPAN / 2));
+    }
+  };
+
+  const chartAreaRef = useRef(null);
+  const gestureTimerRef = useRef(null);
+  // Row under the mouse, used as the wheel zoom centre
+  const hoverRowRef = useRef(null);
+  // Starting point of a shift-drag pan
+  const panStartRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(gestureTimerRef.current), []);
+
+  const previewGesture = (domain) => {
+    previewZoom(domain);
+    clearTimeout(gestureTimerRef.current);
+    gestureTimerRef.current = setTimeout(commitPreview, GESTURE_COMMIT_DELAY);
+  };
+
+  // Scale the zoom window by `factor` while keeping `center` at the same relative position
+  const zoomAround = (center, factor) => {
+    const { start, end } = zoomDomain;
+    previewGesture(clampDomain(center - (center - start) * factor, center + (end - center) * factor));
+  };
+
+  const panBy = (rows) => {
+    previewGesture(clampDomain(zoomDomain.start + rows, zoomDomain.end + rows));
+  };
+
+  const handleChartWheel = (e) => {
+    if (!isRowOrderChart || !rowCount) return;
+    e.preventDefault();
+    const { start, end } = zoomDomain;
+    let center = hoverRowRef.current;
+    if (center == null) {
+      const rect = chartAreaRef.current.getBoundingClientRect();
+      const fraction = rect.width > 0 ? Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) : 0.5;
+      center = start + fraction * (end - start);
+    }
+    zoomAround(center, e.deltaY > 0 ? 1.25 : 0.8);
+  };
+
+  // React registers wheel listeners as passive, so attach one that may prevent page scrolling
+  const wheelHandlerRef = useRef(handleChartWheel);
+  wheelHandlerRef.current = handleChartWheel;
+  const hasData = rowCount > 0;
+  useEffect(() => {
+    const element = chartAreaRef.current;
+    if (!element) return undefined;
+    const listener = (e) => wheelHandlerRef.current(e);
+    element.addEventListener("wheel", listener, { passive: false });
+    return () => element.removeEventListener("wheel", listener);
+  }, [hasData]);
+
+  const handleChartKeyDown = (e) => {
+    if (!isRowOrderChart) return;
+    const { start, end } = zoomDomain;
+    const span = end - start;
+    const step = Math.max(1, Math.round(span * 0.1));
+    const center = (start + end) / 2;
+    const actions = {
+      ArrowLeft: () => panBy(-step),
+      ArrowRight: () => panBy(step),
+      "+": () => zoomAround(center, 0.8),
+      "=": () => zoomAround(center, 0.8),
+      "-": () => zoomAround(center, 1.25),
+    };
+    if (actions[e.key]) {
+      e.preventDefault();
+      actions[e.key]();
+    }
+  };
+
+  // Mouse handlers for the main chart: drag selects a range to zoom to, shift-drag pans
+  const getZoomInteractionProps = (chartData, plotWidth) => {
+    const rowAt = (state) => {
+      if (!state || state.activeTooltipIndex == null) return null;
+      const row = chartData[state.activeTooltipIndex];
+      return row ? row[ROW_INDEX_KEY] : null;
+    };
+
+    return {
+      onMouseDown: (state, e) => {
+        const row = rowAt(state);
+        if (row == null) return;
+        if (e && e.shiftKey) {
+          panStartRef.current = { chartX: state.chartX, domain: zoomDomain };
+          return;
+        }
+        setDragSelection({ startLabel: state.activeLabel, endLabel: state.activeLabel, startRow: row, endRow: row });
+      },
+      onMouseMove: (state) => {
+        const row = rowAt(state);
+        hoverRowRef.current = row;
+        if (panStartRef.current && state) {
+          const { chartX, domain } = panStartRef.current;
+          const shift = -((state.chartX - chartX) / plotWidth) * (domain.end - domain.start);
+          previewZoom(clampDomain(domain.start + shift, domain.end + shift));
+          return;
+        }
+        if (dragSelection && row != null) {
+          setDragSelection(prev => prev && { ...prev, endLabel: state.activeLabel, endRow: row });
+        }
+      },
+      onMouseUp: () => {
+        if (panStartRef.current) {
+          panStartRef.current = null;
+          commitPreview();
+          return;
+        }
+        if (dragSelection) {
+          const start = Math.min(dragSelection.startRow, dragSelection.endRow);
+          const end = Math.max(dragSelection.startRow, dragSelection.endRow);
+          setDragSelection(null);
+          if (annotationTool === "xRange") {
+            if (end > start) handleAnnotateRows(start, end);
+            return;
+          }
+          if (end - start >= MIN_ZOOM_SPAN) zoomTo({ start, end });
+          // A click without a drag picks the row in the data table, or places an annotation there
+          if (start === end && annotationTool) {
+            handleAnnotateRows(start, end);
+          } else if (start === end) {
+            setSelectedRow(start);
+            setIsTableOpen(true);
+          }
+        }
+      },
+      onMouseLeave: () => {
+        hoverRowRef.current = null;
+        if (panStartRef.current) {
+          panStartRef.current = null;
+          commitPreview();
+        }
+        setDragSelection(null);
+      },
+    };
+  };
+
+  // Annotation X values are typed as the X column, and row positions as whole numbers
+  const annotationXType = isRowIndexX ? "integer" : getColumnType(xColumn);
+
+  const handleFocusAnnotation = (id) => {
+    setFocusedAnnotation(id);
+    setIsAnnotationsOpen(true);
+  };
+
+  // Annotation placed by the chosen tool with a click at row `start`, or a drag from `start` to
+  // `end`. Horizontal lines and notes go on the first series with a value in that row.
+  const handleAnnotateRows = (start, end) => {
+    const row = rowAt(start);
+    const x = valueText(row[xColumn], annotationXType);
+    const column = plottedColumns.find(col => Number.isFinite(row[col])) || plottedColumns[0];
+    const y = column ? valueText(row[column], getColumnType(column)) : "";
+    const fields = {
+      xLine: { x },
+      xRange: { x, x2: valueText(getCellValue(columns[xColumn], end), annotationXType) },
+      yLine: { y, column },
+      note: { x, y, column },
+    }[annotationTool];
+    const next = appendAnnotations(annotations, [{ type: annotationTool, ...fields }]);
+    setAnnotations(next);
+    handleFocusAnnotation(next[next.length - 1].id);
+  };
+
+  // Whether an axis shows stacks as percentages of their totals
+  const isPercentAxis = (axis) => (
+    stackOffset === "expand" && axis.columns.some(col => stackGroupFor(col, seriesStyles, chartType))
+  );
+
+  // Y range of an axis over the visible rows of its series, padded for linear scales. Stacked series
+  // count by their running totals. Manual bounds replace either end; log scales only cover positive
+  // values.
+  const getAxisDomain = (axis, rowRange) => {
+    if (isPercentAxis(axis)) return [0, 1];
+    const isLog = axis.scale === "log";
+    let min = Infinity;
+    let max = -Infinity;
+    const include = (range) => {
+      if (!range) return;
+      min = Math.min(min, range[0]);
+      max = Math.max(max, range[1]);
+    };
+    const stacks = {};
+    axis.columns.forEach(col => {
+      const stack = stackGroupFor(col, seriesStyles, chartType);
+      if (stack) stacks[stack] = [...(stacks[stack] || []), columns[col]];
+      else include(getColumnRange(columns[col], rowRange.start, rowRange.end, { positiveOnly: isLog }));
+    });
+    Object.values(stacks).forEach(group => include(getStackedRange(group, rowRange.start, rowRange.end)));
+    if (min === Infinity) [min, max] = isLog ? [1, 100] : [0, 100];
+    else if (isLog) [min, max] = [min * 0.9, max * 1.1];
+    else {
+      const padding = (max - min) * 0.1;
+      [min, max] = [min - padding, max + padding];
+    }
+    const manualMin = parseAxisBound(axis.min);
+    const manualMax = parseAxisBound(axis.max);
+    if (manualMin != null && !(isLog && manualMin <= 0)) min = manualMin;
+    if (manualMax != null && !(isLog && manualMax <= 0)) max = manualMax;
+    return [min, max];
+  };
+
+  // Smart interval calculation for X-axis ticks
+  const calculateTickInterval = (dataLength, chartWidth = 800) => {
+    const maxTicks = Math.floor(chartWidth / 100); // Assume each tick needs ~100px for readability
+    
+    if (dataLength <= maxTicks) {
+      return 0; // Show all ticks
+    }
+    
+    // Calculate interval to show approximately maxTicks
+    const interval = Math.ceil(dataLength / maxTicks);
+    return interval - 1; // Recharts uses 0-based interval
+  };
+
+  // Y axes for the plotted series: their own, coloured like the series, or shared on either side
+  const renderYAxes = (rowRange) => yAxes.map(axis => (
+    <YAxis
+      key={axis.id}
+      yAxisId={axis.id}
+      orientation={axis.orientation}
+      stroke={axis.columns.length === 1 ? seriesColor(axis.columns[0]) : "#666"}
+      scale={axis.scale === "log" ? "log" : "auto"}
+      domain={getAxisDomain(axis, rowRange)}
+      allowDataOverflow={axis.scale === "log" || axis.min !== "" || axis.max !== ""}
+      tickFormatter={(value) => {
+        if (isPercentAxis(axis)) return formatShare(value, locale, 0);
+        if (axis.scale === "log" && value > 0 && value < 0.01) return value.toExponential(0);
+        return formatValue(value, axis.columns[0]);
+      }}
+    />
+  ));
+
+  // Legend name of a series: the name given to it, or else the column, saying how it was aggregated
+  const seriesLabel = (col) => {
+    const { name } = resolveStyle(seriesStyles[col]);
+    if (name) return name;
+    return isAggregated ? `${AGGREGATES[aggregateFor(aggregation.aggregates, col, filteredTable.schema[col].type)]} of ${col}` : col;
+  };
+
+  // Markers drawn at each point of a line or area, or false for none
+  const renderMarkers = (marker, color) => (marker === "none" ? false : ({ cx, cy, index }) => (
+    cx == null || cy == null ? null : <Symbols key={index} cx={cx} cy={cy} type={marker} size={30} fill={color} />
+  ));
+
+  const renderLine = (col) => {
+    const style = resolveStyle(seriesStyles[col]);
+    const color = seriesColor(col);
+    return (
+      <Line
+        key={col}
+        yAxisId={axisIdOf[col]}
+        type={style.curve}
+        dataKey={col}
+        name={seriesLabel(col)}
+        stroke={color}
+        strokeWidth={style.strokeWidth}
+        strokeDasharray={(DASH_PATTERNS[style.dash] || DASH_PATTERNS.solid).dasharray}
+        dot={renderMarkers(style.marker, color)}
+        isAnimationActive={false}
+        connectNulls={false}
+      />
+    );
+  };
+
+  const renderBar = (col) => {
+    const style = resolveStyle(seriesStyles[col]);
+    return (
+      <Bar
+        key={col}
+        yAxisId={axisIdOf[col]}
+        stackId={stackGroupFor(col, seriesStyles, chartType) || undefined}
+        dataKey={col}
+        name={seriesLabel(col)}
+        fill={seriesColor(col)}
+        fillOpacity={style.fillOpacity == null ? 1 : style.fillOpacity}
+        isAnimationActive={false}
+      />
+    );
+  };
+
+  const renderArea = (col) => {
+    const style = resolveStyle(seriesStyles[col]);
+    const color = seriesColor(col);
+    return (
+      <Area
+        key={col}
+        yAxisId={axisIdOf[col]}
+        stackId={stackGroupFor(col, seriesStyles, chartType) || undefined}
+        type={style.curve}
+        dataKey={col}
+        name={seriesLabel(col)}
+        fill={color}
+        stroke={color}
+        strokeWidth={style.strokeWidth}
+        strokeDasharray={(DASH_PATTERNS[style.dash] || DASH_PATTERNS.solid).dasharray}
+        fillOpacity={style.fillOpacity == null ? 0.6 : style.fillOpacity}
+        dot={renderMarkers(style.marker, color)}
+        isAnimationActive={false}
+        connectNulls={false}
+      />
+    );
+  };
+
+  const renderScatter = (col) => {
+    const { marker } = resolveStyle(seriesStyles[col]);
+    return (
+      <Scatter
+        key={col}
+        yAxisId={axisIdOf[col]}
+        dataKey={col}
+        name={seriesLabel(col)}
+        fill={seriesColor(col)}
+        shape={marker === "none" ? "circle" : marker}
+        isAnimationActive={false}
+      />
+    );
+  };
+
+  const SERIES_RENDERERS = { line: renderLine, bar: renderBar, area: renderArea, scatter: renderScatter };
+
+  // Composed charts draw areas and bars first so lines and points stay visible on top of them
+  const COMPOSED_ORDER = ["area", "bar", "line", "scatter"];
+  const renderComposedSeries = () => COMPOSED_ORDER.flatMap(mark => (
+    plottedColumns.filter(col => markFor(col, seriesStyles, chartType) === mark).map(SERIES_RENDERERS[mark])
+  ));
+
+  // Decide whether the X column can be drawn on a continuous scale: number, time or category
+  const detectXAxisScale = () => {
+    if (isRowIndexX) return "number";
+    const type = getColumnType(xColumn);
+    if (isNumericType(type)) return "number";
+    if (isDateType(type)) return "time";
+    return "category";
+  };
+
+  // Typed X values are already numbers (dates as epoch ms); missing ones aren't plottable
+  const toXNumber = (value) => (value == null ? NaN : Number(value));
+
+  // Min/max of the X values with padding so edge points aren't clipped
+  const getXDomain = (values) => {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    });
+    if (min === Infinity) return ['auto', 'auto'];
+    const padding = max > min ? (max - min) * 0.02 : Math.abs(min) * 0.02 || 1;
+    return [min - padding, max + padding];
+  };
+
+  // Round-valued ticks for a time axis, aligned to local time so day steps land on midnight
+  const getTimeTicks = ([min, max], count) => {
+    const minute = 60 * 1000;
+    const hour = 60 * minute;
+    const day = 24 * hour;
+    const steps = [
+      1000, 5000, 15000, 30000, minute, 5 * minute, 15 * minute, 30 * minute,
+      hour, 3 * hour, 6 * hour, 12 * hour, day, 2 * day, 7 * day, 14 * day, 30 * day, 91 * day, 182 * day, 365 * day
+    ];
+    const target = (max - min) / count;
+    const step = steps.find(s => s >= target) || Math.ceil(target / (365 * day)) * 365 * day;
+    const offset = -new Date(min).getTimezoneOffset() * minute;
+    const ticks = [];
+    for (let t = Math.ceil((min + offset) / step) * step - offset; t <= max; t += step) {
+      ticks.push(t);
+    }
+    return ticks;
+  };
+
+  // Number format or date pattern of a column, as set in the formats panel for the X column and
+  // the plotted series
+  const columnFormat = (column) => resolveFormat(columnFormats[column]);
+  const formatColumns = [...(isRowIndexX ? [] : [xColumn]), ...plottedColumns.filter(col => col !== xColumn)];
+
+  // Pick a date pattern that fits the visible time span, unless the X column has its own
+  const formatTimeTick = (value, span) => {
+    const dateObj = new Date(value);
+    if (isNaN(dateObj.getTime())) return "—";
+    const { datePattern } = columnFormat(xColumn);
+    if (datePattern) return formatDate(value, datePattern, locale);
+    const hour = 60 * 60 * 1000;
+    if (span <= 2 * hour) {
+      return dateFormatter(locale, { hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' }).format(dateObj);
+    }
+    if (span <= 3 * 24 * hour) {
+      return dateFormatter(locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(dateObj);
+    }
+    if (span <= 365 * 24 * hour) {
+      return dateFormatter(locale, { month: 'short', day: 'numeric' }).format(dateObj);
+    }
+    return dateFormatter(locale, { month: 'short', year: 'numeric' }).format(dateObj);
+  };
+
+  // Analyze the X-axis column to determine data pattern and create descriptive name. This sorts
+  // the whole column, so it's only done again when the column or its rows change.
+  const xAxisName = useMemo(() => {
+    if (isRowIndexX) return "Row Index";
+    if (!rowCount || !headers.length) return xColumn || "X-Axis";
+    
+    const columnName = xColumn;
+    const type = hasColumn(schema, columnName) ? schema[columnName].type : undefined;
+    const values = columns[columnName].filter(val => val != null && !Number.isNaN(val));
+    
+    if (values.length === 0) return columnName;
+    
+    if (isDateType(type)) {
+      return `${columnName} (Timeline)`;
+    }
+    
+    if (isNumericType(type)) {
+      const nums = values;
+      const [min, max] = getColumnRange(nums);
+      const range = max - min;
+      
+      if (range === 0) {
+        return `${columnName} (Constant: ${min})`;
+      } else if (nums.length > 1) {
+        // Check if it's a sequence (like years, months, etc.)
+        const sorted = [...nums].sort((a, b) => a - b);
+        const differences = [];
+        for (let i = 1; i < sorted.length; i++) {
+          differences.push(sorted[i] - sorted[i-1]);
+        }
+        const avgDiff = differences.reduce((sum, diff) => sum + diff, 0) / differences.length;
+        
+        if (avgDiff > 0 && avgDiff < 1) {
+          return `${columnName} (Range: ${min.toFixed(2)} - ${max.toFixed(2)})`;
+        } else if (Number.isInteger(avgDiff) && avgDiff > 0) {
+          return `${columnName} (Sequence: +${Math.round(avgDiff)})`;
+        } else {
+          return `${columnName} (Range: ${min} - ${max})`;
+        }
+      }
+    }
+    
+    if (type === "boolean") {
+      return `${columnName} (Yes/No)`;
+    }
+    
+    if (type === "category") {
+      const uniqueValues = new Set(values);
+      return `${columnName} (${uniqueValues.size} Categories)`;
+    }
+    
+    if (type === "text") {
+      return `${columnName} (Text)`;
+    }
+    
+    return columnName;
+  }, [isRowIndexX, rowCount, headers.length, xColumn, columns, schema]);
+
+  // Custom tick formatter for X-axis to handle long labels and dates
+  const formatXAxisTick = (value) => {
+    if (value == null || value === "") return "—";
+    if (isRowIndexX) return String(value);
+    const type = getColumnType(xColumn);
+    
+    const format = columnFormat(xColumn);
+    const dateObj = isDateType(type) ? new Date(value) : null;
+    
+    if (dateObj && !isNaN(dateObj.getTime())) {
+      if (format.datePattern) return formatDate(value, format.datePattern, locale);
+      if (type === "datetime") {
+        // Show date and time
+        return dateFormatter(locale, { 
+          month: 'short', 
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+          hourCycle: 'h23'
+        }).format(dateObj);
+      } else {
+        // Show just date
+        return dateFormatter(locale, { 
+          month: 'short', 
+          day: 'numeric',
+          year: '2-digit'
+        }).format(dateObj);
+      }
+    }
+    
+    if (type === "boolean") {
+      return value ? "true" : "false";
+    }
+
+    if (isNumericType(type) && typeof value === "number") {
+      return formatNumber(value, format, locale);
+    }
+    
+    // Handle strings
+    if (typeof value === 'string' && value.length > 8) {
+      return value.substring(0, 6) + '...';
+    }
+    
+    return String(value);
+  };
+
+  // Format values for display, handling different data types
+  const formatValue = (value, column) => {
+    if (value == null || value === "" || Number.isNaN(value)) return "—";
+    const type = getColumnType(column);
+    const format = columnFormat(column);
+    
+    const dateObj = isDateType(type) ? new Date(value) : null;
+    
+    if (dateObj && !isNaN(dateObj.getTime())) {
+      if (format.datePattern) return formatDate(value, format.datePattern, locale);
+      if (type === "datetime") {
+        return dateFormatter(locale, {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit',
+          hourCycle: 'h23'
+        }).format(dateObj);
+      } else {
+        return dateFormatter(locale, {
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric'
+        }).format(dateObj);
+      }
+    }
+    
+    if (type === "boolean" && (value === 0 || value === 1)) {
+      return value ? "true" : "false";
+    }
+    
+    if (typeof value === 'number') {
+      return formatNumber(value, format, locale);
+    }
+    return String(value);
+  };
+
+  // Most slices in a pie of groups; smaller groups are merged into "Other"
+  const MAX_PIE_SLICES = 12;
+
+  // Pies can have more slices than the palette has colours; further ones get hues spread around the
+  // colour wheel
+  const sliceColor = (index) => {
+    const { colors } = PALETTES[palette] || PALETTES.classic;
+    return index < colors.length ? colors[index] : `hsl(${(index * 137.5) % 360}, 55%, 60%)`;
+  };
+
+  // Sums of the series over the rows, for a pie of single rows. Only positive sums are slices.
+  const columnSumsOf = (rowRange) => plottedColumns.filter(col => !isDateType(getColumnType(col))).map(col => {
+    let sum = 0;
+    for (let i = rowRange.start; i <= rowRange.end; i++) {
+      const value = Number(columns[col][i]);
+      if (!isNaN(value)) sum += value;
+    }
+    return { column: col, value: sum };
+  }).filter(d => d.value > 0);
+
+  // Only positive values make sense as slices
+  const sliceValue = (row, col) => (Number.isFinite(row[col]) && row[col] > 0 ? row[col] : 0);
+
+  // Pie of aggregated rows: one slice per group, and one ring per series when there are several
+  const renderGroupPie = (rows, legend) => {
+    const series = plottedColumns.filter(col => !isDateType(getColumnType(col)));
+    const groupNames = rows.map(row => formatXAxisTick(row[groupBy]));
+    // Slice order and colors follow the first series so rings line up
+    const order = [...rows.keys()]
+      .filter(i => series.length && sliceValue(rows[i], series[0]) > 0)
+      .sort((a, b) => sliceValue(rows[b], series[0]) - sliceValue(rows[a], series[0]));
+    const shown = order.slice(0, order.length > MAX_PIE_SLICES ? MAX_PIE_SLICES - 1 : MAX_PIE_SLICES);
+    const others = order.slice(shown.length);
+    const categories = [...shown.map(i => groupNames[i]), ...(others.length ? ["Other"] : [])];
+
+    if (!categories.length) {
+      return <p className="text-center text-gray-500">Selected columns contain no positive values for Pie Chart.</p>;
+    }
+
+    const ringWidth = Math.min(100, 240 / series.length) / 2;
+    return (
+      <PieChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
+        {series.map((col, ring) => {
+          const slices = shown.map(i => ({ name: groupNames[i], value: sliceValue(rows[i], col), column: col }));
+          if (others.length) {
+            slices.push({ name: "Other", value: others.reduce((acc, i) => acc + sliceValue(rows[i], col), 0), column: col });
+          }
+          return (
+            <Pie
+              key={col}
+              data={slices}
+              dataKey="value"
+              nameKey="name"
+              cx="50%"
+              cy="50%"
+              innerRadius={ring === 0 ? 0 : 20 + ring * ringWidth}
+              outerRadius={20 + (ring + 1) * ringWidth - 2}
+              isAnimationActive={false}
+              label={series.length === 1 ? ({ name, percent }) => `${name} ${formatShare(percent, locale)}` : false}
+            >
+              {slices.map((slice, index) => (
+                <Cell key={slice.name} fill={sliceColor(index)} />
+              ))}
+            </Pie>
+          );
+        })}
+        <Tooltip formatter={(value, name, item) => [formatValue(value, item.payload.column), `${name} (${seriesLabel(item.payload.column)})`]} />
+        {legend && <Legend payload={categories.map((name, index) => ({ value: name, type: "square", id: name, color: sliceColor(index) }))} />}
+      </PieChart>
+    );
+  };
+
+  const noDistributionValues = <p className="text-center text-gray-500">Selected columns have no values in these rows.</p>;
+  const distributionMargin = { top: 20, right: 60, left: 60, bottom: 80 };
+
+  // Counts of each series' values on shared bins
+  const histogramOf = (rowRange) => histogramRows(
+    Object.fromEntries(plottedColumns.map(col => [col, sortedValues(columns[col], rowRange.start, rowRange.end)])),
+    histogramBins
+  );
+
+  // The bins drawn as touching bars
+  const renderHistogram = (rowRange, legend) => {
+    const rows = histogramOf(rowRange);
+    if (!rows.length) return noDistributionValues;
+    const valueColumn = plottedColumns[0];
+    const binLabel = (bin) => `${formatValue(bin.start, valueColumn)} to ${formatValue(bin.end, valueColumn)}`;
+    return (
+      <BarChart data={rows} margin={distributionMargin} barCategoryGap={1} barGap={0}>
+        <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
+        <XAxis
+          dataKey={(row) => row[BIN_KEY].start}
+          tickFormatter={(value) => formatValue(value, valueColumn)}
+          angle={-45}
+          textAnchor="end"
+          height={80}
+          tick={{ fontSize: 10 }}
+        />
+        <YAxis allowDecimals={false} tickFormatter={(value) => formatCount(value, locale)} label={{ value: "Count", angle: -90, position: "insideLeft" }} />
+        <Tooltip
+          labelFormatter={(value, payload) => (payload && payload.length ? binLabel(payload[0].payload[BIN_KEY]) : value)}
+          formatter={(value, name) => [formatCount(value, locale), name]}
+        />
+        {legend}
+        {plottedColumns.map(col => (
+          <Bar key={col} dataKey={col} name={seriesLabel(col)} fill={seriesColor(col)} isAnimationActive={false} />
+        ))}
+      </BarChart>
+    );
+  };
+
+  // Box statistics of each series, per group of the box plot's group column when it has one, with
+  // the total number of groups
+  const boxesOf = (rowRange) => {
+    const groupColumn = hasColumn(schema, boxGroupBy) && isGroupColumn(boxGroupBy) ? boxGroupBy : null;
+    if (!groupColumn) {
+      const stats = Object.fromEntries(plottedColumns.map(col => [col, boxStats(sortedValues(columns[col], rowRange.start, rowRange.end))]));
+      return { groupColumn, rows: [{ name: "", stats }], total: 0 };
+    }
+    const split = splitByGroup(columns[groupColumn], getColumnType(groupColumn), rowRange.start, rowRange.end);
+    const rows = split.groups.map(group => ({
+      name: group.name,
+      stats: Object.fromEntries(plottedColumns.map(col => [col, boxStats(sortedValuesAt(columns[col], group.positions))])),
+    }));
+    return { groupColumn, rows, total: split.total };
+  };
+
+  // Box and whiskers per series, or per group of a column with a box for each series
+  const renderBoxPlot = (rowRange, legend) => {
+    const { groupColumn, rows, total } = boxesOf(rowRange);
+    const allStats = rows.flatMap(row => Object.values(row.stats)).filter(Boolean);
+    if (!allStats.length) return noDistributionValues;
+    const min = Math.min(...allStats.map(stats => stats.min));
+    const max = Math.max(...allStats.map(stats => stats.max));
+    const padding = max > min ? (max - min) * 0.05 : Math.abs(min) * 0.05 || 1;
+    const domain = [min - padding, max + padding];
+    rows.forEach(row => { row[BOX_KEY] = domain; });
+
+    const valueColumn = plottedColumns[0];
+    const renderTooltip = ({ active, payload }) => {
+      if (!active || !payload || !payload.length) return null;
+      const row = payload[0].payload;
+      return (
+        <div className="p-2 text-sm bg-white border rounded shadow text-gray-900">
+          {row.name && <p className="font-semibold">{row.name}</p>}
+          {plottedColumns.filter(col => row.stats[col]).map(col => {
+            const stats = row.stats[col];
+            return (
+              <p key={col} style={{ color: seriesColor(col) }}>
+                {seriesLabel(col)}: median {formatValue(stats.median, col)}, quartiles {formatValue(stats.q1, col)} to{" "}
+                {formatValue(stats.q3, col)}, whiskers {formatValue(stats.low, col)} to {formatValue(stats.high, col)}
+                {stats.outliers.length > 0 && `, ${stats.outliers.length} outliers`} ({formatCount(stats.count, locale)} values)
+              </p>
+            );
+          })}
+        </div>
+      );
+    };
+
+    return (
+      <BarChart data={rows} margin={distributionMargin}>
+        <CartesianGrid stroke="#ccc" strokeDasharray="5 5" vertical={false} />
+        <XAxis dataKey="name" tick={groupColumn ? { fontSize: 10 } : false} label={groupColumn ? { value: groupColumn, position: "insideBottom", offset: -10 } : undefined} />
+        <YAxis domain={domain} allowDataOverflow tickFormatter={(value) => formatValue(value, valueColumn)} />
+        <Tooltip content={renderTooltip} cursor={{ fill: "#9ca3af", fillOpacity: 0.15 }} />
+        {legend && <Legend payload={plottedColumns.map(col => ({ value: seriesLabel(col), type: "square", id: col, color: seriesColor(col) }))} />}
+        {plottedColumns.map(col => (
+          <Bar
+            key={col}
+            dataKey={BOX_KEY}
+            name={seriesLabel(col)}
+            isAnimationActive={false}
+            shape={(props) => <BoxShape {...props} stats={props.payload.stats[col]} domain={domain} color={seriesColor(col)} />}
+          />
+        ))}
+        {total > rows.length && (
+          <text x="50%" y={12} textAnchor="middle" fontSize={12} fill="#6b7280">
+            {`First ${rows.length} of ${total} groups`}
+          </text>
+        )}
+      </BarChart>
+    );
+  };
+
+  // Share of each series' values at or below each value, for the series that have values
+  const ecdfCurvesOf = (rowRange) => plottedColumns
+    .map(col => ({ col, points: ecdfPoints(sortedValues(columns[col], rowRange.start, rowRange.end)) }))
+    .filter(curve => curve.points.length);
+
+  // The shares drawn as steps
+  const renderEcdf = (rowRange, legend) => {
+    const curves = ecdfCurvesOf(rowRange);
+    if (!curves.length) return noDistributionValues;
+    const valueColumn = plottedColumns[0];
+    const min = Math.min(...curves.map(curve => curve.points[0].x));
+    const max = Math.max(...curves.map(curve => curve.points[curve.points.length - 1].x));
+    return (
+      <LineChart margin={distributionMargin}>
+        <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
+        <XAxis
+          type="number"
+          dataKey="x"
+          domain={max > min ? [min, max] : ["auto", "auto"]}
+          tickFormatter={(value) => formatValue(value, valueColumn)}
+          angle={-45}
+          textAnchor="end"
+          height={80}
+          tick={{ fontSize: 10 }}
+        />
+        <YAxis domain={[0, 1]} tickFormatter={(value) => formatShare(value, locale, 0)} />
+        <Tooltip
+          labelFormatter={(value) => formatValue(value, valueColumn)}
+          formatter={(value, name) => [formatShare(value, locale), name]}
+        />
+        {legend}
+        {curves.map(({ col, points }) => (
+          <Line
+            key={col}
+            data={points}
+            dataKey="y"
+            name={seriesLabel(col)}
+            type="stepAfter"
+            stroke={seriesColor(col)}
+            dot={false}
+            isAnimationActive={false}
+          />
+        ))}
+      </LineChart>
+    );
+  };
+
+  // Line, area and scatter charts place numeric and date X values on a continuous scale, and
+  // composed charts too while no series is drawn as bars, which need a category axis
+  const xScale = detectXAxisScale();
+  const hasBarMarks = plottedColumns.some(col => markFor(col, seriesStyles, chartType) === "bar");
+  const isContinuousX = xScale !== "category" &&
+    (["line", "area", "scatter"].includes(chartType) || (chartType === "composed" && !hasBarMarks));
+
+  // Rows for a view: the zoom window (or everything for the full export), downsampled per series
+  // when it holds more points than the chart can show. Distributions draw from the columns and
+  // pies of single rows are summed from them, so neither needs rows; pies of groups need all of
+  // them. The zoom overview shows every chart's rows in order.
+  const getChartRows = useCallback((rowRange, maxPoints, inRowOrder = isRowOrderChart) => {
+    if (!inRowOrder) {
+      const rows = chartType === "pie" && isAggregated
+        ? buildRows(columns, headers, rowRange.start, rowRange.end, ROW_INDEX_KEY)
+        : [];
+      return { rowRange, rows, isDownsampled: false };
+    }
+    const xValues = columns[xColumn];
+    const getX = isContinuousX && xValues ? (i) => xValues[i] : (i) => i;
+    const positions = downsampleRows({
+      method: downsampleMethod,
+      getX,
+      series: plottedColumns.map(col => columns[col]),
+      start: rowRange.start,
+      end: rowRange.end,
+      maxPoints,
+    });
+    return {
+      rowRange,
+      rows: positions
+        ? positions.map(i => buildRow(columns, headers, i, ROW_INDEX_KEY))
+        : buildRows(columns, headers, rowRange.start, rowRange.end, ROW_INDEX_KEY),
+      isDownsampled: Boolean(positions),
+    };
+  }, [isRowOrderChart, chartType, isAggregated, columns, headers, xColumn, isContinuousX, downsampleMethod, plottedColumns]);
+
+  // Trendline, moving-average band and forecast of each line or scatter series that has them. They
+  // are fitted to every row in `rowRange`, not the downsampled ones, so they follow the zoom window
+  // and filters. Fitting can be slow, so it's kept apart from the names, which follow the formats.
+  const fitOverlays = useCallback((rowRange) => {
+    if (!isContinuousX) return [];
+    const xValues = columns[xColumn] || null;
+    const isTimeX = xScale === "time";
+    return plottedColumns.flatMap(col => {
+      const style = resolveStyle(seriesStyles[col]);
+      if (!OVERLAY_MARKS.includes(markFor(col, seriesStyles, chartType)) || !hasOverlays(style)) return [];
+      const points = seriesPoints(xValues, columns[col], rowRange.start, rowRange.end);
+      if (!points.length) return [];
+      const overlays = [];
+
+      const trend = style.trend !== "none" && TREND_TYPES[style.trend] && fitTrend(points, style.trend, {
+        degree: style.trendDegree,
+        origin: isTimeX ? points[0].x : 0,
+        unit: isTimeX ? DAY_MS : 1,
+      });
+      if (trend) {
+        overlays.push({ col, kind: "trend", points: curvePoints(points, trend.predict), trend, origin: points[0].x });
+      }
+
+      const average = style.movingAverage > 1 ? movingAverageBand(points, style.movingAverage) : [];
+      if (average.length) {
+        overlays.push({ col, kind: "average", points: average });
+      }
+
+      const forecast = style.forecast > 0 && forecastSeries(points, style.forecast, style.forecastSeason);
+      if (forecast) {
+        overlays.push({ col, kind: "forecast", points: forecast });
+      }
+      return overlays;
+    });
+  }, [isContinuousX, columns, xColumn, xScale, plottedColumns, seriesStyles, chartType]);
+
+  // Legend names of fitted overlays
+  const nameOverlays = (overlays) => overlays.map(overlay => {
+    const { col, kind, trend, origin } = overlay;
+    const style = resolveStyle(seriesStyles[col]);
+    const label = seriesLabel(col);
+    if (kind === "average") {
+      return { ...overlay, name: `${style.movingAverage}-point moving average of ${label} (±2σ)` };
+    }
+    if (kind === "forecast") return { ...overlay, name: `Forecast of ${label} (95% band)` };
+    const details = [
+      trend.equation,
+      trend.r2 != null && `R² = ${trend.r2.toFixed(3)}`,
+      xScale === "time" && trend.equation && `x in days from ${formatValue(origin, xColumn)}`,
+    ].filter(Boolean).join(", ");
+    return { ...overlay, name: `${TREND_TYPES[style.trend]} of ${label}${details ? ` (${details})` : ""}` };
+  });
+
+  // Overlays as lines over the series, with shaded bands where they have them. They carry their own
+  // rows, with X under the X column's key so the X axis reads them like the chart's, and are left
+  // out of the tooltip, whose rows are the chart's.
+  const OVERLAY_DASHES = { trend: "2 3", average: undefined, forecast: "8 4" };
+  const renderOverlays = (overlays) => overlays.flatMap(({ col, kind, points, name }) => {
+    const rows = points.map(p => ({ [xColumn]: p.x, value: p.y, band: p.low == null ? undefined : [p.low, p.high] }));
+    const color = seriesColor(col);
+    const key = `${kind}-${col}`;
+    const line = (
+      <Line
+        key={key}
+        data={rows}
+        dataKey="value"
+        name={name}
+        yAxisId={axisIdOf[col]}
+        type="linear"
+        stroke={color}
+        strokeWidth={kind === "average" ? 1.5 : 2}
+        strokeDasharray={OVERLAY_DASHES[kind]}
+        dot={false}
+        activeDot={false}
+        legendType="plainline"
+        tooltipType="none"
+        isAnimationActive={false}
+      />
+    );
+    if (kind === "trend") return [line];
+    return [
+      <Area
+        key={`${key}-band`}
+        data={rows}
+        dataKey="band"
+        yAxisId={axisIdOf[col]}
+        type="linear"
+        stroke="none"
+        fill={color}
+        fillOpacity={0.15}
+        activeDot={false}
+        legendType="none"
+        tooltipType="none"
+        isAnimationActive={false}
+      />,
+      line,
+    ];
+  });
+
+  // Annotations as Recharts reference marks: shaded ranges go behind the series ("back") and lines
+  // and notes in front of them ("front"). Y values are on the axis of their series, or of the first
+  // one when it isn't plotted. On screen, pressing on one opens it in the panel.
+  const renderAnnotations = (layer, isInteractive) => annotations.flatMap(annotation => {
+    const { id, type } = annotation;
+    if ((layer === "back") !== (type === "xRange" || type === "yRange")) return [];
+    const color = annotation.color || DEFAULT_ANNOTATION_COLOR;
+    const column = plottedColumns.includes(annotation.column) ? annotation.column : plottedColumns[0];
+    const x = parseAnnotationValue(annotation.x, annotationXType);
+    const x2 = parseAnnotationValue(annotation.x2, annotationXType);
+    const y = parseAnnotationValue(annotation.y, getColumnType(column));
+    const y2 = parseAnnotationValue(annotation.y2, getColumnType(column));
+    const props = {
+      yAxisId: axisIdOf[column],
+      ...(isInteractive && {
+        onMouseDown: (e) => {
+          e.stopPropagation();
+          handleFocusAnnotation(id);
+        },
+        style: { cursor: "pointer" },
+      }),
+    };
+    const label = (position) => annotation.label && { value: annotation.label, position, fill: color, fontSize: 12 };
+    const key = `annotation-${id}`;
+    switch (type) {
+      case "xLine":
+        return x == null ? [] : [
+          <ReferenceLine key={key} {...props} x={x} stroke={color} strokeWidth={2} label={label("insideTopLeft")} />,
+        ];
+      case "yLine":
+        // Thresholds stay in view even when the data doesn't reach them
+        return y == null ? [] : [
+          <ReferenceLine key={key} {...props} y={y} stroke={color} strokeWidth={2} strokeDasharray="6 3" ifOverflow="extendDomain" label={label("insideBottomRight")} />,
+        ];
+      case "xRange":
+        return x == null || x2 == null ? [] : [
+          <ReferenceArea key={key} {...props} x1={x} x2={x2} fill={color} fillOpacity={0.15} ifOverflow="hidden" label={label("insideTop")} />,
+        ];
+      case "yRange":
+        return y == null || y2 == null ? [] : [
+          <ReferenceArea key={key} {...props} y1={y} y2={y2} fill={color} fillOpacity={0.15} ifOverflow="extendDomain" label={label("insideRight")} />,
+        ];
+      case "note":
+        return x == null || y == null ? [] : [
+          <ReferenceDot key={key} {...props} x={x} y={y} r={5} fill={color} stroke="#ffffff" label={label("top")} />,
+        ];
+      default:
+        return [];
+    }
+  });
+
+  // Render the chart: "normal" is the interactive one on screen, and "view" and "full" are drawn
+  // for export over the zoom window or all rows, without the legend
+  const renderChart = (mode = "normal") => {
+    if (!rowCount || selectedColumns.length === 0 || headers.length === 0) {
+      return <p className="text-center text-gray-500">Please upload CSV and select columns.</p>;
+    }
+    if (plottedColumns.length === 0) {
+      return <p className="text-center text-gray-500">Selected columns have no numeric values. Change their type under Column Types.</p>;
+    }
+
+    const { rowRange, rows } = mode === "full" ? getChartRows(fullRange, FULL_MAX_POINTS) : normalView;
+    let chartData = rows;
+    const legend = mode === "normal" && <Legend />;
+
+    const getXValue = (row) => toXNumber(row[xColumn]);
+    let xDomain = null;
+    const overlayData = nameOverlays(mode === "full" ? fitOverlays(rowRange) : viewOverlays);
+    const overlays = renderOverlays(overlayData);
+
+    if (isContinuousX) {
+      chartData = chartData.filter(row => isFinite(getXValue(row)));
+      // Lines and areas must be drawn in X order; scatter points stay in row order
+      if (chartType !== "scatter") {
+        chartData = [...chartData].sort((a, b) => getXValue(a) - getXValue(b));
+      }
+      // Forecasts run past the last row
+      xDomain = getXDomain([...chartData.map(getXValue), ...overlayData.map(overlay => overlay.points[overlay.points.length - 1].x)]);
+    }
+
+    const formatXLabel = (value) => {
+      if (isRowIndexX) return value;
+      return formatValue(value, xColumn);
+    };
+
+    // Calculate appropriate tick interval based on strategy and data size
+    let tickInterval = 0;
+    let showTicks = true;
+    
+    switch (xAxisStrategy) {
+      case "auto":
+        tickInterval = calculateTickInterval(chartData.length);
+        break;
+      case "sparse":
+        tickInterval = Math.max(Math.ceil(chartData.length / 10), 0);
+        break;
+      case "none":
+        showTicks = false;
+        break;
+    }
+
+    const xSpan = xDomain && typeof xDomain[0] === 'number' ? xDomain[1] - xDomain[0] : 0;
+    const continuousTickFormatter = xScale === "time"
+      ? (value) => formatTimeTick(value, xSpan)
+      : formatXAxisTick;
+
+    const xTickCount = xAxisStrategy === "sparse" ? 5 : Math.floor(800 / 100);
+
+    const xAxisProps = {
+      ...(isContinuousX ? {
+        dataKey: getXValue,
+        type: "number",
+        scale: xScale === "time" ? "time" : "auto",
+        domain: xDomain,
+        allowDataOverflow: true,
+        tickCount: xTickCount,
+        ticks: xScale === "time" && xSpan > 0 ? getTimeTicks(xDomain, xTickCount) : undefined,
+        tickFormatter: showTicks ? continuousTickFormatter : () => "",
+      } : {
+        dataKey: xColumn,
+        tickFormatter: showTicks ? formatXAxisTick : () => "",
+        allowDuplicatedCategory: false,
+        interval: tickInterval,
+      }),
+      angle: showTicks ? -45 : 0,
+      textAnchor: showTicks ? "end" : "middle",
+      height: showTicks ? 100 : 60,
+      tick: showTicks ? { fontSize: 10 } : false,
+      minTickGap: 1,
+      label: { 
+        value: xAxisName, 
+        position: 'insideBottom', 
+        offset: showTicks ? 10 : -20, 
+        textAnchor: 'middle' 
+      }
+    };
+
+    const chartMargin = { top: 20, right: 60, left: 60, bottom: showTicks ? 120 : 80 };
+
+    // Drag-to-zoom and panning only apply to the interactive view
+    const isInteractive = mode === "normal";
+    const chartWidth = chartAreaRef.current ? chartAreaRef.current.clientWidth : 800;
+    const plotWidth = Math.max(100, chartWidth - chartMargin.left - chartMargin.right - yAxes.length * 60);
+    const interactionProps = isInteractive ? getZoomInteractionProps(chartData, plotWidth) : {};
+    // Panels of a dashboard can show the tooltip at the same X value together
+    const syncProps = isInteractive && syncHover ? { syncId: "dashboard", syncMethod: "value" } : {};
+    const selectionArea = isInteractive && dragSelection && (
+      <ReferenceArea
+        yAxisId={axisIdOf[plottedColumns[0]]}
+        x1={dragSelection.startLabel}
+        x2={dragSelection.endLabel}
+        fill="#3b82f6"
+        fillOpacity={0.15}
+        strokeOpacity={0.3}
+      />
+    );
+    // The selected row: a line at its X value and a dot on each series that isn't stacked
+    const selectedData = isInteractive && selectedRow != null && selectedRow >= rowRange.start && selectedRow <= rowRange.end
+      ? rowAt(selectedRow)
+      : null;
+    const selectedX = selectedData && (isContinuousX ? getXValue(selectedData) : selectedData[xColumn]);
+    const selectionMarks = selectedData && [
+      <ReferenceLine key="selected-row" yAxisId={axisIdOf[plottedColumns[0]]} x={selectedX} stroke="#ef4444" strokeDasharray="4 2" />,
+      ...plottedColumns
+        .filter(col => Number.isFinite(selectedData[col]) && !stackGroupFor(col, seriesStyles, chartType))
+        .map(col => (
+          <ReferenceDot
+            key={`selected-${col}`}
+            yAxisId={axisIdOf[col]}
+            x={selectedX}
+            y={selectedData[col]}
+            r={5}
+            fill={seriesColor(col)}
+            stroke="#ef4444"
+            strokeWidth={2}
+          />
+        )),
+    ];
+
+    // Gaps in the timeline are shaded behind the banded annotations
+    const gapBands = isContinuousX && xDomain
+      ? timeGaps
+        .filter(gap => gap.end >= xDomain[0] && gap.start <= xDomain[1])
+        .slice(0, MAX_SHADED_GAPS)
+        .map(gap => (
+          <ReferenceArea
+            key={`gap-${gap.start}`}
+            yAxisId={axisIdOf[plottedColumns[0]]}
+            x1={gap.start}
+            x2={gap.end}
+            fill="#9ca3af"
+            fillOpacity={0.25}
+            ifOverflow="hidden"
+          />
+        ))
+      : [];
+    const annotationBands = [...gapBands, ...renderAnnotations("back", isInteractive)];
+    const annotationMarks = renderAnnotations("front", isInteractive);
+
+    switch(chartType) {
+      case "line": {
+        // Overlay bands are areas, which only the composed chart draws alongside lines
+        const LineChartType = overlays.length ? ComposedChart : LineChart;
+        return (
+          <LineChartType data={chartData} margin={chartMargin} {...interactionProps} {...syncProps}>
+            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
+            <XAxis {...xAxisProps} />
+            {renderYAxes(rowRange)}
+            {annotationBands}
+            <Tooltip 
+              labelFormatter={(value) => `${xAxisName}: ${formatXLabel(value)}`}
+              formatter={(value, name, item) => [formatValue(value, item.dataKey), name]}
+            />
+            {legend}
+            {plottedColumns.map(renderLine)}
+            {overlays}
+            {selectionArea}
+            {selectionMarks}
+            {annotationMarks}
+          </LineChartType>
+        );
+      }
+
+      case "bar":
+        return (
+          <BarChart data={chartData} margin={chartMargin} stackOffset={stackOffset} {...interactionProps} {...syncProps}>
+            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
+            <XAxis {...xAxisProps} />
+            {renderYAxes(rowRange)}
+            {annotationBands}
+            <Tooltip 
+              labelFormatter={(value) => `${xAxisName}: ${formatXLabel(value)}`}
+              formatter={(value, name, item) => [formatValue(value, item.dataKey), name]}
+            />
+            {legend}
+            {plottedColumns.map(renderBar)}
+            {selectionArea}
+            {selectionMarks}
+            {annotationMarks}
+          </BarChart>
+        );
+
+      case "area":
+        return (
+          <AreaChart data={chartData} margin={chartMargin} stackOffset={stackOffset} {...interactionProps} {...syncProps}>
+            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
+            <XAxis {...xAxisProps} />
+            {renderYAxes(rowRange)}
+            {annotationBands}
+            <Tooltip 
+              labelFormatter={(value) => `${xAxisName}: ${formatXLabel(value)}`}
+              formatter={(value, name, item) => [formatValue(value, item.dataKey), name]}
+            />
+            {legend}
+            {plottedColumns.map(renderArea)}
+            {selectionArea}
+            {selectionMarks}
+            {annotationMarks}
+          </AreaChart>
+        );
+
+      case "composed":
+        return (
+          <ComposedChart data={chartData} margin={chartMargin} stackOffset={stackOffset} {...interactionProps} {...syncProps}>
+            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
+            <XAxis {...xAxisProps} />
+            {renderYAxes(rowRange)}
+            {annotationBands}
+            <Tooltip 
+              labelFormatter={(value) => `${xAxisName}: ${formatXLabel(value)}`}
+              formatter={(value, name, item) => [formatValue(value, item.dataKey), name]}
+            />
+            {legend}
+            {renderComposedSeries()}
+            {overlays}
+            {selectionArea}
+            {selectionMarks}
+            {annotationMarks}
+          </ComposedChart>
+        );
+
+      case "scatter": {
+        const ScatterChartType = overlays.length ? ComposedChart : ScatterChart;
+        return (
+          <ScatterChartType data={chartData} margin={chartMargin} {...interactionProps} {...syncProps}>
+            <CartesianGrid stroke="#ccc" strokeDasharray="5 5" />
+            <XAxis
+              {...xAxisProps}
+              type={isContinuousX ? "number" : "category"}
+              name={xAxisName}
+            />
+            {renderYAxes(rowRange)}
+            {annotationBands}
+            <Tooltip 
+              cursor={{ strokeDasharray: '3 3' }}
+              labelFormatter={(value) => `${xAxisName}: ${formatXLabel(value)}`}
+              formatter={(value, name, item) => [name === xAxisName ? formatXLabel(value) : formatValue(value, item.dataKey), name]}
+            />
+            {legend}
+            {plottedColumns.map(renderScatter)}
+            {overlays}
+            {selectionMarks}
+            {annotationMarks}
+          </ScatterChartType>
+        );
+      }
+
+      case "histogram":
+        return renderHistogram(rowRange, legend);
+
+      case "box":
+        return renderBoxPlot(rowRange, legend);
+
+      case "ecdf":
+        return renderEcdf(rowRange, legend);
+
+      case "pie":
+        if (isAggregated) return renderGroupPie(chartData, mode === "normal");
+
+        // For pie chart, aggregate data across all rows for selected columns
+        const pieData = columnSumsOf(rowRange).map(({ column, value }) => ({
+          name: seriesLabel(column),
+          column,
+          value,
+          color: seriesColor(column),
+        }));
+
+        // Show warning if no meaningful data
+        if (pieData.length === 0 || pieData.every(d => d.value === 0)) {
+          return <p className="text-center text-gray-500">Selected columns contain no numeric data for Pie Chart.</p>;
+        }
+
+        return (
+          <PieChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
+            <Pie
+              data={pieData}
+              dataKey="value"
+              nameKey="name"
+              cx="50%"
+              cy="50%"
+              outerRadius={100}
+              fill="#8884d8"
+              isAnimationActive={false}
+              label={({ name, percent }) => `${name} ${formatShare(percent, locale)}`}
+            >
+              {pieData.map((entry, index) => (
+                <Cell key={`cell-${index}`} fill={entry.color} />
+              ))}
+            </Pie>
+            <Tooltip formatter={(value, name, item) => [formatValue(value, item.payload.column), name]} />
+            {legend}
+          </PieChart>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  const handleOpenExport = () => {
+    setExportLegend(readLegendItems(document.getElementById(`chart-${view.id}`)));
+    setExportOptions(prev => ({ ...prev, title: prev.title || view.title }));
+    setExportError(null);
+    setIsExportOpen(true);
+  };
+
+  const handleExportChart = () => {
+    // Exported charts have no legend, so the first SVG is the chart's own
+    const chartSvg = document.querySelector(`#export-chart-${view.id} .recharts-wrapper > svg`);
+    if (!chartSvg) {
+      setExportError("There is no chart to export with the current settings.");
+      return;
+    }
+    const options = { ...exportOptions, fontFamily: window.getComputedStyle(document.body).fontFamily };
+    setIsExporting(true);
+    setExportError(null);
+    buildChartFile(chartSvg, options, exportLegend)
+      .then(blob => downloadBlob(blob, `${safeFileName(view.title, "chart")}.${exportOptions.format}`))
+      .catch(err => setExportError(`Could not export the chart: ${err.message}`))
+      .finally(() => setIsExporting(false));
+  };
+
+  // The X column and plotted series, over the same rows as the chart
+  const exportColumns = [...(isRowIndexX ? [] : [xColumn]), ...plottedColumns];
+  const derivedExport = chartType === "pie" && isAggregated ? null : DERIVED_EXPORTS[chartType] || null;
+
+  // Fields and records of the data the chart draws from the rows in `rowRange`: the rows
+  // themselves, or for distributions and pies of single rows the values worked out from them
+  const chartRecords = (rowRange) => {
+    if (!derivedExport) {
+      return { fields: exportColumns, records: tableRecords(table, exportColumns, rowRange.start, rowRange.end) };
+    }
+    // Values on a series' scale, as dates for date series. Booleans stay numbers here, since
+    // quartiles and bin bounds fall between 0 and 1.
+    const valueOf = (value, col) => (isDateType(getColumnType(col)) ? exportValue(value, getColumnType(col)) : value);
+    switch (chartType) {
+      case "histogram": {
+        const valueColumn = plottedColumns[0];
+        return {
+          fields: ["bin start", "bin end", ...plottedColumns],
+          records: histogramOf(rowRange).map(row => ({
+            "bin start": valueOf(row[BIN_KEY].start, valueColumn),
+            "bin end": valueOf(row[BIN_KEY].end, valueColumn),
+            ...Object.fromEntries(plottedColumns.map(col => [col, row[col]])),
+          })),
+        };
+      }
+      case "box": {
+        const { groupColumn, rows } = boxesOf(rowRange);
+        const stats = ["min", "low", "q1", "median", "q3", "high", "max"];
+        return {
+          fields: [...(groupColumn ? [groupColumn] : []), "series", "count", ...stats],
+          records: rows.flatMap(row => plottedColumns.filter(col => row.stats[col]).map(col => ({
+            ...(groupColumn ? { [groupColumn]: row.name } : {}),
+            series: col,
+            count: row.stats[col].count,
+            ...Object.fromEntries(stats.map(stat => [stat, valueOf(row.stats[col][stat], col)])),
+          }))),
+        };
+      }
+      case "ecdf":
+        return {
+          fields: ["series", "value", "share"],
+          records: ecdfCurvesOf(rowRange).flatMap(({ col, points }) => points.map(point => ({
+            series: col,
+            value: valueOf(point.x, col),
+            share: point.y,
+          }))),
+        };
+      default:
+        return {
+          fields: ["series", "sum"],
+          records: columnSumsOf(rowRange).map(({ column, value }) => ({ series: column, sum: value })),
+        };
+    }
+  };
+
+  const handleExportData = () => {
+    const rowRange = exportOptions.range === "full" ? fullRange : zoomDomain;
+    const { fields, records } = rowCount ? chartRecords(rowRange) : { fields: exportColumns, records: [] };
+    const blob = recordsToFile(records, fields, exportOptions.dataFormat);
+    downloadBlob(blob, `${safeFileName(view.title, "data")}.${exportOptions.dataFormat}`);
+  };
+
+  // Disable zoom buttons if zoom limits reached or no data
+  const canZoomIn = zoomDomain.end - zoomDomain.start > 2;
+  const canZoomOut = !(zoomDomain.start === 0 && zoomDomain.end === rowCount - 1);
+
+  // Get current data size info
+  const currentDataSize = zoomDomain.end - zoomDomain.start + 1;
+  const fullRange = { start: 0, end: rowCount - 1 };
+  // Downsampling runs over every row in the range, so the rows on screen and in the overview are
+  // only worked out again when the range, columns, method or series change
+  const { start: zoomStart, end: zoomEnd } = zoomDomain;
+  const normalView = useMemo(
+    () => getChartRows({ start: zoomStart, end: zoomEnd }, VIEW_MAX_POINTS),
+    [getChartRows, zoomStart, zoomEnd]
+  );
+  const viewOverlays = useMemo(
+    () => fitOverlays({ start: zoomStart, end: zoomEnd }),
+    [fitOverlays, zoomStart, zoomEnd]
+  );
+  const overviewRows = useMemo(
+    () => (chartType === "pie" ? [] : getChartRows({ start: 0, end: rowCount - 1 }, OVERVIEW_MAX_POINTS, true).rows),
+    [getChartRows, chartType, rowCount]
+  );
+  const isLargeDataset = rowCount > 1000;
+
+
+  // Synced zooms are X value ranges when X is a number or time column, so panels with other filters
+  // or aggregations still line up, and row ranges otherwise
+  const syncKind = isRowIndexX || xScale === "category" ? "rows" : xScale;
+
+  // Send committed zooms to the other panels. Refs keep the effects keyed on the zoom alone.
+  const sendZoomRef = useRef(null);
+  sendZoomRef.current = () => {
+    // The view keeps its zoom for saving
+    onChange(prev => ({ ...prev, zoom: { start: committedDomain.start, end: committedDomain.end } }));
+    if (committedDomain === unsyncedDomainRef.current) {
+      unsyncedDomainRef.current = null;
+      return;
+    }
+    if (!syncZoom || !rowCount) return;
+    const start = Math.min(committedDomain.start, lastRow);
+    const end = Math.min(committedDomain.end, lastRow);
+    if (syncKind === "rows") {
+      onZoomSync({ viewId: view.id, kind: "rows", start, end });
+      return;
+    }
+    const range = getColumnRange(columns[xColumn], start, end);
+    if (range) onZoomSync({ viewId: view.id, kind: syncKind, start: range[0], end: range[1] });
+  };
+  // Mounting isn't a zoom: the first committed window is the hook's placeholder
+  const lastCommittedRef = useRef(committedDomain);
+  useEffect(() => {
+    if (lastCommittedRef.current === committedDomain) return;
+    lastCommittedRef.current = committedDomain;
+    sendZoomRef.current();
+  }, [committedDomain]);
+
+  // Apply a zoom sent by another panel when this one's X is of the same kind
+  const receiveZoomRef = useRef(null);
+  receiveZoomRef.current = () => {
+    if (!syncZoom || !syncedZoom || syncedZoom.viewId === view.id || !rowCount) return;
+    if (syncedZoom.kind !== syncKind) return;
+    const rows = syncKind === "rows" ? syncedZoom : rowsInXRange(columns[xColumn], syncedZoom.start, syncedZoom.end);
+    if (!rows) return;
+    const domain = clampDomain(rows.start, rows.end);
+    unsyncedDomainRef.current = domain;
+    zoomTo(domain);
+  };
+  useEffect(() => receiveZoomRef.current(), [syncedZoom]);
+
+  // Split the plotted series into a panel each, all with the Y range of the whole set so they
+  // compare at a glance
+  const handleSmallMultiples = () => {
+    let min = Infinity;
+    let max = -Infinity;
+    plottedColumns.forEach(col => {
+      const range = getColumnRange(columns[col]);
+      if (!range) return;
+      min = Math.min(min, range[0]);
+      max = Math.max(max, range[1]);
+    });
+    const padding = (max - min) * 0.1;
+    const bound = (value) => (isFinite(value) ? String(Number(value.toPrecision(4))) : "");
+    onSmallMultiples(
+      plottedColumns.map(col => ({ column: col, color: seriesColor(col) })),
+      { min: bound(min - padding), max: bound(max + padding) }
+    );
+  };
+
+  const controls = (
+    <>
+      <FilterPanel
+        headers={combined.headers}
+        schema={combined.schema}
+        filter={rowFilter}
+        errors={filterErrors}
+        isFiltered={Boolean(filteredPositions)}
+        matchedRows={rowCount}
+        totalRows={combined.rowCount}
+        onChange={setRowFilter}
+      />
+
+      {rowCount > 0 && (
+        <>
+          <div className="mb-4 flex flex-wrap gap-4 items-center">
+            <select
+              value={chartType}
+              onChange={handleChartTypeChange}
+              className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
+              aria-label="Select chart type"
+            >
+              {Object.entries(CHART_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+
+            {chartType === "histogram" && (
+              <>
+                <select
+                  value={typeof histogramBins === "number" ? "count" : histogramBins}
+                  onChange={(e) => setHistogramBins(e.target.value === "count" ? 20 : e.target.value)}
+                  className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
+                  aria-label="Histogram bins"
+                >
+                  {Object.entries(BIN_RULES).map(([value, label]) => (
+                    <option key={value} value={value}>Bins: {label}</option>
+                  ))}
+                  <option value="count">Bins: Fixed count</option>
+                </select>
+                {typeof histogramBins === "number" && (
+                  <input
+                    type="number"
+                    min={1}
+                    max={MAX_BINS}
+                    value={histogramBins}
+                    onChange={(e) => {
+                      const count = Number(e.target.value);
+                      if (Number.isInteger(count) && count >= 1 && count <= MAX_BINS) setHistogramBins(count);
+                    }}
+                    className="w-20 p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
+                    aria-label="Number of bins"
+                  />
+                )}
+              </>
+            )}
+
+            {chartType === "box" && (
+              <select
+                value={hasColumn(schema, boxGroupBy) && isGroupColumn(boxGroupBy) ? boxGroupBy : ""}
+                onChange={(e) => setBoxGroupBy(e.target.value || null)}
+                className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
+                aria-label="Box plot groups"
+              >
+                <option value="">One box per column</option>
+                {headers.filter(isGroupColumn).map(col => (
+                  <option key={col} value={col}>Boxes per {col}</option>
+                ))}
+              </select>
+            )}
+
+            <select
+              value={xColumn}
+              onChange={handleXColumnChange}
+              disabled={isAggregated || isDistributionChart}
+              title={isAggregated ? "Aggregated rows are plotted against their group" : undefined}
+              className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
+              aria-label="Select X-axis column"
+            >
+              <option value={ROW_INDEX_KEY}>X: Row Index</option>
+              {(joinOptions || headers).map((col) => (
+                <option key={col} value={col}>X: {col}</option>
+              ))}
+            </select>
+
+            <select
+              value={xAxisStrategy}
+              onChange={(e) => setXAxisStrategy(e.target.value)}
+              className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
+              aria-label="Select X-axis display strategy"
+            >
+              {Object.entries(X_AXIS_STRATEGIES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+
+            <select
+              value={downsampleMethod}
+              onChange={(e) => setDownsampleMethod(e.target.value)}
+              className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
+              aria-label="Select downsampling method"
+            >
+              {Object.entries(DOWNSAMPLE_METHODS).map(([value, label]) => (
+                <option key={value} value={value}>Downsample: {label}</option>
+              ))}
+            </select>
+
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              Showing {formatCount(currentDataSize, locale)} of {formatCount(rowCount, locale)} data points
+              {filteredPositions && (
+                <span className="block text-xs text-blue-600 dark:text-blue-400">
+                  Filtered from {formatCount(combined.rowCount, locale)} rows
+                </span>
+              )}
+              {normalView.isDownsampled && (
+                <span className="block text-xs text-blue-600 dark:text-blue-400">
+                  Downsampled to {formatCount(normalView.rows.length, locale)} points ({DOWNSAMPLE_METHODS[downsampleMethod]})
+                </span>
+              )}
+              {isLargeDataset && (
+                <span className="block text-xs text-orange-600 dark:text-orange-400">
+                  Large dataset detected - X-axis strategy helps readability
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <p className="mb-2 font-semibold">Select Columns to Plot:</p>
+            <div className="flex flex-wrap gap-2">
+              {seriesColumns.map((col) => (
+                <label key={col} className="flex items-center gap-1 px-3 py-1 border rounded cursor-pointer select-none hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors">
+                  <input
+                    type="checkbox"
+                    checked={selectedColumns.includes(col)}
+                    onChange={() => handleColumnToggle(col)}
+                    className="mr-1"
+                  />
+                  <span className="text-sm">{col}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">{getColumnType(col)}</span>
+                </label>
+              ))}
+            </div>
+            {selectedColumns.length === 0 && (
+              <p className="text-sm text-red-600 mt-2">Please select at least one column to plot.</p>
+            )}
+            {plottedColumns.length > 1 && isRowOrderChart && (
+              <button
+                onClick={handleSmallMultiples}
+                className="mt-2 px-3 py-1 rounded bg-gray-300 dark:bg-gray-700 text-sm hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors"
+                title="One chart per series in the dashboard, with aligned axes and synced zoom"
+              >
+                Small multiples
+              </button>
+            )}
+          </div>
+
+          <SeriesStylePanel
+            series={plottedColumns}
+            labels={Object.fromEntries(plottedColumns.map(col => [col, seriesLabel(col)]))}
+            colors={Object.fromEntries(plottedColumns.map(col => [col, seriesColor(col)]))}
+            styles={seriesStyles}
+            sharedAxes={sharedAxes}
+            palette={palette}
+            chartType={chartType}
+            stackOffset={stackOffset}
+            canFitTrends={isContinuousX}
+            onStyleChange={handleSeriesStyleChange}
+            onStackOffsetChange={setStackOffset}
+            onSharedAxisChange={handleSharedAxisChange}
+            onPaletteChange={setPalette}
+            onReset={handleResetStyles}
+          />
+
+          <FormatPanel
+            columns={formatColumns.map(column => ({ column, type: getColumnType(column) }))}
+            formats={columnFormats}
+            examples={Object.fromEntries(formatColumns.map(column => {
+              const index = columns[column].findIndex(Number.isFinite);
+              return [column, index === -1 ? null : formatValue(columns[column][index], column)];
+            }))}
+            onChange={handleColumnFormatChange}
+            onReset={handleColumnFormatReset}
+          />
+
+          <AggregationPanel
+            headers={filteredTable.headers}
+            schema={filteredTable.schema}
+            aggregation={{ ...aggregation, groupBy, bucket }}
+            series={selectedColumns.filter(col => col !== groupBy && hasColumn(filteredTable.schema, col))}
+            groupCount={groupedTable.rowCount}
+            rowCount={filteredTable.rowCount}
+            onChange={setAggregation}
+          />
+
+          {isTimeSeries && (
+            <TimeSeriesPanel
+              timeSeries={timeSeries}
+              xColumn={xColumn}
+              zoneCounts={zoneCounts}
+              rowCount={rowCount}
+              sourceRowCount={groupedTable.rowCount}
+              gapCount={timeGaps.length}
+              error={timeSeriesError}
+              onChange={setTimeSeries}
+            />
+          )}
+
+          {isRowOrderChart && (
+            <div className="mb-4 flex flex-wrap gap-2">
+              <button
+                onClick={handleZoomIn}
+                disabled={!canZoomIn}
+                className={`px-3 py-2 rounded text-white transition-colors ${canZoomIn ? "bg-blue-500 hover:bg-blue-600" : "bg-gray-400 cursor-not-allowed"}`}
+                aria-label="Zoom in"
+              >
+                Zoom In
+              </button>
+              <button
+                onClick={handleZoomOut}
+                disabled={!canZoomOut}
+                className={`px-3 py-2 rounded text-white transition-colors ${canZoomOut ? "bg-blue-500 hover:bg-blue-600" : "bg-gray-400 cursor-not-allowed"}`}
+                aria-label="Zoom out"
+              >
+                Zoom Out
+              </button>
+              <button
+                onClick={handleResetZoom}
+                className="px-3 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors"
+                aria-label="Reset zoom"
+              >
+                Reset Zoom
+              </button>
+              <button
+                onClick={goBack}
+                disabled={!canGoBack}
+                className={`px-3 py-2 rounded text-white transition-colors ${canGoBack ? "bg-gray-600 hover:bg-gray-700" : "bg-gray-400 cursor-not-allowed"}`}
+                aria-label="Previous zoom"
+              >
+                ← Back
+              </button>
+              <button
+                onClick={goForward}
+                disabled={!canGoForward}
+                className={`px-3 py-2 rounded text-white transition-colors ${canGoForward ? "bg-gray-600 hover:bg-gray-700" : "bg-gray-400 cursor-not-allowed"}`}
+                aria-label="Next zoom"
+              >
+                Forward →
+              </button>
+              {chartType !== "scatter" && (
+                <select
+                  value={annotationTool}
+                  onChange={(e) => setAnnotationTool(e.target.value)}
+                  className="p-2 border rounded dark:bg-gray-800 dark:border-gray-600"
+                  aria-label="Chart click action"
+                >
+                  <option value="">Click: select the row</option>
+                  <option value="xLine">Click: add a vertical marker</option>
+                  <option value="note">Click: add a note</option>
+                  <option value="yLine">Click: add a horizontal line</option>
+                  <option value="xRange">Drag: add a shaded X range</option>
+                </select>
+              )}
+              <p className="self-center text-xs text-gray-600 dark:text-gray-400">
+                {annotationTool === "xRange" ? "Drag on the chart to shade an X range" : "Drag on the chart to zoom"}, scroll to zoom at the cursor, Shift-drag or arrow keys to pan.
+              </p>
+            </div>
+          )}
+
+          {isDistributionChart && (
+            <p className="mb-2 text-xs text-gray-600 dark:text-gray-400">
+              The distribution is of the rows selected below; drag the window's edges to change them.
+            </p>
+          )}
+
+          {chartType !== 'pie' && (
+            <ZoomOverview
+              rows={overviewRows}
+              series={plottedColumns}
+              colors={plottedColumns.map(seriesColor)}
+              indexKey={ROW_INDEX_KEY}
+              domain={zoomDomain}
+              onPreview={previewZoom}
+              onCommit={commitPreview}
+              formatTick={(position) => (isRowIndexX ? position : formatXAxisTick(getCellValue(columns[xColumn], position)))}
+            />
+          )}
+
+          <div className="mb-4">
+            <button
+              onClick={handleOpenExport}
+              className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700 transition-colors"
+            >
+              Export…
+            </button>
+          </div>
+        </>
+      )}
+    </>
+  );
+
+  // In a dashboard the settings fold away under the panel's title, and the chart's height can be
+  // dragged from its corner
+  return (
+    <section
+      className={compact ? `p-3 rounded-lg border-2 ${isActive ? "border-blue-400" : "border-transparent"} bg-gray-200 dark:bg-gray-950` : undefined}
+      style={compact ? { gridColumn: `span ${view.span}` } : undefined}
+      onFocusCapture={onActivate}
+      onMouseDownCapture={onActivate}
+    >
+      {compact ? (
+        <>
+          <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+            <input
+              value={view.title}
+              onChange={(e) => setField("title")(e.target.value)}
+              placeholder={placeholderTitle}
+              className="flex-1 min-w-[8rem] p-1 border rounded font-semibold dark:bg-gray-800 dark:border-gray-600"
+              aria-label="Panel title"
+            />
+            <select
+              value={view.span}
+              onChange={(e) => setField("span")(Number(e.target.value))}
+              className="p-1 border rounded dark:bg-gray-800 dark:border-gray-600"
+              aria-label="Panel width"
+            >
+              {Array.from({ length: MAX_SPAN }, (_, i) => i + 1).map(span => (
+                <option key={span} value={span}>{span === 1 ? "1 column wide" : `${span} columns wide`}</option>
+              ))}
+            </select>
+            {canRemove && (
+              <button
+                onClick={onRemove}
+                className="px-2 py-1 rounded bg-gray-300 dark:bg-gray-700 hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors"
+                aria-label="Remove panel"
+              >
+                ×
+              </button>
+            )}
+          </div>
+          <details className="mb-2">
+            <summary className="text-sm font-semibold cursor-pointer select-none">Chart settings</summary>
+            <div className="mt-2">{controls}</div>
+          </details>
+        </>
+      ) : controls}
+
+      {rowCount > 0 && (
+        <>
+          <div
+            id={`chart-${view.id}`}
+            className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-lg overflow-hidden"
+          >
+            <div
+              ref={chartAreaRef}
+              tabIndex={0}
+              onKeyDown={handleChartKeyDown}
+              className="outline-none focus:ring-2 focus:ring-blue-400 rounded select-none"
+              style={compact
+                ? { width: "100%", height: COMPACT_CHART_HEIGHT, minHeight: 160, resize: "vertical", overflow: "hidden" }
+                : { width: "100%", height: CHART_HEIGHT }}
+              aria-label="Chart: drag to zoom, arrow keys to pan, plus and minus to zoom"
+            >
+              <ResponsiveContainer width="100%" height="100%">
+                {renderChart()}
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {isRowOrderChart && (
+            <AnnotationPanel
+              annotations={annotations}
+              xType={annotationXType}
+              series={plottedColumns}
+              labels={Object.fromEntries(plottedColumns.map(col => [col, seriesLabel(col)]))}
+              isOpen={isAnnotationsOpen}
+              focusedId={focusedAnnotation}
+              onToggle={setIsAnnotationsOpen}
+              onChange={setAnnotations}
+            />
+          )}
+
+          <details
+            open={isTableOpen}
+            onToggle={(e) => setIsTableOpen(e.currentTarget.open)}
+            className="mt-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow"
+          >
+            <summary className="font-semibold cursor-pointer select-none">Data table</summary>
+            {isTableOpen && (
+              <div className="mt-3">
+                <DataTable table={table} selectedRow={selectedRow} onSelectRow={handleLocateRow} />
+              </div>
+            )}
+          </details>
+
+          {/* Chart drawn offscreen at the export size, leaving room for the title, legend and caption */}
+          {isExportOpen && isValidExportSize(exportOptions) && (
+            <div
+              id={`export-chart-${view.id}`}
+              style={{
+                position: "absolute",
+                top: "-9999px",
+                left: "-9999px",
+                width: exportOptions.width,
+                height: layoutExport(exportOptions, exportLegend).chartHeight,
+              }}
+              aria-hidden="true"
+            >
+              <ResponsiveContainer width="100%" height="100%">
+                {renderChart(exportOptions.range)}
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          {isExportOpen && (
+            <ExportDialog
+              options={exportOptions}
+              rowCounts={{ view: zoomDomain.end - zoomDomain.start + 1, full: rowCount }}
+              columnCount={exportColumns.length}
+              derivedData={derivedExport}
+              busy={isExporting}
+              error={exportError}
+              onChange={(patch) => setExportOptions(prev => ({ ...prev, ...patch }))}
+              onExportChart={handleExportChart}
+              onExportData={handleExportData}
+              onClose={() => setIsExportOpen(false)}
+            />
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default ChartPanel;
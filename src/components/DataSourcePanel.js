@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+
+const fieldClass = "p-2 border rounded dark:bg-gray-800 dark:border-gray-600";
+
+// Ways to load data: file picker, URL and pasted text, plus the error from the last attempt.
+// Dropping a file anywhere on the page is handled by App.
+function DataSourcePanel({ onFile, onUrl, onText, loading, error, onDismissError }) {
+  const [url, setUrl] = useState("");
+  const [pastedText, setPastedText] = useState("");
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    // Clear the input so picking the same file again still triggers a change
+    e.target.value = "";
+    if (file) onFile(file);
+  };
+
+  const handleUrlSubmit = (e) => {
+    e.preventDefault();
+    if (url.trim()) onUrl(url.trim());
+  };
+
+  const handleTextSubmit = () => {
+    onText(pastedText);
+    setPastedText("");
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap gap-4 items-center">
+        <input
+          type="file"
+          accept=".csv,.tsv,.tab,.txt,.json,.ndjson,.jsonl,.xlsx,.xls"
+          onChange={handleFileChange}
+          className={`${fieldClass} w-full max-w-md`}
+          aria-label="Upload data file"
+        />
+
+        <form onSubmit={handleUrlSubmit} className="flex gap-2 flex-1 min-w-64">
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://example.com/data.csv"
+            className={`${fieldClass} flex-1`}
+            aria-label="Data file URL"
+          />
+          <button
+            type="submit"
+            disabled={loading || !url.trim()}
+            className={`px-4 py-2 rounded text-white transition-colors ${!loading && url.trim() ? "bg-blue-500 hover:bg-blue-600" : "bg-gray-400 cursor-not-allowed"}`}
+          >
+            {loading ? "Loading…" : "Load URL"}
+          </button>
+        </form>
+      </div>
+
+      <details className="mt-3">
+        <summary className="cursor-pointer select-none text-sm text-gray-600 dark:text-gray-400">
+          Paste data from a spreadsheet or clipboard (or drop a file anywhere on the page)
+        </summary>
+        <div className="mt-2 flex flex-col gap-2 max-w-2xl">
+          <textarea
+            value={pastedText}
+            onChange={(e) => setPastedText(e.target.value)}
+            rows={6}
+            placeholder={"date\tvalue\n2024-01-01\t12.5"}
+            className={`${fieldClass} font-mono text-xs`}
+            aria-label="Pasted data"
+          />
+          <button
+            onClick={handleTextSubmit}
+            disabled={!pastedText.trim()}
+            className={`self-start px-4 py-2 rounded text-white transition-colors ${pastedText.trim() ? "bg-blue-500 hover:bg-blue-600" : "bg-gray-400 cursor-not-allowed"}`}
+          >
+            Import pasted data
+          </button>
+        </div>
+      </details>
+
+      {error && (
+        <div className="mt-3 flex justify-between items-start gap-4 p-3 rounded border border-red-300 bg-red-50 text-red-800 dark:bg-red-900 dark:border-red-700 dark:text-red-100 text-sm max-w-2xl" role="alert">
+          <span>{error}</span>
+          <button onClick={onDismissError} className="font-bold" aria-label="Dismiss error">×</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataSourcePanel;
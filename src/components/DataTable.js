@@ -0,0 +1,190 @@
+import React, { useState, useMemo, useRef, useEffect, useDeferredValue } from "react";
+import { isPlottableType, isNullToken } from "../utils/schema";
+import { getCellValue } from "../utils/columns";
+import { exportValue } from "../utils/dataExport";
+
+// Only the rows in view (plus a margin) are rendered, so tables of any length scroll smoothly
+const ROW_HEIGHT = 24;
+const TABLE_HEIGHT = 360;
+const OVERSCAN = 10;
+const INDEX_WIDTH = 72;
+const COLUMN_WIDTH = 150;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+// Text and state of a cell: "missing" when it's empty or a null token in the file, "invalid" when
+// the file has text there that couldn't be read as the column's type. Aggregated tables have no
+// raw text, so their empty cells are just missing.
+const readCell = (table, col, i) => {
+  const value = getCellValue(table.columns[col], i);
+  if (value != null) return { text: String(exportValue(value, table.schema[col].type)), state: null };
+  const raw = table.rawColumns ? table.rawColumns[col][i] : null;
+  return isNullToken(raw) ? { text: "null", state: "missing" } : { text: String(raw), state: "invalid" };
+};
+
+const CELL_CLASSES = {
+  missing: "bg-gray-100 dark:bg-gray-700 text-gray-400 italic",
+  invalid: "bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-100",
+};
+
+// Typed cells of a table with sorting by column, text search, and missing or unreadable values
+// marked. `selectedRow` is a row position in the table; clicking a row passes its position to
+// `onSelectRow`, and selecting one from outside scrolls it into view.
+function DataTable({ table, selectedRow, onSelectRow }) {
+  const { headers, schema, rowCount } = table;
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+  // Searching every cell can take a moment on large tables, so typing isn't held up by it
+  const deferredQuery = useDeferredValue(query.trim().toLowerCase());
+
+  // Row positions in display order
+  const order = useMemo(() => {
+    let positions = Array.from({ length: rowCount }, (_, i) => i);
+    if (deferredQuery) {
+      positions = positions.filter(i => headers.some(col => readCell(table, col, i).text.toLowerCase().includes(deferredQuery)));
+    }
+    if (sort && table.columns[sort.column]) {
+      const values = table.columns[sort.column];
+      const isNumeric = isPlottableType(schema[sort.column].type);
+      const direction = sort.descending ? -1 : 1;
+      // Missing values go last either way
+      positions.sort((a, b) => {
+        const x = getCellValue(values, a);
+        const y = getCellValue(values, b);
+        if (x == null || y == null) return (x == null) - (y == null);
+        return direction * (isNumeric ? x - y : collator.compare(x, y));
+      });
+    }
+    return positions;
+  }, [table, headers, schema, rowCount, deferredQuery, sort]);
+
+  // Bring a row selected elsewhere into view, unless it already is
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (selectedRow == null || !element) return;
+    const index = order.indexOf(selectedRow);
+    if (index === -1) return;
+    const top = (index + 1) * ROW_HEIGHT;
+    if (top < element.scrollTop + ROW_HEIGHT || top + ROW_HEIGHT > element.scrollTop + element.clientHeight) {
+      element.scrollTop = Math.max(0, top - element.clientHeight / 2);
+      setScrollTop(element.scrollTop);
+    }
+  }, [selectedRow, order]);
+
+  // Ascending, then descending, then back to file order
+  const handleSort = (col) => {
+    setSort(prev => {
+      if (!prev || prev.column !== col) return { column: col, descending: false };
+      return prev.descending ? null : { column: col, descending: true };
+    });
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(order.length, Math.ceil((scrollTop + TABLE_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const width = INDEX_WIDTH + headers.length * COLUMN_WIDTH;
+  const cellClass = "px-2 truncate border-r dark:border-gray-700 shrink-0";
+
+  return (
+    <div className="text-sm">
+      <div className="mb-2 flex flex-wrap items-center gap-3">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search"
+          className="p-1 border rounded w-56 dark:bg-gray-800 dark:border-gray-600"
+          aria-label="Search the data table"
+        />
+        <span className="text-gray-600 dark:text-gray-400">
+          {deferredQuery ? `${order.length.toLocaleString()} of ${rowCount.toLocaleString()} rows` : `${rowCount.toLocaleString()} rows`}
+        </span>
+        <span className="flex items-center gap-2 text-xs">
+          <span className={`px-1 rounded ${CELL_CLASSES.missing}`}>null</span> missing
+          <span className={`px-1 rounded ${CELL_CLASSES.invalid}`}>abc</span> not readable as the column's type
+        </span>
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="overflow-auto border rounded dark:border-gray-700 text-xs"
+        style={{ height: TABLE_HEIGHT }}
+        role="grid"
+        aria-label="Data table"
+        aria-rowcount={order.length + 1}
+      >
+        <div className="relative" style={{ width, height: (order.length + 1) * ROW_HEIGHT }}>
+          <div role="row" className="sticky top-0 z-10 flex bg-gray-100 dark:bg-gray-700 font-semibold border-b dark:border-gray-600" style={{ height: ROW_HEIGHT }}>
+            <div role="columnheader" className={`${cellClass} leading-6 text-right`} style={{ width: INDEX_WIDTH }}>Row</div>
+            {headers.map(col => {
+              const isSorted = sort && sort.column === col;
+              return (
+                <div
+                  key={col}
+                  role="columnheader"
+                  aria-sort={isSorted ? (sort.descending ? "descending" : "ascending") : "none"}
+                  className={cellClass}
+                  style={{ width: COLUMN_WIDTH }}
+                >
+                  <button
+                    onClick={() => handleSort(col)}
+                    className="w-full h-full flex items-center gap-1 text-left"
+                    title={`${col} (${schema[col].type}): sort`}
+                  >
+                    <span className="truncate">{col}</span>
+                    <span className="font-normal text-gray-500 dark:text-gray-400">{schema[col].type}</span>
+                    {isSorted && <span aria-hidden="true">{sort.descending ? "▼" : "▲"}</span>}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+
+          {order.slice(first, last).map((position, offset) => {
+            const index = first + offset;
+            const isSelected = position === selectedRow;
+            return (
+              <div
+                key={position}
+                role="row"
+                aria-rowindex={index + 2}
+                aria-selected={isSelected}
+                tabIndex={0}
+                onClick={() => onSelectRow(position)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") onSelectRow(position);
+                }}
+                className={`absolute left-0 flex leading-6 border-b dark:border-gray-700 cursor-pointer ${isSelected ? "bg-blue-100 dark:bg-blue-900" : "hover:bg-gray-50 dark:hover:bg-gray-700"}`}
+                style={{ top: (index + 1) * ROW_HEIGHT, height: ROW_HEIGHT, width }}
+              >
+                <div role="rowheader" className={`${cellClass} text-right text-gray-500`} style={{ width: INDEX_WIDTH }}>{position + 1}</div>
+                {headers.map(col => {
+                  const { text, state } = readCell(table, col, position);
+                  return (
+                    <div
+                      key={col}
+                      role="gridcell"
+                      className={`${cellClass} ${state ? CELL_CLASSES[state] : ""}`}
+                      style={{ width: COLUMN_WIDTH }}
+                      title={state === "invalid" ? `"${text}" could not be read as ${schema[col].type}` : text}
+                    >
+                      {text}
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+
+          {order.length === 0 && (
+            <p className="absolute left-0 p-2 text-gray-500" style={{ top: ROW_HEIGHT }}>No rows match the search.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DataTable;
@@ -0,0 +1,105 @@
+import React from "react";
+import { ALIGN_MODES } from "../utils/datasets";
+
+const buttonClass = "px-2 py-1 rounded text-xs transition-colors";
+
+// Loaded datasets with rename, reload, replace and remove, and how their series are lined up.
+// Datasets opened from the workspace have no file to reload unless they came from a URL.
+function DatasetManager({
+  datasets, activeId, align, excluded, joinColumn,
+  onSelect, onRename, onReload, onReplace, onRemove, onAlignChange,
+}) {
+  if (!datasets.length) return null;
+
+  // Names are committed on blur or Enter so a half-typed name doesn't rename every series
+  const commitName = (dataset, e) => {
+    const name = e.target.value.trim();
+    if (name && name !== dataset.name) onRename(dataset.id, name);
+    else e.target.value = dataset.name;
+  };
+
+  const handleReplace = (id, e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) onReplace(id, file);
+  };
+
+  return (
+    <div className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <p className="font-semibold">Datasets</p>
+        {datasets.length > 1 && (
+          <select
+            value={align}
+            onChange={(e) => onAlignChange(e.target.value)}
+            className="p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600"
+            aria-label="Align datasets"
+          >
+            {Object.entries(ALIGN_MODES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <ul className="divide-y dark:divide-gray-700">
+        {datasets.map(ds => (
+          <li key={ds.id} className="py-2 flex flex-wrap items-center gap-2 text-sm">
+            <input
+              key={ds.name}
+              defaultValue={ds.name}
+              onBlur={(e) => commitName(ds, e)}
+              onKeyDown={(e) => { if (e.key === "Enter") e.target.blur(); }}
+              className="p-1 border rounded dark:bg-gray-800 dark:border-gray-600 font-medium w-48"
+              aria-label={`Name of dataset ${ds.name}`}
+            />
+            <span className="text-xs text-gray-600 dark:text-gray-400 flex-1 truncate">
+              {ds.fileName} · {ds.rowCount.toLocaleString()} rows · {ds.headers.length} columns
+            </span>
+            <button
+              onClick={() => onSelect(ds.id)}
+              className={`${buttonClass} ${ds.id === activeId ? "bg-blue-500 text-white" : "bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600"}`}
+              aria-pressed={ds.id === activeId}
+            >
+              Column types
+            </button>
+            {(ds.file || ds.url) && (
+              <button
+                onClick={() => onReload(ds.id)}
+                className={`${buttonClass} bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600`}
+                aria-label={`Reload ${ds.name}`}
+              >
+                Reload
+              </button>
+            )}
+            <label className={`${buttonClass} bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 cursor-pointer`}>
+              Replace…
+              <input
+                type="file"
+                accept=".csv,.tsv,.tab,.txt,.json,.ndjson,.jsonl,.xlsx,.xls"
+                onChange={(e) => handleReplace(ds.id, e)}
+                className="hidden"
+                aria-label={`Replace ${ds.name} with another file`}
+              />
+            </label>
+            <button
+              onClick={() => onRemove(ds.id)}
+              className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}
+              aria-label={`Remove ${ds.name}`}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {excluded.length > 0 && (
+        <p className="mt-2 text-xs text-orange-600 dark:text-orange-400">
+          Not plotted: {excluded.join(", ")} {excluded.length === 1 ? "has" : "have"} no "{joinColumn}" column to join on.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default DatasetManager;
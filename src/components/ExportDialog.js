@@ -0,0 +1,173 @@
+import React from "react";
+import {
+  CHART_EXPORT_FORMATS, EXPORT_SCALES, BACKGROUNDS, MIN_EXPORT_SIZE, MAX_EXPORT_SIZE, isValidExportSize
+} from "../utils/chartExport";
+import { DATA_EXPORT_FORMATS } from "../utils/dataExport";
+
+const fieldClass = "p-1 border rounded text-sm w-full dark:bg-gray-800 dark:border-gray-600";
+
+// Modal for saving a chart as an image or document, or the rows behind it as data. Both use the
+// chosen range: the zoom window or all rows. `derivedData` describes what the data holds for charts
+// that summarise their rows, or is null when it's the rows themselves.
+function ExportDialog({ options, rowCounts, columnCount, derivedData, busy, error, onChange, onExportChart, onExportData, onClose }) {
+  const hasValidSize = isValidExportSize(options);
+  const rowCount = rowCounts[options.range];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" role="dialog" aria-modal="true" aria-label="Export options">
+      <div className="bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded-lg shadow-xl w-full max-w-2xl max-h-full overflow-auto p-6">
+        <h2 className="text-xl font-bold mb-4">Export</h2>
+
+        <fieldset className="mb-4 text-sm">
+          <legend className="font-semibold mb-2">Rows</legend>
+          <div className="flex flex-wrap gap-4">
+            {[["view", "Current view"], ["full", "All rows"]].map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="export-range"
+                  value={value}
+                  checked={options.range === value}
+                  onChange={() => onChange({ range: value })}
+                />
+                {label} ({rowCounts[value].toLocaleString()} rows)
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <section className="mb-4 border-t dark:border-gray-700 pt-4">
+          <h3 className="font-semibold mb-2">Chart</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <label className="flex flex-col gap-1">
+              Format
+              <select value={options.format} onChange={(e) => onChange({ format: e.target.value })} className={fieldClass}>
+                {Object.entries(CHART_EXPORT_FORMATS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              Width (px)
+              <input
+                type="number"
+                min={MIN_EXPORT_SIZE}
+                max={MAX_EXPORT_SIZE}
+                value={options.width || ""}
+                onChange={(e) => onChange({ width: Number(e.target.value) })}
+                className={fieldClass}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Height (px)
+              <input
+                type="number"
+                min={MIN_EXPORT_SIZE}
+                max={MAX_EXPORT_SIZE}
+                value={options.height || ""}
+                onChange={(e) => onChange({ height: Number(e.target.value) })}
+                className={fieldClass}
+              />
+            </label>
+            {options.format !== "svg" && (
+              <label className="flex flex-col gap-1">
+                Scale
+                <select value={options.scale} onChange={(e) => onChange({ scale: Number(e.target.value) })} className={fieldClass}>
+                  {EXPORT_SCALES.map(scale => (
+                    <option key={scale} value={scale}>{scale}x</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label className="flex flex-col gap-1">
+              Background
+              <select value={options.background} onChange={(e) => onChange({ background: e.target.value })} className={fieldClass}>
+                {Object.entries(BACKGROUNDS).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {options.background === "custom" && (
+              <label className="flex flex-col gap-1">
+                Colour
+                <input
+                  type="color"
+                  value={options.customBackground}
+                  onChange={(e) => onChange({ customBackground: e.target.value })}
+                  className="h-8 w-full border rounded dark:border-gray-600"
+                />
+              </label>
+            )}
+            <label className="flex flex-col gap-1 col-span-2">
+              Title
+              <input value={options.title} onChange={(e) => onChange({ title: e.target.value })} placeholder="None" className={fieldClass} />
+            </label>
+            <label className="flex flex-col gap-1 col-span-2 md:col-span-4">
+              Caption
+              <input value={options.caption} onChange={(e) => onChange({ caption: e.target.value })} placeholder="None" className={fieldClass} />
+            </label>
+          </div>
+          {!hasValidSize && (
+            <p className="mt-2 text-sm text-red-600 dark:text-red-400">
+              Width and height must be whole numbers from {MIN_EXPORT_SIZE} to {MAX_EXPORT_SIZE}.
+            </p>
+          )}
+          {options.format === "pdf" && (
+            <p className="mt-2 text-xs text-gray-600 dark:text-gray-400">
+              The PDF holds the chart as an image at the chosen scale; export SVG for a vector file.
+              {options.background === "transparent" && " PDFs get a white background instead of a transparent one."}
+            </p>
+          )}
+          <div className="mt-3 flex justify-end">
+            <button
+              onClick={onExportChart}
+              disabled={!hasValidSize || busy}
+              className={`px-4 py-2 rounded text-white transition-colors ${hasValidSize && !busy ? "bg-green-600 hover:bg-green-700" : "bg-gray-400 cursor-not-allowed"}`}
+            >
+              {busy ? "Exporting…" : `Export chart as ${options.format.toUpperCase()}`}
+            </button>
+          </div>
+        </section>
+
+        <section className="mb-4 border-t dark:border-gray-700 pt-4">
+          <h3 className="font-semibold mb-1">Data</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+            {derivedData
+              ? `${derivedData}, from ${rowCount.toLocaleString()} rows after filtering and aggregation.`
+              : `The X column and plotted series after filtering and aggregation: ${rowCount.toLocaleString()} rows of ${columnCount} columns.`}
+          </p>
+          <div className="flex flex-wrap items-end justify-between gap-3 text-sm">
+            <label className="flex flex-col gap-1">
+              Format
+              <select value={options.dataFormat} onChange={(e) => onChange({ dataFormat: e.target.value })} className={fieldClass}>
+                {Object.entries(DATA_EXPORT_FORMATS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <button onClick={onExportData} className="px-4 py-2 rounded bg-purple-600 text-white hover:bg-purple-700 transition-colors">
+              Export data as {options.dataFormat.toUpperCase()}
+            </button>
+          </div>
+        </section>
+
+        {error && (
+          <p className="mb-4 p-3 rounded border border-red-300 bg-red-50 text-red-800 dark:bg-red-900 dark:border-red-700 dark:text-red-100 text-sm" role="alert">
+            {error}
+          </p>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded bg-gray-300 dark:bg-gray-700 hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportDialog;
@@ -0,0 +1,146 @@
+import React from "react";
+import { FILTER_OPERATORS, operatorsForType } from "../utils/filters";
+import { isDateType } from "../utils/schema";
+
+const fieldClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+
+// Per-column row conditions combined with AND or OR
+function FilterPanel({ headers, schema, filter, errors, isFiltered, matchedRows, totalRows, onChange }) {
+  if (!headers.length) return null;
+
+  const { combine, conditions } = filter;
+
+  const updateCondition = (id, patch) => {
+    onChange({ ...filter, conditions: conditions.map(c => (c.id === id ? { ...c, ...patch } : c)) });
+  };
+
+  // A new column keeps the operator when its type supports it
+  const handleColumnChange = (condition, column) => {
+    const operators = operatorsForType(schema[column].type);
+    const operator = operators.includes(condition.operator) ? condition.operator : operators[0];
+    updateCondition(condition.id, { column, operator, value: "", value2: "" });
+  };
+
+  const handleAdd = () => {
+    const column = headers[0];
+    const id = conditions.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+    const condition = { id, column, operator: operatorsForType(schema[column].type)[0], value: "", value2: "" };
+    onChange({ ...filter, conditions: [...conditions, condition] });
+  };
+
+  const handleRemove = (id) => {
+    onChange({ ...filter, conditions: conditions.filter(c => c.id !== id) });
+  };
+
+  return (
+    <details className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow">
+      <summary className="font-semibold cursor-pointer select-none">
+        Filters
+        {isFiltered && (
+          <span className="ml-2 text-sm font-normal text-blue-600 dark:text-blue-400">
+            {matchedRows.toLocaleString()} of {totalRows.toLocaleString()} rows match
+          </span>
+        )}
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-2">
+        {conditions.length > 1 && (
+          <label className="text-sm flex items-center gap-2">
+            Keep rows matching
+            <select
+              value={combine}
+              onChange={(e) => onChange({ ...filter, combine: e.target.value })}
+              className={fieldClass}
+              aria-label="Combine filter conditions"
+            >
+              <option value="and">all conditions (AND)</option>
+              <option value="or">any condition (OR)</option>
+            </select>
+          </label>
+        )}
+
+        {conditions.map(condition => {
+          const type = schema[condition.column] ? schema[condition.column].type : "text";
+          const inputType = isDateType(type) ? (type === "datetime" ? "datetime-local" : "date") : "text";
+          const needsValue = condition.operator !== "isNull" && condition.operator !== "notNull";
+          return (
+            <div key={condition.id} className="flex flex-wrap items-center gap-2 text-sm">
+              <select
+                value={condition.column}
+                onChange={(e) => handleColumnChange(condition, e.target.value)}
+                className={fieldClass}
+                aria-label="Filter column"
+              >
+                {headers.map(col => (
+                  <option key={col} value={col}>{col}</option>
+                ))}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(e) => updateCondition(condition.id, { operator: e.target.value })}
+                className={fieldClass}
+                aria-label="Filter operator"
+              >
+                {operatorsForType(type).map(op => (
+                  <option key={op} value={op}>{FILTER_OPERATORS[op]}</option>
+                ))}
+              </select>
+              {needsValue && (
+                <input
+                  type={inputType}
+                  value={condition.value}
+                  onChange={(e) => updateCondition(condition.id, { value: e.target.value })}
+                  placeholder={condition.operator === "range" ? "min" : "value"}
+                  className={`${fieldClass} w-40`}
+                  aria-label={condition.operator === "range" ? "Filter minimum" : "Filter value"}
+                />
+              )}
+              {condition.operator === "range" && (
+                <>
+                  <span>and</span>
+                  <input
+                    type={inputType}
+                    value={condition.value2}
+                    onChange={(e) => updateCondition(condition.id, { value2: e.target.value })}
+                    placeholder="max"
+                    className={`${fieldClass} w-40`}
+                    aria-label="Filter maximum"
+                  />
+                </>
+              )}
+              <button
+                onClick={() => handleRemove(condition.id)}
+                className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                aria-label="Remove condition"
+              >
+                ×
+              </button>
+              {errors[condition.id] && (
+                <span className="text-xs text-red-600">{errors[condition.id]}</span>
+              )}
+            </div>
+          );
+        })}
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleAdd}
+            className="px-3 py-1 rounded bg-blue-500 text-white text-sm hover:bg-blue-600 transition-colors"
+          >
+            Add condition
+          </button>
+          {conditions.length > 0 && (
+            <button
+              onClick={() => onChange({ ...filter, conditions: [] })}
+              className="px-3 py-1 rounded bg-gray-300 dark:bg-gray-700 text-sm hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+}
+
+export default FilterPanel;
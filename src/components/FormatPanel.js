@@ -0,0 +1,102 @@
+import React from "react";
+import { isDateType, isNumericType } from "../utils/schema";
+import {
+  NUMBER_STYLES, MAX_DECIMALS, DATE_PATTERN_HELP, resolveFormat, isCustomFormat,
+} from "../utils/format";
+
+const fieldClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+
+// Number format or date pattern of the X column and each plotted series, as ticks, tooltips and
+// labels show them. `examples` holds a value of each column already formatted, as a preview.
+function FormatPanel({ columns, formats, examples, onChange, onReset }) {
+  const formattable = columns.filter(({ type }) => isNumericType(type) || isDateType(type));
+  if (!formattable.length) return null;
+
+  return (
+    <details className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow">
+      <summary className="font-semibold cursor-pointer select-none">Number and date formats</summary>
+      <div className="mt-3 flex flex-col gap-2 text-sm">
+        {formattable.map(({ column, type }) => {
+          const format = resolveFormat(formats[column]);
+          const update = (patch) => onChange(column, patch);
+          const usesDecimals = format.style !== "auto";
+          return (
+            <div key={column} className="flex flex-wrap items-center gap-2">
+              <span className="font-medium w-40 truncate" title={column}>{column}</span>
+              {isDateType(type) ? (
+                <input
+                  value={format.datePattern}
+                  onChange={(e) => update({ datePattern: e.target.value })}
+                  placeholder="Locale default, or e.g. YYYY-MM-DD HH:mm"
+                  title={DATE_PATTERN_HELP}
+                  className={`${fieldClass} w-64`}
+                  aria-label={`Date pattern of ${column}`}
+                />
+              ) : (
+                <>
+                  <select
+                    value={format.style}
+                    onChange={(e) => update({ style: e.target.value })}
+                    className={fieldClass}
+                    aria-label={`Number format of ${column}`}
+                  >
+                    {Object.entries(NUMBER_STYLES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  {usesDecimals && (
+                    <label className="flex items-center gap-1">
+                      <input
+                        type="number"
+                        min={0}
+                        max={MAX_DECIMALS}
+                        value={format.decimals}
+                        onChange={(e) => {
+                          const decimals = Number(e.target.value);
+                          if (Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS) update({ decimals });
+                        }}
+                        className={`${fieldClass} w-14`}
+                        aria-label={`Decimal places of ${column}`}
+                      />
+                      decimals
+                    </label>
+                  )}
+                  {format.style === "currency" && (
+                    <input
+                      value={format.currency}
+                      onChange={(e) => update({ currency: e.target.value.toUpperCase().slice(0, 3) })}
+                      placeholder="USD"
+                      className={`${fieldClass} w-16`}
+                      aria-label={`Currency code of ${column}`}
+                    />
+                  )}
+                  <input
+                    value={format.unit}
+                    onChange={(e) => update({ unit: e.target.value })}
+                    placeholder="Unit"
+                    className={`${fieldClass} w-20`}
+                    aria-label={`Unit of ${column}`}
+                  />
+                </>
+              )}
+              {examples[column] && (
+                <span className="text-gray-600 dark:text-gray-400">e.g. {examples[column]}</span>
+              )}
+              {isCustomFormat(formats[column]) && (
+                <button
+                  onClick={() => onReset(column)}
+                  className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                  aria-label={`Reset format of ${column}`}
+                >
+                  Reset
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
+
+export default FormatPanel;
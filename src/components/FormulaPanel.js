@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import { FORMULA_HELP } from "../utils/formula";
+
+const fieldClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+
+// Computed columns defined by formulas over the other columns
+function FormulaPanel({ computedColumns, errors, onAdd, onUpdate, onRemove }) {
+  const [name, setName] = useState("");
+  const [formula, setFormula] = useState("");
+  const [addError, setAddError] = useState(null);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const error = onAdd(name.trim(), formula.trim());
+    setAddError(error);
+    if (!error) {
+      setName("");
+      setFormula("");
+    }
+  };
+
+  // Edits are committed on blur or Enter so every keystroke doesn't recompute the column
+  const commit = (column, field, e) => {
+    const value = e.target.value.trim();
+    if (value && value !== column[field]) onUpdate(column.id, { [field]: value });
+    else e.target.value = column[field];
+  };
+
+  return (
+    <details className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow">
+      <summary className="font-semibold cursor-pointer select-none">
+        Computed columns
+        {computedColumns.length > 0 && (
+          <span className="ml-2 text-sm font-normal text-gray-600 dark:text-gray-400">
+            {computedColumns.length}
+          </span>
+        )}
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-2 text-sm">
+        {computedColumns.map(column => (
+          <div key={column.id} className="flex flex-wrap items-center gap-2">
+            <input
+              key={`name-${column.name}`}
+              defaultValue={column.name}
+              onBlur={(e) => commit(column, "name", e)}
+              onKeyDown={(e) => { if (e.key === "Enter") e.target.blur(); }}
+              className={`${fieldClass} w-40 font-medium`}
+              aria-label={`Name of computed column ${column.name}`}
+            />
+            <span>=</span>
+            <input
+              key={`formula-${column.formula}`}
+              defaultValue={column.formula}
+              onBlur={(e) => commit(column, "formula", e)}
+              onKeyDown={(e) => { if (e.key === "Enter") e.target.blur(); }}
+              className={`${fieldClass} flex-1 min-w-[16rem] font-mono`}
+              aria-label={`Formula of ${column.name}`}
+            />
+            <button
+              onClick={() => onRemove(column.id)}
+              className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+              aria-label={`Remove ${column.name}`}
+            >
+              ×
+            </button>
+            {errors[column.id] && (
+              <span className="w-full text-xs text-red-600">{errors[column.id]}</span>
+            )}
+          </div>
+        ))}
+
+        <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="name"
+            className={`${fieldClass} w-40`}
+            aria-label="New column name"
+          />
+          <span>=</span>
+          <input
+            value={formula}
+            onChange={(e) => setFormula(e.target.value)}
+            placeholder="e.g. rolling_mean([price], 7) or if(qty > 0, price * qty, null)"
+            className={`${fieldClass} flex-1 min-w-[16rem] font-mono`}
+            aria-label="New column formula"
+          />
+          <button
+            type="submit"
+            disabled={!name.trim() || !formula.trim()}
+            className="px-3 py-1 rounded bg-blue-500 text-white text-sm hover:bg-blue-600 transition-colors disabled:opacity-50"
+          >
+            Add column
+          </button>
+        </form>
+        {addError && <p className="text-xs text-red-600">{addError}</p>}
+
+        <details className="text-xs text-gray-600 dark:text-gray-400">
+          <summary className="cursor-pointer select-none">Formula reference</summary>
+          <p className="mt-1">
+            Use column names directly, or in [brackets] when they contain spaces or symbols.
+            Text goes in quotes. Window functions run down every row in table order, before filters are applied.
+          </p>
+          <dl className="mt-1 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1">
+            {FORMULA_HELP.map(([group, items]) => (
+              <React.Fragment key={group}>
+                <dt className="font-semibold">{group}</dt>
+                <dd className="font-mono">{items}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </details>
+      </div>
+    </details>
+  );
+}
+
+export default FormulaPanel;
@@ -0,0 +1,148 @@
+import React from "react";
+import { IMPORT_FORMATS, DELIMITERS, QUOTE_CHARS, ENCODINGS } from "../utils/importers";
+
+const fieldClass = "p-1 border rounded text-sm w-full dark:bg-gray-800 dark:border-gray-600";
+
+// Modal showing the detected format and dialect of a file with a live preview, to confirm before parsing
+function ImportDialog({ fileName, options, preview, onChange, onConfirm, onCancel }) {
+  const isDelimited = options.format === "csv";
+  const isTabular = options.format === "csv" || options.format === "xlsx";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" role="dialog" aria-modal="true" aria-label="Import options">
+      <div className="bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded-lg shadow-xl w-full max-w-4xl max-h-full overflow-auto p-6">
+        <h2 className="text-xl font-bold mb-1">Import {fileName}</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">Check the detected settings against the preview, then import.</p>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+          <label className="flex flex-col gap-1">
+            Format
+            <select value={options.format} onChange={(e) => onChange({ format: e.target.value })} className={fieldClass}>
+              {Object.entries(IMPORT_FORMATS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {options.format !== "xlsx" && (
+            <label className="flex flex-col gap-1">
+              Encoding
+              <select value={options.encoding} onChange={(e) => onChange({ encoding: e.target.value })} className={fieldClass}>
+                {ENCODINGS.map(encoding => (
+                  <option key={encoding} value={encoding}>{encoding}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {isDelimited && (
+            <>
+              <label className="flex flex-col gap-1">
+                Delimiter
+                <select value={options.delimiter} onChange={(e) => onChange({ delimiter: e.target.value })} className={fieldClass}>
+                  {Object.entries(DELIMITERS).map(([value, label]) => (
+                    <option key={label} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Quote character
+                <select value={options.quoteChar} onChange={(e) => onChange({ quoteChar: e.target.value })} className={fieldClass}>
+                  {Object.entries(QUOTE_CHARS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </>
+          )}
+
+          {options.format === "xlsx" && preview && preview.sheetNames && (
+            <label className="flex flex-col gap-1">
+              Sheet
+              <select value={options.sheet || preview.sheetNames[0]} onChange={(e) => onChange({ sheet: e.target.value })} className={fieldClass}>
+                {preview.sheetNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <label className="flex flex-col gap-1">
+            Decimal separator
+            <select value={options.decimalSeparator} onChange={(e) => onChange({ decimalSeparator: e.target.value })} className={fieldClass}>
+              <option value="auto">Detect per column</option>
+              <option value=".">Point (1,234.5)</option>
+              <option value=",">Comma (1.234,5)</option>
+            </select>
+          </label>
+
+          {isTabular && (
+            <>
+              <label className="flex flex-col gap-1">
+                Rows to skip
+                <input
+                  type="number"
+                  min={0}
+                  value={options.skipRows}
+                  onChange={(e) => onChange({ skipRows: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                  className={fieldClass}
+                />
+              </label>
+              <label className="flex items-center gap-2 mt-5">
+                <input
+                  type="checkbox"
+                  checked={options.hasHeader}
+                  onChange={(e) => onChange({ hasHeader: e.target.checked })}
+                />
+                First row is a header
+              </label>
+            </>
+          )}
+        </div>
+
+        <div className="border rounded dark:border-gray-600 overflow-auto mb-4" style={{ maxHeight: 320 }}>
+          {!preview && <p className="p-4 text-sm text-gray-500">Loading preview…</p>}
+          {preview && preview.error && <p className="p-4 text-sm text-red-600">{preview.error}</p>}
+          {preview && !preview.error && (
+            <table className="w-full text-xs">
+              <thead className="bg-gray-100 dark:bg-gray-700 sticky top-0">
+                <tr>
+                  {preview.headers.map(col => (
+                    <th key={col} className="px-2 py-1 text-left font-semibold whitespace-nowrap">{col}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row, i) => (
+                  <tr key={i} className="border-t dark:border-gray-700">
+                    {preview.headers.map((col, j) => (
+                      <td key={col} className="px-2 py-1 whitespace-nowrap">{row[j] == null ? "" : row[j]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded bg-gray-300 dark:bg-gray-700 hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={!preview || Boolean(preview.error)}
+            className={`px-4 py-2 rounded text-white transition-colors ${preview && !preview.error ? "bg-blue-500 hover:bg-blue-600" : "bg-gray-400 cursor-not-allowed"}`}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportDialog;
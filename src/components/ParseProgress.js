@@ -0,0 +1,38 @@
+import React from "react";
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// Progress bar shown while a file is being parsed, with a cancel button
+function ParseProgress({ fileName, rows, bytes, totalBytes, onCancel }) {
+  const percent = totalBytes > 0 ? Math.min(100, (bytes / totalBytes) * 100) : 0;
+
+  return (
+    <div className="mb-6 bg-white dark:bg-gray-800 p-4 rounded-lg shadow max-w-md" role="status">
+      <div className="flex justify-between items-center mb-2 text-sm">
+        <span className="font-semibold truncate">Parsing {fileName}…</span>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700 transition-colors"
+          aria-label="Cancel parsing"
+        >
+          Cancel
+        </button>
+      </div>
+      <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded overflow-hidden">
+        <div
+          className="h-full bg-blue-500 transition-all"
+          style={{ width: `${percent}%` }}
+          aria-valuenow={Math.round(percent)}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          role="progressbar"
+        />
+      </div>
+      <p className="mt-2 text-xs text-gray-600 dark:text-gray-400">
+        {rows.toLocaleString()} rows parsed · {formatMegabytes(bytes)} of {formatMegabytes(totalBytes)}
+      </p>
+    </div>
+  );
+}
+
+export default ParseProgress;
@@ -0,0 +1,93 @@
+import React from "react";
+import { COLUMN_TYPES, DATE_FORMATS, isDateType, isNumericType } from "../utils/schema";
+
+const selectClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+
+// Lists the inferred type of every column and lets the user override type and format
+function SchemaPanel({ title = "Column Types", headers, schema, inferredSchema, sampleRow, onTypeChange, onFormatChange, onReset }) {
+  if (!headers.length) return null;
+
+  return (
+    <details className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow">
+      <summary className="font-semibold cursor-pointer select-none">{title}</summary>
+      <div className="overflow-x-auto mt-3">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 dark:text-gray-400">
+              <th className="py-1 pr-4">Column</th>
+              <th className="py-1 pr-4">Type</th>
+              <th className="py-1 pr-4">Format</th>
+              <th className="py-1 pr-4">Sample</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {headers.map((col) => {
+              const { type, format } = schema[col];
+              const inferred = inferredSchema[col];
+              const isOverridden = type !== inferred.type || format !== inferred.format;
+              return (
+                <tr key={col} className="border-t dark:border-gray-700">
+                  <td className="py-1 pr-4 font-medium">{col}</td>
+                  <td className="py-1 pr-4">
+                    <select
+                      value={type}
+                      onChange={(e) => onTypeChange(col, e.target.value)}
+                      className={selectClass}
+                      aria-label={`Type of column ${col}`}
+                    >
+                      {COLUMN_TYPES.map(t => (
+                        <option key={t} value={t}>{t}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-1 pr-4">
+                    {isDateType(type) && (
+                      <select
+                        value={format || ""}
+                        onChange={(e) => onFormatChange(col, e.target.value)}
+                        className={selectClass}
+                        aria-label={`Date format of column ${col}`}
+                      >
+                        {Object.keys(DATE_FORMATS).map(f => (
+                          <option key={f} value={f}>{f}</option>
+                        ))}
+                      </select>
+                    )}
+                    {isNumericType(type) && (
+                      <select
+                        value={format || "."}
+                        onChange={(e) => onFormatChange(col, e.target.value)}
+                        className={selectClass}
+                        aria-label={`Decimal separator of column ${col}`}
+                      >
+                        <option value=".">1,234.5</option>
+                        <option value=",">1.234,5</option>
+                      </select>
+                    )}
+                  </td>
+                  <td className="py-1 pr-4 text-gray-600 dark:text-gray-400 truncate max-w-xs">
+                    {sampleRow && sampleRow[col] != null ? String(sampleRow[col]) : "—"}
+                  </td>
+                  <td className="py-1 text-right">
+                    {isOverridden && (
+                      <button
+                        onClick={() => onReset(col)}
+                        className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                        aria-label={`Reset type of column ${col}`}
+                      >
+                        Reset to {inferred.type}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+}
+
+export default SchemaPanel;
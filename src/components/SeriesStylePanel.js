@@ -0,0 +1,342 @@
+import React from "react";
+import {
+  PALETTES, CURVE_TYPES, DASH_PATTERNS, MARKERS, MARK_TYPES, STACK_GROUPS, STACK_OFFSETS, AXIS_ASSIGNMENTS, AXIS_SCALES,
+  TREND_TYPES, OVERLAY_MARKS, DEFAULT_STYLE, resolveStyle, resolveAxis, markFor, stackGroupFor,
+} from "../utils/seriesStyle";
+import { MIN_POLYNOMIAL_DEGREE, MAX_POLYNOMIAL_DEGREE, MAX_FORECAST_STEPS } from "../utils/trends";
+
+const fieldClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+
+// Whole number typed into a field, kept within bounds; anything else is the lower bound
+const clampCount = (raw, min, max) => {
+  const value = Math.round(Number(raw));
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+};
+
+// Trendline, moving average and forecast drawn over a line or scatter series
+function OverlayFields({ col, style, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 w-full pl-10">
+      <select
+        value={TREND_TYPES[style.trend] ? style.trend : "none"}
+        onChange={(e) => onChange({ trend: e.target.value })}
+        className={fieldClass}
+        aria-label={`Trendline of ${col}`}
+      >
+        {Object.entries(TREND_TYPES).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {style.trend === "polynomial" && (
+        <label className="flex items-center gap-1">
+          Degree
+          <input
+            type="number"
+            min={MIN_POLYNOMIAL_DEGREE}
+            max={MAX_POLYNOMIAL_DEGREE}
+            value={style.trendDegree}
+            onChange={(e) => onChange({ trendDegree: clampCount(e.target.value, MIN_POLYNOMIAL_DEGREE, MAX_POLYNOMIAL_DEGREE) })}
+            className={`${fieldClass} w-14`}
+            aria-label={`Polynomial degree of ${col}`}
+          />
+        </label>
+      )}
+      <label className="flex items-center gap-1" title="Mean of the last N points, with a band of two standard deviations; 0 for none">
+        Moving average
+        <input
+          type="number"
+          min={0}
+          value={style.movingAverage}
+          onChange={(e) => onChange({ movingAverage: clampCount(e.target.value, 0, Number.MAX_SAFE_INTEGER) })}
+          className={`${fieldClass} w-16`}
+          aria-label={`Moving average window of ${col}`}
+        />
+        points
+      </label>
+      <label className="flex items-center gap-1" title="Holt–Winters forecast with a 95% band; 0 for none">
+        Forecast
+        <input
+          type="number"
+          min={0}
+          max={MAX_FORECAST_STEPS}
+          value={style.forecast}
+          onChange={(e) => onChange({ forecast: clampCount(e.target.value, 0, MAX_FORECAST_STEPS) })}
+          className={`${fieldClass} w-16`}
+          aria-label={`Forecast steps of ${col}`}
+        />
+        steps
+      </label>
+      {style.forecast > 0 && (
+        <label className="flex items-center gap-1" title="Points in each seasonal cycle; 0 for no seasonality">
+          Season
+          <input
+            type="number"
+            min={0}
+            value={style.forecastSeason}
+            onChange={(e) => onChange({ forecastSeason: clampCount(e.target.value, 0, Number.MAX_SAFE_INTEGER) })}
+            className={`${fieldClass} w-16`}
+            aria-label={`Forecast season length of ${col}`}
+          />
+          points
+        </label>
+      )}
+    </div>
+  );
+}
+
+// Scale and manual bounds of one Y axis
+function AxisFields({ label, axis, onChange }) {
+  return (
+    <>
+      <select
+        value={axis.scale}
+        onChange={(e) => onChange({ scale: e.target.value })}
+        className={fieldClass}
+        aria-label={`Scale of ${label}`}
+        title="Log scales leave out zero and negative values"
+      >
+        {Object.entries(AXIS_SCALES).map(([value, name]) => (
+          <option key={value} value={value}>{name}</option>
+        ))}
+      </select>
+      <input
+        value={axis.min}
+        onChange={(e) => onChange({ min: e.target.value })}
+        placeholder="auto"
+        className={`${fieldClass} w-20`}
+        aria-label={`Minimum of ${label}`}
+      />
+      <span>to</span>
+      <input
+        value={axis.max}
+        onChange={(e) => onChange({ max: e.target.value })}
+        placeholder="auto"
+        className={`${fieldClass} w-20`}
+        aria-label={`Maximum of ${label}`}
+      />
+    </>
+  );
+}
+
+// Colour, name, mark, line look, stacking, Y axis and overlays of each plotted series. Overlays need
+// X on a continuous scale, which `canFitTrends` says the chart has.
+function SeriesStylePanel({
+  series, labels, colors, styles, sharedAxes, palette, chartType, stackOffset, canFitTrends,
+  onStyleChange, onSharedAxisChange, onPaletteChange, onStackOffsetChange, onReset,
+}) {
+  if (!series.length) return null;
+
+  const isComposed = chartType === "composed";
+  // Pies have no Y axis
+  const hasAxes = chartType !== "pie";
+  const hasStacks = series.some(col => stackGroupFor(col, styles, chartType));
+  const hasOverlayMarks = series.some(col => OVERLAY_MARKS.includes(markFor(col, styles, chartType)));
+  const usedSharedAxes = hasAxes
+    ? ["left", "right"].filter(side => series.some(col => resolveStyle(styles[col]).axis === side))
+    : [];
+
+  // Display names are committed on blur or Enter like dataset names
+  const commitName = (col, e) => {
+    const name = e.target.value.trim();
+    if (name !== resolveStyle(styles[col]).name) onStyleChange(col, { name });
+  };
+
+  // Composed charts are set up here, so the panel opens when switching to one
+  return (
+    <details className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow" open={isComposed || undefined}>
+      <summary className="font-semibold cursor-pointer select-none">Series style and axes</summary>
+
+      <div className="mt-3 flex flex-col gap-3 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-2">
+            Palette
+            <select
+              value={palette}
+              onChange={(e) => onPaletteChange(e.target.value)}
+              className={fieldClass}
+              aria-label="Colour palette"
+            >
+              {Object.entries(PALETTES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {hasStacks && (
+            <label className="flex items-center gap-2">
+              Stacks show
+              <select
+                value={stackOffset}
+                onChange={(e) => onStackOffsetChange(e.target.value)}
+                className={fieldClass}
+                aria-label="Stack values"
+              >
+                {Object.entries(STACK_OFFSETS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button
+            onClick={onReset}
+            className="px-3 py-1 rounded bg-gray-300 dark:bg-gray-700 text-sm hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors"
+          >
+            Reset styles
+          </button>
+          {hasOverlayMarks && !canFitTrends && (
+            <span className="text-gray-600 dark:text-gray-400">
+              Trendlines and forecasts need a number, date or row-index X, and no bars in the chart.
+            </span>
+          )}
+        </div>
+
+        {series.map(col => {
+          const style = resolveStyle(styles[col]);
+          const mark = markFor(col, styles, chartType);
+          const hasLines = mark === "line" || mark === "area";
+          const hasFill = mark === "area" || mark === "bar";
+          return (
+            <div key={col} className="flex flex-wrap items-center gap-2 border-t dark:border-gray-700 pt-2">
+              <input
+                type="color"
+                value={colors[col]}
+                onChange={(e) => onStyleChange(col, { color: e.target.value })}
+                className="w-8 h-8 p-0 border rounded cursor-pointer"
+                aria-label={`Colour of ${col}`}
+              />
+              <input
+                key={`name-${style.name}`}
+                defaultValue={style.name}
+                placeholder={labels[col]}
+                onBlur={(e) => commitName(col, e)}
+                onKeyDown={(e) => { if (e.key === "Enter") e.target.blur(); }}
+                className={`${fieldClass} w-44`}
+                aria-label={`Display name of ${col}`}
+              />
+              {isComposed && (
+                <select
+                  value={style.mark}
+                  onChange={(e) => onStyleChange(col, { mark: e.target.value })}
+                  className={fieldClass}
+                  aria-label={`Mark of ${col}`}
+                >
+                  {Object.entries(MARK_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              )}
+              {hasFill && (
+                <select
+                  value={style.stack}
+                  onChange={(e) => onStyleChange(col, { stack: e.target.value })}
+                  className={fieldClass}
+                  aria-label={`Stack group of ${col}`}
+                >
+                  {Object.entries(STACK_GROUPS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              )}
+              {hasLines && (
+                <>
+                  <select
+                    value={style.curve}
+                    onChange={(e) => onStyleChange(col, { curve: e.target.value })}
+                    className={fieldClass}
+                    aria-label={`Curve of ${col}`}
+                  >
+                    {Object.entries(CURVE_TYPES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={style.dash}
+                    onChange={(e) => onStyleChange(col, { dash: e.target.value })}
+                    className={fieldClass}
+                    aria-label={`Dash pattern of ${col}`}
+                  >
+                    {Object.entries(DASH_PATTERNS).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <label className="flex items-center gap-1">
+                    Width
+                    <input
+                      type="number"
+                      min={0.5}
+                      max={8}
+                      step={0.5}
+                      value={style.strokeWidth}
+                      onChange={(e) => onStyleChange(col, { strokeWidth: Number(e.target.value) || DEFAULT_STYLE.strokeWidth })}
+                      className={`${fieldClass} w-16`}
+                      aria-label={`Stroke width of ${col}`}
+                    />
+                  </label>
+                </>
+              )}
+              {(hasLines || mark === "scatter") && (
+                <select
+                  value={mark === "scatter" && style.marker === "none" ? "circle" : style.marker}
+                  onChange={(e) => onStyleChange(col, { marker: e.target.value })}
+                  className={fieldClass}
+                  aria-label={`Markers of ${col}`}
+                >
+                  {Object.entries(MARKERS)
+                    .filter(([value]) => value !== "none" || mark !== "scatter")
+                    .map(([value, label]) => (
+                      <option key={value} value={value}>{value === "none" ? "No markers" : label}</option>
+                    ))}
+                </select>
+              )}
+              {hasFill && (
+                <label className="flex items-center gap-1">
+                  Fill
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    value={style.fillOpacity == null ? (mark === "area" ? 0.6 : 1) : style.fillOpacity}
+                    onChange={(e) => onStyleChange(col, { fillOpacity: Number(e.target.value) })}
+                    className="w-20"
+                    aria-label={`Fill opacity of ${col}`}
+                  />
+                </label>
+              )}
+              {hasAxes && (
+                <select
+                  value={style.axis}
+                  onChange={(e) => onStyleChange(col, { axis: e.target.value })}
+                  className={fieldClass}
+                  aria-label={`Axis of ${col}`}
+                >
+                  {Object.entries(AXIS_ASSIGNMENTS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              )}
+              {hasAxes && style.axis === "own" && (
+                <AxisFields label={`the axis of ${col}`} axis={style} onChange={(patch) => onStyleChange(col, patch)} />
+              )}
+              {canFitTrends && OVERLAY_MARKS.includes(mark) && (
+                <OverlayFields col={col} style={style} onChange={(patch) => onStyleChange(col, patch)} />
+              )}
+            </div>
+          );
+        })}
+
+        {usedSharedAxes.map(side => (
+          <div key={side} className="flex flex-wrap items-center gap-2 border-t dark:border-gray-700 pt-2">
+            <span className="font-medium w-36">{AXIS_ASSIGNMENTS[side]}</span>
+            <AxisFields
+              label={`the shared ${side} axis`}
+              axis={resolveAxis(sharedAxes[side])}
+              onChange={(patch) => onSharedAxisChange(side, patch)}
+            />
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+export default SeriesStylePanel;
@@ -0,0 +1,135 @@
+import React, { useState, useMemo } from "react";
+import { isDateType } from "../utils/schema";
+import { exportValue } from "../utils/dataExport";
+import { columnStatistics } from "../utils/stats";
+
+const SPARK_WIDTH = 100;
+const SPARK_HEIGHT = 24;
+
+const formatNumber = (value) => (Number.isInteger(value) ? value.toLocaleString() : String(Number(value.toPrecision(6))));
+
+// Spread of dates, in the largest unit that keeps it above one
+const formatDuration = (ms) => {
+  const units = [["days", 86400000], ["hours", 3600000], ["minutes", 60000], ["seconds", 1000]];
+  const [name, size] = units.find(([, unitSize]) => ms >= unitSize) || ["ms", 1];
+  return `${Number((ms / size).toPrecision(3))} ${name}`;
+};
+
+const formatStat = (value, type) => {
+  if (value == null) return "—";
+  return isDateType(type) ? exportValue(value, type) : formatNumber(value);
+};
+
+// Small bar chart of a histogram or of the most common values, with the counts in tooltips
+function MiniBars({ bars }) {
+  const max = bars.reduce((highest, bar) => Math.max(highest, bar.count), 1);
+  const width = SPARK_WIDTH / bars.length;
+  return (
+    <svg width={SPARK_WIDTH} height={SPARK_HEIGHT} className="text-blue-500" role="img" aria-label="Distribution">
+      {bars.map((bar, i) => {
+        const height = (bar.count / max) * SPARK_HEIGHT;
+        return (
+          <rect key={i} x={i * width + 0.5} y={SPARK_HEIGHT - height} width={Math.max(1, width - 1)} height={height} fill="currentColor">
+            <title>{`${bar.label}: ${bar.count.toLocaleString()}`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
+
+const distributionBars = (stats) => {
+  if (stats.histogram) {
+    const step = (stats.max - stats.min) / stats.histogram.length;
+    return stats.histogram.map((count, i) => ({
+      label: `${formatStat(stats.min + i * step, stats.type)} to ${formatStat(stats.min + (i + 1) * step, stats.type)}`,
+      count,
+    }));
+  }
+  return (stats.topValues || []).map(({ value, count }) => ({ label: value, count }));
+};
+
+// Summary statistics of every combined column, with the data-quality issues found in each. Worked
+// out only while the panel is open, since it reads every value.
+function StatsPanel({ table, xColumn }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const stats = useMemo(
+    () => (isOpen ? columnStatistics(table, xColumn) : []),
+    [isOpen, table, xColumn]
+  );
+  const issueCount = stats.reduce((total, column) => total + column.issues.length, 0);
+  const headerClass = "py-1 pr-3 text-right";
+  const cellClass = "py-1 pr-3 text-right whitespace-nowrap";
+
+  return (
+    <details
+      className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow"
+      onToggle={(e) => setIsOpen(e.currentTarget.open)}
+    >
+      <summary className="font-semibold cursor-pointer select-none">Column statistics</summary>
+      {isOpen && (
+        <div className="mt-3">
+          <p className={`mb-2 text-sm ${issueCount ? "text-orange-700 dark:text-orange-300" : "text-gray-600 dark:text-gray-400"}`} role="status">
+            {issueCount
+              ? `${issueCount} data-quality ${issueCount === 1 ? "issue" : "issues"} in ${stats.filter(s => s.issues.length).length} of ${stats.length} columns`
+              : `No data-quality issues in ${stats.length} columns`}
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-600 dark:text-gray-400">
+                  <th className="py-1 pr-3 text-left">Column</th>
+                  <th className="py-1 pr-3 text-left">Type</th>
+                  <th className={headerClass}>Count</th>
+                  <th className={headerClass}>Missing</th>
+                  <th className={headerClass}>Distinct</th>
+                  <th className={headerClass}>Min</th>
+                  <th className={headerClass}>Q1</th>
+                  <th className={headerClass}>Median</th>
+                  <th className={headerClass}>Q3</th>
+                  <th className={headerClass}>Max</th>
+                  <th className={headerClass}>Mean</th>
+                  <th className={headerClass}>Std dev</th>
+                  <th className="py-1 pr-3 text-left">Distribution</th>
+                  <th className="py-1 text-left">Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.map(s => (
+                  <tr key={s.column} className="border-t dark:border-gray-700 align-top">
+                    <td className="py-1 pr-3 font-medium">{s.column}</td>
+                    <td className="py-1 pr-3 text-gray-600 dark:text-gray-400">{s.type}</td>
+                    <td className={cellClass}>{s.count.toLocaleString()}</td>
+                    <td className={cellClass}>{(s.missing + s.invalid).toLocaleString()}</td>
+                    <td className={cellClass}>{s.distinct.toLocaleString()}</td>
+                    <td className={cellClass}>{formatStat(s.min, s.type)}</td>
+                    <td className={cellClass}>{formatStat(s.q1, s.type)}</td>
+                    <td className={cellClass}>{formatStat(s.median, s.type)}</td>
+                    <td className={cellClass}>{formatStat(s.q3, s.type)}</td>
+                    <td className={cellClass}>{formatStat(s.max, s.type)}</td>
+                    <td className={cellClass}>{formatStat(s.mean, s.type)}</td>
+                    <td className={cellClass}>
+                      {s.std == null ? "—" : isDateType(s.type) ? formatDuration(s.std) : formatNumber(s.std)}
+                    </td>
+                    <td className="py-1 pr-3">
+                      {s.count > 0 && <MiniBars bars={distributionBars(s)} />}
+                    </td>
+                    <td className="py-1 text-orange-700 dark:text-orange-300">
+                      {s.issues.length > 0 && (
+                        <ul className="list-disc pl-4">
+                          {s.issues.map(issue => <li key={issue.kind}>{issue.text}</li>)}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default StatsPanel;
@@ -0,0 +1,130 @@
+import React from "react";
+import { AGGREGATES } from "../utils/aggregate";
+import {
+  RESAMPLE_INTERVALS, FILL_METHODS, TIME_ZONES, MIN_GAP_FACTOR, MAX_GAP_FACTOR,
+} from "../utils/timeSeries";
+
+const selectClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+
+const plural = (n, word) => `${n.toLocaleString()} ${n === 1 ? word : `${word}s`}`;
+
+// Resampling, missing-value filling, gap shading and time zone of a chart against a date column.
+// `zoneCounts` tells how many of the X column's timestamps name a UTC offset, which decides what
+// the time zone choice does to them.
+function TimeSeriesPanel({ timeSeries, xColumn, zoneCounts, rowCount, sourceRowCount, gapCount, error, onChange }) {
+  const { resample, aggregate, fill, showGaps, gapFactor, timeZone } = timeSeries;
+  const update = (patch) => onChange({ ...timeSeries, ...patch });
+
+  const handleGapFactorChange = (e) => {
+    const factor = Number(e.target.value);
+    if (factor >= MIN_GAP_FACTOR && factor <= MAX_GAP_FACTOR) update({ gapFactor: factor });
+  };
+
+  const { zoned, naive } = zoneCounts;
+  let zoneNote = null;
+  if (zoned && naive) {
+    zoneNote = `${plural(zoned, "timestamp")} in ${xColumn} name a UTC offset and ${naive.toLocaleString()} don't; those without one are read as ${timeZone === "utc" ? "UTC" : "local time"}.`;
+  } else if (zoned) {
+    zoneNote = `The timestamps in ${xColumn} name a UTC offset and are shown in ${timeZone === "utc" ? "UTC" : "local time"}.`;
+  } else if (naive) {
+    zoneNote = `The timestamps in ${xColumn} have no UTC offset and are shown as written.`;
+  }
+
+  return (
+    <div className="mb-4 bg-white dark:bg-gray-800 p-4 rounded-lg shadow text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-semibold">Time series</span>
+
+        <label className="flex items-center gap-2">
+          Resample per
+          <select
+            value={resample}
+            onChange={(e) => update({ resample: e.target.value })}
+            className={selectClass}
+            aria-label="Resample interval"
+          >
+            {Object.entries(RESAMPLE_INTERVALS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {resample !== "none" && (
+          <label className="flex items-center gap-2">
+            using
+            <select
+              value={aggregate}
+              onChange={(e) => update({ aggregate: e.target.value })}
+              className={selectClass}
+              aria-label="Resample aggregate"
+            >
+              {Object.entries(AGGREGATES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <label className="flex items-center gap-2">
+          Fill missing values
+          <select
+            value={fill}
+            onChange={(e) => update({ fill: e.target.value })}
+            className={selectClass}
+            aria-label="Fill missing values"
+          >
+            {Object.entries(FILL_METHODS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Show times in
+          <select
+            value={timeZone}
+            onChange={(e) => update({ timeZone: e.target.value })}
+            className={selectClass}
+            aria-label="Time zone"
+          >
+            {Object.entries(TIME_ZONES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={showGaps} onChange={(e) => update({ showGaps: e.target.checked })} />
+          Shade gaps longer than
+        </label>
+        <input
+          type="number"
+          min={MIN_GAP_FACTOR}
+          max={MAX_GAP_FACTOR}
+          step={0.5}
+          value={gapFactor}
+          onChange={handleGapFactorChange}
+          disabled={!showGaps}
+          className={`${selectClass} w-20`}
+          aria-label="Gap factor"
+        />
+        <span>× the median interval</span>
+        {showGaps && (
+          <span className="text-xs text-gray-600 dark:text-gray-400" role="status">{plural(gapCount, "gap")} found</span>
+        )}
+      </div>
+
+      <div className="mt-2 text-xs text-gray-600 dark:text-gray-400">
+        {resample !== "none" && !error && (
+          <p>{plural(sourceRowCount, "row")} resampled to {plural(rowCount, "interval")}.</p>
+        )}
+        {zoneNote && <p>{zoneNote}</p>}
+      </div>
+      {error && <p className="mt-2 text-red-600" role="alert">{error}</p>}
+    </div>
+  );
+}
+
+export default TimeSeriesPanel;
@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+
+const fieldClass = "p-1 border rounded text-sm dark:bg-gray-800 dark:border-gray-600";
+const buttonClass = "px-3 py-1 rounded bg-gray-300 dark:bg-gray-700 text-sm hover:bg-gray-400 dark:hover:bg-gray-600 transition-colors";
+
+const MESSAGE_CLASSES = {
+  error: "border-red-300 bg-red-50 text-red-800 dark:bg-red-900 dark:border-red-700 dark:text-red-100",
+  warning: "border-orange-300 bg-orange-50 text-orange-800 dark:bg-orange-900 dark:border-orange-700 dark:text-orange-100",
+  info: "border-blue-300 bg-blue-50 text-blue-800 dark:bg-blue-900 dark:border-blue-700 dark:text-blue-100",
+};
+
+// Saving the plot configuration as named presets, as a JSON file or in a link, and applying it
+// again. The message from the last of these stays below the panel until dismissed.
+function ViewSpecPanel({
+  presets, message, onSavePreset, onApplyPreset, onDeletePreset, onExport, onImport, onCopyLink, onDismissMessage,
+}) {
+  const [name, setName] = useState("");
+  const names = Object.keys(presets).sort((a, b) => a.localeCompare(b));
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSavePreset(name.trim());
+    setName("");
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    // Clear the input so picking the same file again still triggers a change
+    e.target.value = "";
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="mb-4">
+      <details className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow">
+        <summary className="font-semibold cursor-pointer select-none">
+          Saved views
+          {names.length > 0 && (
+            <span className="ml-2 text-sm font-normal text-gray-600 dark:text-gray-400">{names.length}</span>
+          )}
+        </summary>
+
+        <div className="mt-3 flex flex-col gap-3 text-sm">
+          <form onSubmit={handleSave} className="flex flex-wrap items-center gap-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Preset name"
+              className={`${fieldClass} w-48`}
+              aria-label="Preset name"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="px-3 py-1 rounded bg-blue-500 text-white text-sm hover:bg-blue-600 transition-colors disabled:opacity-50"
+            >
+              {presets[name.trim()] ? "Overwrite preset" : "Save preset"}
+            </button>
+          </form>
+
+          {names.length > 0 && (
+            <ul className="flex flex-col gap-1">
+              {names.map(preset => (
+                <li key={preset} className="flex items-center gap-2">
+                  <span className="flex-1 font-medium truncate">{preset}</span>
+                  <button onClick={() => onApplyPreset(preset)} className={buttonClass} aria-label={`Apply preset ${preset}`}>
+                    Apply
+                  </button>
+                  <button onClick={() => onDeletePreset(preset)} className={buttonClass} aria-label={`Delete preset ${preset}`}>
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2 border-t dark:border-gray-700 pt-3">
+            <button onClick={onExport} className={buttonClass}>Export view as JSON</button>
+            <label className={`${buttonClass} cursor-pointer`}>
+              Import view from JSON
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={handleFileChange}
+                className="hidden"
+                aria-label="Import view file"
+              />
+            </label>
+            <button onClick={onCopyLink} className={buttonClass}>Copy link to this view</button>
+          </div>
+          <p className="text-xs text-gray-600 dark:text-gray-400">
+            Views refer to columns by name, so they apply to any data with the same headers. Links only
+            carry the data when it was loaded from a URL.
+          </p>
+        </div>
+      </details>
+
+      {message && (
+        <div className={`mt-2 flex justify-between items-start gap-4 p-3 rounded border text-sm ${MESSAGE_CLASSES[message.type]}`} role="alert">
+          <span>{message.text}</span>
+          <button onClick={onDismissMessage} className="font-bold" aria-label="Dismiss message">×</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ViewSpecPanel;
@@ -0,0 +1,106 @@
+import React from "react";
+import { formatCount, formatShare, numberFormatter, dateFormatter } from "../utils/format";
+
+const buttonClass = "px-2 py-1 rounded text-xs transition-colors";
+
+const MESSAGE_CLASSES = {
+  error: "border-red-300 bg-red-50 text-red-800 dark:bg-red-900 dark:border-red-700 dark:text-red-100",
+  info: "border-blue-300 bg-blue-50 text-blue-800 dark:bg-blue-900 dark:border-blue-700 dark:text-blue-100",
+};
+
+const BYTE_UNITS = ["byte", "kilobyte", "megabyte", "gigabyte", "terabyte"];
+
+const formatBytes = (bytes, locale) => {
+  const exponent = Math.min(BYTE_UNITS.length - 1, bytes > 0 ? Math.floor(Math.log(bytes) / Math.log(1000)) : 0);
+  // Plain bytes are spelled out, since the short "byte" doesn't take a plural
+  const options = exponent ? { maximumFractionDigits: 1 } : { unitDisplay: "long" };
+  return numberFormatter(locale, { style: "unit", unit: BYTE_UNITS[exponent], ...options }).format(bytes / 1000 ** exponent);
+};
+
+// Datasets saved in the browser's local workspace, most recently opened first, with how much of
+// the site's storage they take. `openKeys` are the store keys of the datasets loaded now, which
+// are kept up to date as they change.
+function WorkspacePanel({ stored, openKeys, usage, message, locale, onOpen, onDelete, onDismissMessage }) {
+  const openedAt = (time) => dateFormatter(locale, { dateStyle: "medium", timeStyle: "short" }).format(new Date(time));
+
+  return (
+    <div className="mb-4">
+      <details className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow">
+        <summary className="font-semibold cursor-pointer select-none">
+          Workspace
+          {stored.length > 0 && (
+            <span className="ml-2 text-sm font-normal text-gray-600 dark:text-gray-400">{stored.length}</span>
+          )}
+        </summary>
+
+        <div className="mt-3 flex flex-col gap-3 text-sm">
+          <p className="text-xs text-gray-600 dark:text-gray-400">
+            Loaded datasets and their charts are kept in this browser, so they are back after a reload and open
+            without parsing again. Nothing is uploaded.
+          </p>
+
+          {stored.length > 0 ? (
+            <ul className="divide-y dark:divide-gray-700">
+              {stored.map(record => {
+                const isOpen = openKeys.includes(record.key);
+                return (
+                  <li key={record.key} className="py-2 flex flex-wrap items-center gap-2">
+                    <span className="font-medium truncate" title={record.fileName}>{record.name}</span>
+                    <span className="text-xs text-gray-600 dark:text-gray-400 flex-1 truncate">
+                      {record.size != null ? `${formatBytes(record.size, locale)} · ` : ""}
+                      {formatCount(record.rowCount, locale)} rows · {formatCount(record.columnCount, locale)} columns
+                      {record.openedAt ? ` · opened ${openedAt(record.openedAt)}` : ""}
+                    </span>
+                    {isOpen ? (
+                      <span className="text-xs text-gray-600 dark:text-gray-400">Loaded</span>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => onOpen(record.key)}
+                          className={`${buttonClass} bg-blue-500 text-white hover:bg-blue-600`}
+                          aria-label={`Open ${record.name}`}
+                        >
+                          Open
+                        </button>
+                        <button
+                          onClick={() => onDelete(record.key)}
+                          className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}
+                          aria-label={`Delete ${record.name} from the workspace`}
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-gray-600 dark:text-gray-400">No datasets saved yet.</p>
+          )}
+
+          {usage && usage.quota > 0 && (
+            <div className="text-xs text-gray-600 dark:text-gray-400">
+              <div className="h-1.5 w-64 max-w-full rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                <div className="h-full bg-blue-500" style={{ width: `${Math.min(100, (usage.usage / usage.quota) * 100)}%` }} />
+              </div>
+              <p className="mt-1">
+                Using {formatBytes(usage.usage, locale)} of {formatBytes(usage.quota, locale)} available to this site
+                ({formatShare(usage.usage / usage.quota, locale)})
+              </p>
+            </div>
+          )}
+        </div>
+      </details>
+
+      {message && (
+        <div className={`mt-2 flex justify-between items-start gap-4 p-3 rounded border text-sm ${MESSAGE_CLASSES[message.type]}`} role="alert">
+          <span>{message.text}</span>
+          <button onClick={onDismissMessage} className="font-bold" aria-label="Dismiss workspace message">×</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspacePanel;
@@ -0,0 +1,63 @@
+import React from "react";
+import { LineChart, Line, Brush, ResponsiveContainer } from "recharts";
+
+// First overview row at or after the given row position (rows are ordered by position)
+const findOverviewIndex = (rows, indexKey, position) => {
+  let lo = 0;
+  let hi = rows.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (rows[mid][indexKey] < position) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Overview strip of the whole dataset with a Brush bound to the zoom window
+function ZoomOverview({ rows, series, colors, indexKey, domain, onPreview, onCommit, formatTick }) {
+  if (rows.length < 2) return null;
+
+  // The domain can briefly lie past the rows while a smaller dataset replaces a larger one
+  const startIndex = Math.min(findOverviewIndex(rows, indexKey, domain.start), rows.length - 2);
+  const endIndex = Math.max(startIndex + 1, Math.min(rows.length - 1, findOverviewIndex(rows, indexKey, domain.end)));
+
+  const handleChange = ({ startIndex: from, endIndex: to }) => {
+    onPreview({
+      start: from === 0 ? 0 : rows[from][indexKey],
+      end: rows[to][indexKey],
+    });
+  };
+
+  return (
+    <div className="mb-4 bg-white dark:bg-gray-800 px-4 py-2 rounded-lg shadow" style={{ height: 90 }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={rows} margin={{ top: 0, right: 10, left: 10, bottom: 0 }}>
+          <Brush
+            dataKey={indexKey}
+            height={70}
+            startIndex={startIndex}
+            endIndex={endIndex}
+            onChange={handleChange}
+            onDragEnd={onCommit}
+            tickFormatter={formatTick}
+            travellerWidth={8}
+          >
+            <LineChart data={rows}>
+              {series.map((col, i) => (
+                <Line
+                  key={col}
+                  dataKey={col}
+                  stroke={colors[i % colors.length]}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </Brush>
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default ZoomOverview;
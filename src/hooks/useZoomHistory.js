@@ -0,0 +1,70 @@
+import { useState, useCallback, useRef } from "react";
+
+const sameDomain = (a, b) => a.start === b.start && a.end === b.end;
+
+// Zoom window over row positions with back/forward history. Continuous gestures (dragging,
+// wheel, keys) update a preview that only becomes a history entry once committed.
+// `committedDomain` is the current history entry, which changes only once a gesture is committed.
+const useZoomHistory = (initialDomain) => {
+  const [history, setHistory] = useState({ entries: [initialDomain], index: 0 });
+  const [preview, setPreview] = useState(null);
+  // Mirrors `preview` so delayed commits (wheel, keys) see the latest value
+  const previewRef = useRef(null);
+
+  const current = history.entries[history.index];
+  const zoomDomain = preview || current;
+
+  const clearPreview = useCallback(() => {
+    previewRef.current = null;
+    setPreview(null);
+  }, []);
+
+  const previewZoom = useCallback((domain) => {
+    previewRef.current = domain;
+    setPreview(domain);
+  }, []);
+
+  const zoomTo = useCallback((domain) => {
+    clearPreview();
+    setHistory(prev => {
+      if (sameDomain(prev.entries[prev.index], domain)) return prev;
+      const entries = [...prev.entries.slice(0, prev.index + 1), domain];
+      return { entries, index: entries.length - 1 };
+    });
+  }, [clearPreview]);
+
+  const commitPreview = useCallback(() => {
+    const domain = previewRef.current;
+    if (domain) zoomTo(domain);
+  }, [zoomTo]);
+
+  const resetHistory = useCallback((domain) => {
+    clearPreview();
+    setHistory({ entries: [domain], index: 0 });
+  }, [clearPreview]);
+
+  const goBack = useCallback(() => {
+    clearPreview();
+    setHistory(prev => ({ ...prev, index: Math.max(0, prev.index - 1) }));
+  }, [clearPreview]);
+
+  const goForward = useCallback(() => {
+    clearPreview();
+    setHistory(prev => ({ ...prev, index: Math.min(prev.entries.length - 1, prev.index + 1) }));
+  }, [clearPreview]);
+
+  return {
+    zoomDomain,
+    committedDomain: current,
+    zoomTo,
+    previewZoom,
+    commitPreview,
+    resetHistory,
+    goBack,
+    goForward,
+    canGoBack: history.index > 0,
+    canGoForward: history.index < history.entries.length - 1,
+  };
+};
+
+export default useZoomHistory;
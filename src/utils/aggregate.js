@@ -0,0 +1,170 @@
+import { isNumericType, isDateType, isPlottableType } from "./schema";
+
+// Group-by aggregation: the filtered columns reduced to one row per group, keyed by the
+// group-by column (dates optionally bucketed) with every other column aggregated
+
+export const AGGREGATES = {
+  sum: "Sum",
+  mean: "Mean",
+  median: "Median",
+  min: "Min",
+  max: "Max",
+  count: "Count",
+  distinct: "Distinct count",
+  p95: "95th percentile",
+};
+
+export const DATE_BUCKETS = {
+  none: "Exact value",
+  hour: "Hour",
+  day: "Day",
+  week: "Week",
+  month: "Month",
+};
+
+// Aggregates that make sense for a column type: dates can't be summed, text can only be counted
+export const aggregatesForType = (type) => {
+  if (isNumericType(type) || type === "boolean") return Object.keys(AGGREGATES);
+  if (isDateType(type)) return ["min", "max", "median", "count", "distinct"];
+  return ["count", "distinct"];
+};
+
+export const defaultAggregate = (type) => aggregatesForType(type)[0];
+
+// Aggregate of a column: the one chosen for it when its type allows it, else the type's default.
+// Only the choices' own keys count, so a column named "constructor" isn't given a function.
+export const aggregateFor = (aggregates, col, type) => {
+  const chosen = Object.prototype.hasOwnProperty.call(aggregates, col) ? aggregates[col] : null;
+  return aggregatesForType(type).includes(chosen) ? chosen : defaultAggregate(type);
+};
+
+// Buckets shorter than a day, whose keys keep a time of day, and all the buckets `bucketTime` knows:
+// the group-by ones and the shorter ones resampling uses
+const TIME_OF_DAY_BUCKETS = ["second", "minute", "hour"];
+const TIME_BUCKETS = [...TIME_OF_DAY_BUCKETS, "day", "week", "month"];
+
+// Start of the local second, minute, hour, day, week (Monday) or month containing `time`
+export const bucketTime = (time, bucket) => {
+  const date = new Date(time);
+  switch (bucket) {
+    case "second":
+      date.setMilliseconds(0);
+      break;
+    case "minute":
+      date.setSeconds(0, 0);
+      break;
+    case "hour":
+      date.setMinutes(0, 0, 0);
+      break;
+    case "day":
+      date.setHours(0, 0, 0, 0);
+      break;
+    case "week":
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      break;
+    case "month":
+      date.setHours(0, 0, 0, 0);
+      date.setDate(1);
+      break;
+    default:
+      throw new Error(`Unknown date bucket "${bucket}"`);
+  }
+  return date.getTime();
+};
+
+const isMissing = (value) => value == null || (typeof value === "number" && isNaN(value));
+
+// Linear interpolation between the closest ranks of sorted values
+const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+};
+
+const aggregateValues = (values, aggregate) => {
+  if (aggregate === "count") return values.length;
+  if (aggregate === "distinct") return new Set(values).size;
+  if (!values.length) return NaN;
+  switch (aggregate) {
+    case "sum":
+      return values.reduce((acc, v) => acc + v, 0);
+    case "mean":
+      return values.reduce((acc, v) => acc + v, 0) / values.length;
+    case "min":
+      return values.reduce((acc, v) => (v < acc ? v : acc), Infinity);
+    case "max":
+      return values.reduce((acc, v) => (v > acc ? v : acc), -Infinity);
+    case "median":
+      return quantile(Float64Array.from(values).sort(), 0.5);
+    case "p95":
+      return quantile(Float64Array.from(values).sort(), 0.95);
+    default:
+      throw new Error(`Unknown aggregate "${aggregate}"`);
+  }
+};
+
+// Type of an aggregated column: counts are integers, date extremes stay dates
+const aggregatedSchema = (columnSchema, aggregate) => {
+  if (aggregate === "count" || aggregate === "distinct") return { type: "integer" };
+  if (isDateType(columnSchema.type)) return columnSchema;
+  if (columnSchema.type === "integer" && ["sum", "min", "max"].includes(aggregate)) return columnSchema;
+  return { type: "number" };
+};
+
+// One row per group of `groupBy` values. Groups of numbers and dates are sorted, other groups keep
+// the order they first appear in; rows with no group value are left out. Columns without an
+// aggregate their type allows get the type's default; unknown buckets are refused.
+export const aggregateTable = (table, { groupBy, bucket, aggregates }) => {
+  if (bucket != null && bucket !== "none" && !TIME_BUCKETS.includes(bucket)) {
+    throw new Error(`Unknown date bucket "${bucket}"`);
+  }
+  const keyColumn = table.columns[groupBy];
+  const keySchema = table.schema[groupBy];
+  const isDateKey = isDateType(keySchema.type);
+  const bucketKey = isDateKey && bucket != null && bucket !== "none";
+
+  const groups = new Map();
+  for (let i = 0; i < table.rowCount; i++) {
+    let key = keyColumn[i];
+    if (isMissing(key)) continue;
+    if (bucketKey) key = bucketTime(key, bucket);
+    let rows = groups.get(key);
+    if (!rows) {
+      rows = [];
+      groups.set(key, rows);
+    }
+    rows.push(i);
+  }
+  const keys = [...groups.keys()];
+  if (isPlottableType(keySchema.type)) keys.sort((a, b) => a - b);
+
+  const headers = [groupBy];
+  const columns = {
+    [groupBy]: isPlottableType(keySchema.type) ? Float64Array.from(keys) : keys,
+  };
+  const schema = {
+    // Hourly and shorter buckets still have a time of day, coarser ones don't
+    [groupBy]: bucketKey ? { ...keySchema, type: TIME_OF_DAY_BUCKETS.includes(bucket) ? "datetime" : "date" } : keySchema,
+  };
+
+  table.headers.forEach(col => {
+    if (col === groupBy) return;
+    const aggregate = aggregateFor(aggregates, col, table.schema[col].type);
+    const values = table.columns[col];
+    const result = new Float64Array(keys.length);
+    keys.forEach((key, g) => {
+      const present = [];
+      groups.get(key).forEach(i => {
+        if (!isMissing(values[i])) present.push(values[i]);
+      });
+      result[g] = aggregateValues(present, aggregate);
+    });
+    headers.push(col);
+    columns[col] = result;
+    schema[col] = aggregatedSchema(table.schema[col], aggregate);
+  });
+
+  return { headers, columns, schema, rowCount: keys.length };
+};
@@ -0,0 +1,91 @@
+import { aggregateTable, aggregateFor, aggregatesForType, defaultAggregate, bucketTime } from "./aggregate";
+
+const time = (day, hour = 0) => new Date(2024, 0, day, hour, 30).getTime();
+
+const table = {
+  headers: ["region", "sales", "when"],
+  columns: {
+    region: ["north", "south", "north", null, "south"],
+    sales: Float64Array.from([10, 20, 30, 40, NaN]),
+    when: Float64Array.from([time(1, 9), time(1, 17), time(2, 9), time(3, 9), time(3, 10)]),
+  },
+  schema: {
+    region: { type: "category" },
+    sales: { type: "integer" },
+    when: { type: "datetime" },
+  },
+  rowCount: 5,
+};
+
+describe("aggregateTable", () => {
+  test("reduces each group to one row, leaving out rows with no group", () => {
+    const result = aggregateTable(table, { groupBy: "region", bucket: "none", aggregates: { sales: "mean", when: "max" } });
+    expect(result.headers).toEqual(["region", "sales", "when"]);
+    expect(result.columns.region).toEqual(["north", "south"]);
+    expect(Array.from(result.columns.sales)).toEqual([20, 20]);
+    expect(Array.from(result.columns.when)).toEqual([time(2, 9), time(3, 10)]);
+    expect(result.schema.sales.type).toBe("number");
+    expect(result.schema.when.type).toBe("datetime");
+    expect(result.rowCount).toBe(2);
+  });
+
+  test("takes the first aggregate of a column's type when none is chosen", () => {
+    const result = aggregateTable(table, { groupBy: "region", bucket: "none", aggregates: {} });
+    expect(Array.from(result.columns.sales)).toEqual([40, 20]);
+    expect(result.schema.sales.type).toBe("integer");
+  });
+
+  test("counts and percentiles", () => {
+    const result = aggregateTable(table, { groupBy: "region", bucket: "none", aggregates: { sales: "count", when: "distinct" } });
+    expect(Array.from(result.columns.sales)).toEqual([2, 1]);
+    expect(Array.from(result.columns.when)).toEqual([2, 2]);
+    expect(result.schema.sales.type).toBe("integer");
+    const p95 = aggregateTable(table, { groupBy: "region", bucket: "none", aggregates: { sales: "p95" } });
+    expect(p95.columns.sales[0]).toBeCloseTo(29);
+  });
+
+  test("falls back to the default for aggregates the type doesn't allow or that don't exist", () => {
+    const aggregates = { sales: "mode", when: "sum", region: "constructor" };
+    const result = aggregateTable(table, { groupBy: "region", bucket: "none", aggregates });
+    expect(Array.from(result.columns.sales)).toEqual([40, 20]);
+    expect(Array.from(result.columns.when)).toEqual([time(1, 9), time(1, 17)]);
+    const inherited = aggregateTable(table, { groupBy: "when", bucket: "none", aggregates: Object.create({ sales: "count" }) });
+    expect(Array.from(inherited.columns.sales)).toEqual([10, 20, 30, 40, NaN]);
+  });
+
+  test("refuses unknown buckets", () => {
+    expect(() => aggregateTable(table, { groupBy: "when", bucket: "fortnight", aggregates: {} })).toThrow('Unknown date bucket "fortnight"');
+    expect(() => bucketTime(0, "toString")).toThrow('Unknown date bucket "toString"');
+  });
+
+  test("groups dates by bucket, sorted", () => {
+    const result = aggregateTable(table, { groupBy: "when", bucket: "day", aggregates: { sales: "sum" } });
+    expect(Array.from(result.columns.when)).toEqual([time(1), time(2), time(3)].map(t => t - 30 * 60 * 1000));
+    expect(Array.from(result.columns.sales)).toEqual([30, 30, 40]);
+    expect(result.schema.when.type).toBe("date");
+  });
+});
+
+describe("bucketTime", () => {
+  test("finds the start of the hour, day, week and month", () => {
+    const t = new Date(2024, 0, 17, 13, 45, 12).getTime();
+    expect(bucketTime(t, "hour")).toBe(new Date(2024, 0, 17, 13).getTime());
+    expect(bucketTime(t, "day")).toBe(new Date(2024, 0, 17).getTime());
+    expect(bucketTime(t, "week")).toBe(new Date(2024, 0, 15).getTime());
+    expect(bucketTime(t, "month")).toBe(new Date(2024, 0, 1).getTime());
+  });
+});
+
+describe("aggregatesForType", () => {
+  test("offers only aggregates that make sense for the type", () => {
+    expect(aggregatesForType("text")).toEqual(["count", "distinct"]);
+    expect(aggregatesForType("date")).not.toContain("sum");
+    expect(defaultAggregate("number")).toBe("sum");
+  });
+
+  test("takes a column's own choice when its type allows it", () => {
+    expect(aggregateFor({ a: "mean" }, "a", "number")).toBe("mean");
+    expect(aggregateFor({ a: "mean" }, "a", "text")).toBe("count");
+    expect(aggregateFor({}, "constructor", "date")).toBe("min");
+  });
+});
@@ -0,0 +1,131 @@
+import Papa from "papaparse";
+import { isNumericType, isDateType, parseNumber, parseDate, resolveColumnSchema } from "./schema";
+import { exportValue } from "./dataExport";
+
+// Chart annotations: reference lines, shaded ranges and notes kept with a view. Like filter bounds,
+// their values are kept as typed and read as the X column's or the series' type when drawn, so they
+// stay put while columns are renamed or retyped.
+
+export const ANNOTATION_TYPES = {
+  xLine: "Vertical marker",
+  yLine: "Horizontal line",
+  xRange: "Shaded X range",
+  yRange: "Shaded Y range",
+  note: "Note",
+};
+
+// Types placed on the Y axis of a series
+export const Y_ANNOTATION_TYPES = ["yLine", "yRange", "note"];
+
+export const DEFAULT_ANNOTATION_COLOR = "#ef4444";
+
+// Most events read from one file
+export const MAX_IMPORTED_EVENTS = 1000;
+
+const BLANK_ANNOTATION = { type: "xLine", x: "", x2: "", y: "", y2: "", column: null, label: "", color: DEFAULT_ANNOTATION_COLOR };
+
+// `annotations` with `added` appended, given ids after the highest one in use
+export const appendAnnotations = (annotations, added) => {
+  const first = annotations.reduce((max, annotation) => Math.max(max, annotation.id), 0) + 1;
+  return [...annotations, ...added.map((fields, i) => ({ ...BLANK_ANNOTATION, ...fields, id: first + i }))];
+};
+
+// Typed value as the panel shows it: dates as date or date-time input values, booleans as
+// true/false, anything else as it is
+export const valueText = (value, type) => {
+  if (value == null) return "";
+  const text = String(exportValue(value, type));
+  return isDateType(type) ? text.replace(" ", "T") : text;
+};
+
+// Value of an annotation as typed, read as `type`: dates from date inputs ("2024-01-31" or
+// "2024-01-31T10:00"), numbers, true/false for booleans, and other text as it is to match a
+// category. Null when it's empty or can't be read.
+export const parseAnnotationValue = (raw, type) => {
+  if (raw == null || String(raw).trim() === "") return null;
+  if (isDateType(type)) {
+    const value = parseDate(raw, "YYYY-MM-DD");
+    return isFinite(value) ? value : null;
+  }
+  if (isNumericType(type)) {
+    const value = parseNumber(raw);
+    return isFinite(value) ? value : null;
+  }
+  if (type === "boolean") {
+    const lower = String(raw).trim().toLowerCase();
+    return lower === "true" ? 1 : lower === "false" ? 0 : null;
+  }
+  return String(raw).trim();
+};
+
+const START_NAMES = ["time", "timestamp", "date", "datetime", "start", "from", "x"];
+const END_NAMES = ["end", "until", "to", "stop", "x2"];
+const LABEL_NAMES = ["label", "event", "name", "title", "text", "description", "note"];
+const COLOR_NAMES = ["color", "colour"];
+
+const findColumn = (headers, names) => headers.find(header => names.includes(header.trim().toLowerCase()));
+
+// Reader of an events file's X values as `xType` values, using the date format or decimal
+// separator that fits most of them
+const xReader = (values, xType) => {
+  const { format } = resolveColumnSchema(values, xType);
+  if (isDateType(xType)) return (raw) => parseDate(raw, format);
+  if (isNumericType(xType)) return (raw) => parseNumber(raw, format);
+  return (raw) => String(raw).trim();
+};
+
+// Vertical markers, or shaded X ranges where an end is given, from a CSV of events. The start
+// column is named time, date, start or similar, or else is the first; end, label and colour columns
+// are optional. Returns the annotations and the number of rows whose start or end couldn't be
+// read, and throws when none could.
+export const parseEventsCsv = (text, xType) => {
+  const { data, meta } = Papa.parse(text.trim(), { header: true, skipEmptyLines: true });
+  const headers = meta.fields || [];
+  if (!headers.length || !data.length) throw new Error("The events file has no rows");
+
+  const startColumn = findColumn(headers, START_NAMES) || headers[0];
+  const endColumn = findColumn(headers, END_NAMES);
+  const colorColumn = findColumn(headers, COLOR_NAMES);
+  const labelColumn = findColumn(headers, LABEL_NAMES)
+    || headers.find(header => ![startColumn, endColumn, colorColumn].includes(header));
+
+  const present = (raw) => raw != null && String(raw).trim() !== "";
+  const rawValues = data.flatMap(row => [row[startColumn], endColumn && row[endColumn]].filter(present));
+  const readX = xReader(rawValues, xType);
+  const readText = (raw) => {
+    if (!present(raw)) return "";
+    const value = readX(raw);
+    return typeof value === "number" && !isFinite(value) ? null : valueText(value, xType);
+  };
+
+  const annotations = [];
+  let skipped = 0;
+  data.slice(0, MAX_IMPORTED_EVENTS).forEach(row => {
+    const x = readText(row[startColumn]);
+    const x2 = endColumn ? readText(row[endColumn]) : "";
+    if (!x || x2 == null) {
+      skipped++;
+      return;
+    }
+    const color = colorColumn && /^#[0-9a-f]{6}$/i.test(String(row[colorColumn]).trim())
+      ? String(row[colorColumn]).trim()
+      : DEFAULT_ANNOTATION_COLOR;
+    annotations.push({
+      type: x2 ? "xRange" : "xLine",
+      x,
+      x2,
+      label: labelColumn && present(row[labelColumn]) ? String(row[labelColumn]).trim() : "",
+      color,
+    });
+  });
+  if (!annotations.length) throw new Error(`None of the event times could be read as the X column's type (${xType})`);
+  return { annotations, skipped: skipped + Math.max(0, data.length - MAX_IMPORTED_EVENTS) };
+};
+
+// Events from a CSV file picked by the user
+export const readEventsFile = (file, xType) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+}).then(text => parseEventsCsv(text, xType));
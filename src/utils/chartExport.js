@@ -0,0 +1,217 @@
+// Chart files built from a rendered Recharts SVG: standalone SVG with its fonts inlined, and PNG
+// and PDF drawn from it. Only the SVG is vector; the PDF holds the chart as an image at the chosen
+// scale. The legend, which Recharts draws in HTML, is drawn into the SVG here, along with an
+// optional title and caption over a solid or transparent background.
+
+export const CHART_EXPORT_FORMATS = {
+  svg: "SVG (vector)",
+  png: "PNG",
+  pdf: "PDF (image)",
+};
+
+// Pixels per CSS pixel of the PNG and PDF images
+export const EXPORT_SCALES = [1, 2, 4];
+
+export const BACKGROUNDS = {
+  white: { label: "White", color: "#ffffff" },
+  dark: { label: "Dark", color: "#1f2937" },
+  transparent: { label: "Transparent", color: "transparent" },
+  custom: { label: "Custom colour" },
+};
+
+// Sizes outside these are refused, being unreadable or too large for a canvas
+export const MIN_EXPORT_SIZE = 200;
+export const MAX_EXPORT_SIZE = 4000;
+
+export const isValidExportSize = ({ width, height }) => [width, height].every(size => (
+  Number.isInteger(size) && size >= MIN_EXPORT_SIZE && size <= MAX_EXPORT_SIZE
+));
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: "png",
+  range: "view", // view, full
+  width: 1200,
+  height: 800,
+  scale: 2,
+  background: "white",
+  customBackground: "#ffffff",
+  title: "",
+  caption: "",
+  dataFormat: "csv",
+};
+
+const PADDING = 16;
+const TITLE_HEIGHT = 40;
+const CAPTION_HEIGHT = 28;
+const LEGEND_ROW_HEIGHT = 20;
+const SWATCH_SIZE = 10;
+
+// Points per CSS pixel
+const PDF_POINTS_PER_PIXEL = 0.75;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// Legend entries as Recharts drew them: label and colour of each
+export const readLegendItems = (chartElement) => (
+  chartElement
+    ? [...chartElement.querySelectorAll(".recharts-legend-item-text")].map(item => ({
+      label: item.textContent,
+      color: item.style.color || "#666",
+    }))
+    : []
+);
+
+// Dark text on light backgrounds and light text on dark ones
+const textColorOn = (background) => {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(background);
+  if (!match) return "#1f2937";
+  const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16) / 255);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.5 ? "#1f2937" : "#f3f4f6";
+};
+
+// Where the title, chart, legend and caption go in an export of the given size. Legend entries
+// wrap onto rows, with widths estimated from their length since nothing is measured yet.
+export const layoutExport = ({ width, height, title, caption }, legend) => {
+  const titleHeight = title.trim() ? TITLE_HEIGHT : 0;
+  const captionHeight = caption.trim() ? CAPTION_HEIGHT : 0;
+  const rows = [];
+  let row = { items: [], width: 0 };
+  legend.forEach(item => {
+    const itemWidth = SWATCH_SIZE + 6 + item.label.length * 7 + 16;
+    if (row.items.length && row.width + itemWidth > width - 2 * PADDING) {
+      rows.push(row);
+      row = { items: [], width: 0 };
+    }
+    row.items.push({ ...item, x: row.width });
+    row.width += itemWidth;
+  });
+  if (row.items.length) rows.push(row);
+  const legendHeight = rows.length * LEGEND_ROW_HEIGHT;
+  const chartHeight = Math.max(100, height - titleHeight - legendHeight - captionHeight);
+  return {
+    chartTop: titleHeight,
+    chartHeight,
+    legendTop: titleHeight + chartHeight,
+    legendRows: rows,
+    captionTop: titleHeight + chartHeight + legendHeight,
+  };
+};
+
+// Copy the computed font of every text element, since the page's stylesheets don't go along
+const inlineFonts = (source, copy) => {
+  const sourceTexts = source.querySelectorAll("text");
+  const copyTexts = copy.querySelectorAll("text");
+  sourceTexts.forEach((text, i) => {
+    const style = window.getComputedStyle(text);
+    ["font-family", "font-size", "font-weight", "font-style"].forEach(property => {
+      const value = style.getPropertyValue(property);
+      if (value) copyTexts[i].style.setProperty(property, value);
+    });
+  });
+};
+
+// Standalone SVG of the chart with its legend, title, caption and background colour (or
+// "transparent"). `pixelScale` sets the image size for drawing it at a higher resolution; its
+// coordinates stay in CSS pixels.
+export const composeChartSvg = (chartSvg, options, legend, pixelScale = 1) => {
+  const { width, height, background, title, caption, fontFamily = "sans-serif" } = options;
+  const layout = layoutExport(options, legend);
+  const isTransparent = background === "transparent";
+  const textColor = textColorOn(isTransparent ? "#ffffff" : background);
+  const font = `font-family="${escapeXml(fontFamily)}" fill="${textColor}"`;
+
+  const chart = chartSvg.cloneNode(true);
+  inlineFonts(chartSvg, chart);
+  chart.setAttribute("x", 0);
+  chart.setAttribute("y", layout.chartTop);
+  chart.setAttribute("width", width);
+  chart.setAttribute("height", layout.chartHeight);
+  chart.removeAttribute("style");
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width * pixelScale}" height="${height * pixelScale}" viewBox="0 0 ${width} ${height}">`,
+    // Axis labels are grey for the page; on the chosen background they take the text colour
+    isTransparent ? "" : `<style>.recharts-cartesian-axis-tick-value, .recharts-label { fill: ${textColor}; }</style>`,
+    isTransparent ? "" : `<rect width="${width}" height="${height}" fill="${background}"/>`,
+  ];
+  if (title.trim()) {
+    parts.push(`<text x="${width / 2}" y="${TITLE_HEIGHT - 12}" text-anchor="middle" font-size="18" font-weight="600" ${font}>${escapeXml(title.trim())}</text>`);
+  }
+  parts.push(new XMLSerializer().serializeToString(chart));
+  layout.legendRows.forEach((row, r) => {
+    const left = (width - row.width) / 2;
+    const top = layout.legendTop + r * LEGEND_ROW_HEIGHT + 4;
+    row.items.forEach(item => {
+      parts.push(`<rect x="${left + item.x}" y="${top}" width="${SWATCH_SIZE}" height="${SWATCH_SIZE}" fill="${escapeXml(item.color)}"/>`);
+      parts.push(`<text x="${left + item.x + SWATCH_SIZE + 6}" y="${top + SWATCH_SIZE - 1}" font-size="12" ${font}>${escapeXml(item.label)}</text>`);
+    });
+  });
+  if (caption.trim()) {
+    parts.push(`<text x="${width / 2}" y="${layout.captionTop + CAPTION_HEIGHT - 10}" text-anchor="middle" font-size="12" font-style="italic" ${font}>${escapeXml(caption.trim())}</text>`);
+  }
+  parts.push("</svg>");
+  return parts.join("");
+};
+
+const drawSvg = (svg, width, height) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(image, 0, 0, width, height);
+    resolve(canvas);
+  };
+  image.onerror = () => reject(new Error("The chart could not be drawn as an image"));
+  image.src = `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(svg)))}`;
+});
+
+// Single-page PDF holding the image as a JPEG, with the page sized like the export in CSS pixels
+const canvasToPdf = (canvas, width, height) => {
+  const jpeg = atob(canvas.toDataURL("image/jpeg", 0.92).split(",")[1]);
+  const pageWidth = width * PDF_POINTS_PER_PIXEL;
+  const pageHeight = height * PDF_POINTS_PER_PIXEL;
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+    `<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n${jpeg}\nendstream`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+  // Built as a binary string, one character per byte, so lengths are byte offsets
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+  return new Blob([bytes], { type: "application/pdf" });
+};
+
+// File in the chosen format, as a Blob
+export const buildChartFile = async (chartSvg, options, legend) => {
+  const { format, width, height, scale } = options;
+  const color = options.background === "custom" ? options.customBackground : BACKGROUNDS[options.background].color;
+  if (format === "svg") {
+    return new Blob([composeChartSvg(chartSvg, { ...options, background: color }, legend)], { type: "image/svg+xml" });
+  }
+  // JPEG has no transparency, so PDFs get a white background instead
+  const background = format === "pdf" && color === "transparent" ? "#ffffff" : color;
+  const svg = composeChartSvg(chartSvg, { ...options, background }, legend, scale);
+  const canvas = await drawSvg(svg, width * scale, height * scale);
+  if (format === "pdf") return canvasToPdf(canvas, width, height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("The image is too large; try a smaller size or scale"))), "image/png");
+  });
+};
@@ -0,0 +1,66 @@
+// Helpers for the column-oriented data store: one array per column, typed where numeric
+
+// Value at `index`, with the NaN used for missing numbers turned back into null
+export const getCellValue = (column, index) => {
+  const value = column[index];
+  return typeof value === "number" && isNaN(value) ? null : value;
+};
+
+// Row object for Recharts at position `i`, tagged with it under `indexKey`
+export const buildRow = (columns, headers, i, indexKey) => {
+  const row = {};
+  headers.forEach(col => {
+    row[col] = getCellValue(columns[col], i);
+  });
+  row[indexKey] = i;
+  return row;
+};
+
+// Row objects for the positions from `start` to `end` (inclusive)
+export const buildRows = (columns, headers, start, end, indexKey) => {
+  const rows = [];
+  for (let i = Math.max(0, start); i <= end; i++) rows.push(buildRow(columns, headers, i, indexKey));
+  return rows;
+};
+
+// Copy of a column with the values at `positions`; -1 gives a missing value
+export const takeRows = (column, positions) => {
+  if (column instanceof Float64Array) {
+    const result = new Float64Array(positions.length);
+    for (let i = 0; i < positions.length; i++) result[i] = positions[i] < 0 ? NaN : column[positions[i]];
+    return result;
+  }
+  return Array.from(positions, position => (position < 0 ? null : column[position]));
+};
+
+// Min and max of the finite numbers between two row positions (inclusive), or null when there are none.
+// `positiveOnly` skips zero and negative values, for log scales.
+export const getColumnRange = (column, start = 0, end = column.length - 1, { positiveOnly = false } = {}) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = Math.max(0, start); i <= end && i < column.length; i++) {
+    const value = column[i];
+    if (typeof value !== "number" || !isFinite(value) || (positiveOnly && value <= 0)) continue;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return min === Infinity ? null : [min, max];
+};
+
+// Min and max of the running totals when the columns are stacked in order, over two row positions
+// (inclusive); missing values count as zero. Null when the range holds no rows.
+export const getStackedRange = (stackColumns, start, end) => {
+  let min = Infinity;
+  let max = -Infinity;
+  const last = Math.min(end, stackColumns.length ? stackColumns[0].length - 1 : -1);
+  for (let i = Math.max(0, start); i <= last; i++) {
+    let total = 0;
+    for (let c = 0; c < stackColumns.length; c++) {
+      const value = stackColumns[c][i];
+      if (typeof value === "number" && isFinite(value)) total += value;
+      if (total < min) min = total;
+      if (total > max) max = total;
+    }
+  }
+  return min === Infinity ? null : [Math.min(min, 0), Math.max(max, 0)];
+};
@@ -0,0 +1,117 @@
+import Papa from "papaparse";
+import { inferSchema, resolveColumnSchema, buildColumn, keptText } from "./schema";
+
+// Bytes read per chunk; small enough to keep progress updates frequent
+const CHUNK_SIZE = 1024 * 1024;
+
+// Column names from a header row: blanks get "Column N" and repeated names a numeric suffix
+export const makeHeaders = (headerRow, width) => {
+  const seen = {};
+  const headers = [];
+  for (let i = 0; i < width; i++) {
+    const raw = headerRow && headerRow[i] != null ? String(headerRow[i]).trim() : "";
+    let name = raw || `Column ${i + 1}`;
+    if (seen[name]) {
+      let n = seen[name] + 1;
+      while (seen[`${name}_${n}`]) n++;
+      seen[name] = n;
+      name = `${name}_${n}`;
+    }
+    seen[name] = 1;
+    headers.push(name);
+  }
+  return headers;
+};
+
+// Infer the schema from the raw strings and build the typed columns for it. Columns named in
+// `overrides` are read as given instead, with the format that best fits them when none is. Only
+// the text the typed values can't stand in for is kept.
+export const finishParse = (headers, rawColumns, rowCount, decimalSeparator = "auto", overrides = {}) => {
+  const inferredSchema = inferSchema(rawColumns, headers, decimalSeparator);
+  const schemaOverrides = {};
+  const columns = {};
+  const keptColumns = {};
+  headers.forEach(col => {
+    const override = Object.prototype.hasOwnProperty.call(overrides, col) && overrides[col];
+    if (override) {
+      schemaOverrides[col] = override.format === undefined ? resolveColumnSchema(rawColumns[col], override.type) : override;
+    }
+    const columnSchema = override ? schemaOverrides[col] : inferredSchema[col];
+    columns[col] = buildColumn(rawColumns[col], columnSchema);
+    keptColumns[col] = keptText(rawColumns[col], columns[col], columnSchema);
+  });
+  return { headers, rowCount, rawColumns: keptColumns, inferredSchema, schemaOverrides, columns };
+};
+
+// Stream a delimited text file through Papa chunk by chunk, collecting trimmed raw strings per column.
+// `options` carries the dialect chosen in the import dialog (delimiter, quote char, encoding,
+// header row, rows to skip) and any type overrides to read columns with. Returns a function that
+// aborts the parse; `onComplete` is not called after an abort.
+export const streamCsv = (file, options, { onProgress, onComplete, onError }) => {
+  const { delimiter, quoteChar, encoding, hasHeader = true, skipRows = 0, decimalSeparator, schemaOverrides } = options;
+  let headers = null;
+  const rawColumns = {};
+  let rowCount = 0;
+  let skipped = 0;
+  let parser = null;
+  let aborted = false;
+
+  const startColumns = (headerRow, width) => {
+    headers = makeHeaders(headerRow, width);
+    headers.forEach(col => { rawColumns[col] = []; });
+  };
+
+  Papa.parse(file, {
+    header: false,
+    delimiter: delimiter || "",
+    quoteChar: quoteChar || '"',
+    encoding: encoding || "utf-8",
+    skipEmptyLines: true,
+    chunkSize: CHUNK_SIZE,
+    transform: (value) => value.trim(),
+    chunk: (results, handle) => {
+      parser = handle;
+      if (aborted) {
+        handle.abort();
+        return;
+      }
+      let rows = results.data;
+      if (skipped < skipRows) {
+        const skipNow = Math.min(skipRows - skipped, rows.length);
+        rows = rows.slice(skipNow);
+        skipped += skipNow;
+      }
+      if (!headers && rows.length > 0) {
+        if (hasHeader) {
+          startColumns(rows[0], rows[0].length);
+          rows = rows.slice(1);
+        } else {
+          startColumns(null, rows[0].length);
+        }
+      }
+      rows.forEach(row => {
+        headers.forEach((col, i) => {
+          rawColumns[col].push(row[i] === undefined ? null : row[i]);
+        });
+      });
+      rowCount += rows.length;
+      onProgress({
+        rows: rowCount,
+        bytes: Math.min(results.meta.cursor, file.size),
+        totalBytes: file.size,
+      });
+    },
+    complete: () => {
+      if (aborted) return;
+      onComplete(finishParse(headers || [], rawColumns, rowCount, decimalSeparator, schemaOverrides));
+    },
+    error: (err) => {
+      if (!aborted) onError(err);
+    },
+  });
+
+  return () => {
+    aborted = true;
+    if (parser) parser.abort();
+  };
+};
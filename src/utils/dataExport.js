@@ -0,0 +1,46 @@
+import Papa from "papaparse";
+import { getCellValue } from "./columns";
+import { isDateType } from "./schema";
+
+// Exporting the rows behind a chart as CSV or JSON
+
+export const DATA_EXPORT_FORMATS = {
+  csv: "CSV",
+  json: "JSON",
+};
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// Local date, or date and time, in a form the importer reads back as the same type
+const formatDate = (time, type) => {
+  const d = new Date(time);
+  const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  return type === "date" ? date : `${date} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+// Plain value of a typed cell: dates as text, booleans as true/false, missing values as null
+export const exportValue = (value, type) => {
+  if (value == null) return null;
+  if (isDateType(type)) return formatDate(value, type);
+  if (type === "boolean") return value === 1;
+  return value;
+};
+
+// Rows `start` to `end` of the table as records of the given columns, with plain values
+export const tableRecords = (table, columns, start, end) => {
+  const records = [];
+  for (let i = start; i <= end; i++) {
+    const record = {};
+    columns.forEach(col => {
+      record[col] = exportValue(getCellValue(table.columns[col], i), table.schema[col]?.type);
+    });
+    records.push(record);
+  }
+  return records;
+};
+
+export const recordsToFile = (records, columns, format) => (
+  format === "json"
+    ? new Blob([JSON.stringify(records, null, 2)], { type: "application/json" })
+    : new Blob([Papa.unparse({ fields: columns, data: records.map(record => columns.map(col => record[col])) })], { type: "text/csv" })
+);
@@ -0,0 +1,171 @@
+import { buildColumn, keptText, isPlottableType } from "./schema";
+import { takeRows } from "./columns";
+
+// Several loaded files combined into the single column store the chart works on.
+// With more than one dataset every column is renamed "<dataset>: <column>" so series and legends
+// say where they come from; `sources` maps each combined column back to its dataset and column.
+
+export const ALIGN_MODES = {
+  x: "Join on X value",
+  row: "Align by row",
+};
+
+export const seriesName = (datasetName, column) => `${datasetName}: ${column}`;
+
+// Dataset name from a file name without its extension, numbered when already taken
+export const uniqueDatasetName = (name, takenNames) => {
+  const base = (name || "").replace(/\.[a-z0-9]+$/i, "").trim() || "Dataset";
+  if (!takenNames.includes(base)) return base;
+  let n = 2;
+  while (takenNames.includes(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+};
+
+export const datasetSchema = (dataset) => ({ ...dataset.inferredSchema, ...dataset.schemaOverrides });
+
+// Whether a column's raw text is all there. Number, date and boolean columns keep only the text
+// their values can't stand in for, so they are read again from the file to change their schema.
+export const hasColumnText = (dataset, col) => !isPlottableType(datasetSchema(dataset)[col].type);
+
+// Override the schema of a column whose text is all there (null restores the inferred one) and
+// rebuild its typed values
+export const setColumnSchema = (dataset, col, columnSchema) => {
+  const schemaOverrides = { ...dataset.schemaOverrides };
+  if (columnSchema) schemaOverrides[col] = columnSchema;
+  else delete schemaOverrides[col];
+  const schema = columnSchema || dataset.inferredSchema[col];
+  const values = buildColumn(dataset.rawColumns[col], schema);
+  return {
+    ...dataset,
+    schemaOverrides,
+    columns: { ...dataset.columns, [col]: values },
+    rawColumns: { ...dataset.rawColumns, [col]: keptText(dataset.rawColumns[col], values, schema) },
+  };
+};
+
+// A freshly parsed file, read with the dataset's type overrides, loaded into an existing dataset.
+// It keeps its id and name.
+export const reloadDataset = (dataset, parsed, source) => ({ ...dataset, ...parsed, ...source });
+
+const rowPositions = (rowCount, length) => Int32Array.from({ length }, (_, i) => (i < rowCount ? i : -1));
+
+const singleDataset = (dataset) => ({
+  datasetIds: [dataset.id],
+  headers: dataset.headers,
+  rowCount: dataset.rowCount,
+  rawColumns: dataset.rawColumns,
+  columns: dataset.columns,
+  inferredSchema: dataset.inferredSchema,
+  schema: datasetSchema(dataset),
+  sources: Object.fromEntries(dataset.headers.map(column => [column, { datasetId: dataset.id, column }])),
+  excluded: [],
+});
+
+// Add every column of `dataset` except `skip`, prefixed with its name and reordered by `positions`
+const addDatasetColumns = (merged, dataset, positions, skip) => {
+  const schema = datasetSchema(dataset);
+  dataset.headers.forEach(column => {
+    if (column === skip) return;
+    const name = seriesName(dataset.name, column);
+    merged.headers.push(name);
+    merged.rawColumns[name] = takeRows(dataset.rawColumns[column], positions);
+    merged.columns[name] = takeRows(dataset.columns[column], positions);
+    merged.inferredSchema[name] = dataset.inferredSchema[column];
+    merged.schema[name] = schema[column];
+    merged.sources[name] = { datasetId: dataset.id, column };
+  });
+};
+
+const emptyMerge = (datasets, rowCount) => ({
+  datasetIds: datasets.map(ds => ds.id),
+  headers: [], rowCount, rawColumns: {}, columns: {}, inferredSchema: {}, schema: {}, sources: {}, excluded: [],
+});
+
+// Row i of every dataset side by side; shorter datasets are padded with missing values
+const alignByRow = (datasets) => {
+  const merged = emptyMerge(datasets, Math.max(...datasets.map(ds => ds.rowCount)));
+  datasets.forEach(ds => addDatasetColumns(merged, ds, rowPositions(ds.rowCount, merged.rowCount)));
+  return merged;
+};
+
+// Outer join on a column shared by the datasets. Repeated key values are matched by occurrence
+// (the second 5 in one file with the second 5 in the other) so no row is dropped. Numeric and
+// date keys are sorted; text keys keep the order they first appear in.
+const joinOnColumn = (datasets, joinColumn) => {
+  const joined = datasets.filter(ds => ds.headers.includes(joinColumn));
+  const keyIsNumeric = joined.every(ds => isPlottableType(datasetSchema(ds)[joinColumn].type));
+
+  const entries = new Map();
+  joined.forEach((ds, d) => {
+    const keys = keyIsNumeric ? ds.columns[joinColumn] : ds.rawColumns[joinColumn];
+    const occurrences = new Map();
+    for (let i = 0; i < ds.rowCount; i++) {
+      const value = keys[i];
+      // Rows without a key can't be placed
+      if (keyIsNumeric ? !isFinite(value) : value == null) continue;
+      const occurrence = occurrences.get(value) || 0;
+      occurrences.set(value, occurrence + 1);
+      const id = `${value}\u0000${occurrence}`;
+      let entry = entries.get(id);
+      if (!entry) {
+        entry = { value, occurrence, positions: new Int32Array(joined.length).fill(-1) };
+        entries.set(id, entry);
+      }
+      entry.positions[d] = i;
+    }
+  });
+  const rows = [...entries.values()];
+  if (keyIsNumeric) rows.sort((a, b) => a.value - b.value || a.occurrence - b.occurrence);
+
+  const merged = emptyMerge(datasets, rows.length);
+  merged.excluded = datasets.filter(ds => !joined.includes(ds)).map(ds => ds.name);
+  if (!joined.length) return merged;
+
+  // The key column takes each row's value from the first dataset that has the row
+  const keyOwner = rows.map(row => row.positions.findIndex(position => position >= 0));
+  const keyValues = (pick) => rows.map((row, r) => pick(joined[keyOwner[r]])[row.positions[keyOwner[r]]]);
+  const firstSchema = datasetSchema(joined[0])[joinColumn];
+  merged.headers.push(joinColumn);
+  merged.rawColumns[joinColumn] = keyValues(ds => ds.rawColumns[joinColumn]);
+  merged.columns[joinColumn] = keyIsNumeric
+    ? Float64Array.from(rows, row => row.value)
+    : keyValues(ds => ds.columns[joinColumn]);
+  merged.inferredSchema[joinColumn] = joined[0].inferredSchema[joinColumn];
+  merged.schema[joinColumn] = firstSchema;
+  merged.sources[joinColumn] = { datasetId: null, column: joinColumn };
+
+  joined.forEach((ds, d) => {
+    addDatasetColumns(merged, ds, Int32Array.from(rows, row => row.positions[d]), joinColumn);
+  });
+  return merged;
+};
+
+// Column names the datasets can be joined on: every column name, in order of first appearance
+export const joinCandidates = (datasets) => [...new Set(datasets.flatMap(ds => ds.headers))];
+
+// The requested join column, or else the column name found in the most datasets
+export const resolveJoinColumn = (datasets, joinColumn) => {
+  if (joinColumn && datasets.some(ds => ds.headers.includes(joinColumn))) return joinColumn;
+  const count = (name) => datasets.filter(ds => ds.headers.includes(name)).length;
+  return joinCandidates(datasets).reduce((best, name) => (count(name) > count(best) ? name : best), undefined);
+};
+
+export const mergeDatasets = (datasets, { align, joinColumn }) => {
+  if (datasets.length === 0) return emptyMerge(datasets, 0);
+  if (datasets.length === 1) return singleDataset(datasets[0]);
+  if (align === "row") return alignByRow(datasets);
+  return joinOnColumn(datasets, resolveJoinColumn(datasets, joinColumn));
+};
+
+// Name of the same dataset column after the datasets were merged differently, or null if it's gone.
+// A join key maps to the column of that name in the first dataset that has it, and back.
+export const renameColumn = (name, from, to) => {
+  if (to[name]) return name;
+  const source = from[name];
+  if (!source) return null;
+  const names = Object.keys(to);
+  return names.find(n => to[n].datasetId === source.datasetId && to[n].column === source.column)
+    || names.find(n => to[n].datasetId === null && to[n].column === source.column)
+    || names.find(n => source.datasetId === null && to[n].column === source.column)
+    || null;
+};
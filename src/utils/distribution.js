@@ -0,0 +1,129 @@
+import { getCellValue } from "./columns";
+import { exportValue } from "./dataExport";
+import { quantile } from "./stats";
+
+// Distributions of column values over a range of rows, for the histogram, box plot and ECDF
+// charts. These ignore the X column and row order.
+
+export const DISTRIBUTION_CHART_TYPES = ["histogram", "box", "ecdf"];
+
+// Automatic bin counts; a number instead sets the count
+export const BIN_RULES = {
+  fd: "Freedman–Diaconis",
+  sturges: "Sturges",
+};
+
+export const MAX_BINS = 200;
+
+// Most groups in a box plot split by a column, taken in order of first appearance
+export const MAX_BOX_GROUPS = 30;
+
+// Most points drawn per ECDF curve and outliers per box
+const ECDF_MAX_POINTS = 500;
+const MAX_OUTLIERS = 200;
+
+// Key holding each histogram row's bin bounds
+export const BIN_KEY = "__bin";
+
+// Finite values of a column between two row positions (inclusive), sorted
+export const sortedValues = (column, start, end) => {
+  const values = [];
+  for (let i = Math.max(0, start); i <= end && i < column.length; i++) {
+    if (Number.isFinite(column[i])) values.push(column[i]);
+  }
+  return Float64Array.from(values).sort();
+};
+
+// Finite values of a column at the given row positions, sorted
+export const sortedValuesAt = (column, positions) => (
+  Float64Array.from(positions.map(i => column[i]).filter(Number.isFinite)).sort()
+);
+
+const clampBins = (count) => Math.min(MAX_BINS, Math.max(1, Math.round(count)));
+
+// Bins for sorted values by Sturges' rule or Freedman–Diaconis', which falls back to Sturges
+// when the interquartile range is zero
+export const binCount = (sorted, rule) => {
+  if (typeof rule === "number") return clampBins(rule);
+  const n = sorted.length;
+  const range = sorted[n - 1] - sorted[0];
+  if (rule === "fd") {
+    const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+    if (iqr > 0 && range > 0) return clampBins(Math.ceil(range / (2 * iqr / Math.cbrt(n))));
+  }
+  return clampBins(Math.ceil(Math.log2(n)) + 1);
+};
+
+// Histogram of several series on the same bins, one row per bin with its bounds under BIN_KEY and
+// the count of each series under its name. The bin count follows the series with most values.
+export const histogramRows = (seriesValues, rule) => {
+  const nonEmpty = Object.values(seriesValues).filter(values => values.length);
+  if (!nonEmpty.length) return [];
+  const min = nonEmpty.reduce((lowest, values) => Math.min(lowest, values[0]), Infinity);
+  const max = nonEmpty.reduce((highest, values) => Math.max(highest, values[values.length - 1]), -Infinity);
+  const largest = nonEmpty.reduce((a, b) => (b.length > a.length ? b : a));
+  const bins = max > min ? binCount(largest, rule) : 1;
+  const width = max > min ? (max - min) / bins : 1;
+
+  const rows = Array.from({ length: bins }, (_, i) => ({ [BIN_KEY]: { start: min + i * width, end: min + (i + 1) * width } }));
+  Object.entries(seriesValues).forEach(([col, values]) => {
+    rows.forEach(row => { row[col] = 0; });
+    values.forEach(value => {
+      rows[Math.min(bins - 1, Math.floor((value - min) / width))][col]++;
+    });
+  });
+  return rows;
+};
+
+// Quartiles with Tukey's whiskers: the furthest values within 1.5 interquartile ranges of the
+// box. Values beyond them are outliers, of which only the most extreme are kept.
+export const boxStats = (sorted) => {
+  const n = sorted.length;
+  if (!n) return null;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  let first = 0;
+  while (sorted[first] < q1 - 1.5 * iqr) first++;
+  let last = n - 1;
+  while (sorted[last] > q3 + 1.5 * iqr) last--;
+  const below = Array.from(sorted.subarray(0, first));
+  const above = Array.from(sorted.subarray(last + 1));
+  const half = MAX_OUTLIERS / 2;
+  return {
+    count: n,
+    min: sorted[0],
+    max: sorted[n - 1],
+    low: sorted[first],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    high: sorted[last],
+    outliers: [...below.slice(0, half), ...above.slice(-half)],
+  };
+};
+
+// Row positions between `start` and `end` split by the value of a column, in order of first
+// appearance, with the total number of groups
+export const splitByGroup = (groupColumn, groupType, start, end) => {
+  const groups = new Map();
+  for (let i = Math.max(0, start); i <= end && i < groupColumn.length; i++) {
+    const value = getCellValue(groupColumn, i);
+    const name = value == null ? "(missing)" : String(exportValue(value, groupType));
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(i);
+  }
+  const all = [...groups.entries()].map(([name, positions]) => ({ name, positions }));
+  return { groups: all.slice(0, MAX_BOX_GROUPS), total: all.length };
+};
+
+// Points of the empirical cumulative distribution: the share of values at or below each value.
+// Long series are thinned to evenly spaced ranks, always keeping the largest value.
+export const ecdfPoints = (sorted) => {
+  const n = sorted.length;
+  const step = Math.max(1, Math.ceil(n / ECDF_MAX_POINTS));
+  const points = [];
+  for (let i = 0; i < n; i += step) points.push({ x: sorted[i], y: (i + 1) / n });
+  if (n && (n - 1) % step !== 0) points.push({ x: sorted[n - 1], y: 1 });
+  return points;
+};
@@ -0,0 +1,12 @@
+// Save a Blob through a temporary link, as the browser's download
+export const downloadBlob = (blob, fileName) => {
+  const link = document.createElement("a");
+  link.download = fileName;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  // Revoked once the click has been handled, so the download has started
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+// File name made of letters, digits, dots, dashes and underscores, for names taken from titles
+export const safeFileName = (name, fallback) => (name || "").trim().replace(/[^\w.-]+/g, "_") || fallback;
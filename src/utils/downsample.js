@@ -0,0 +1,112 @@
+// Shape-preserving downsampling over typed columns. Functions work on row positions so
+// the selected rows can be looked up in the shared row array afterwards.
+
+export const DOWNSAMPLE_METHODS = {
+  lttb: "LTTB",
+  minmax: "Min/Max",
+  none: "Off",
+};
+
+// Positions between start and end (inclusive) where both X and Y are finite
+const validPositions = (getX, y, start, end) => {
+  const positions = [];
+  for (let i = start; i <= end; i++) {
+    if (isFinite(y[i]) && isFinite(getX(i))) positions.push(i);
+  }
+  return positions;
+};
+
+// Largest-Triangle-Three-Buckets: keeps the point in each bucket that forms the largest
+// triangle with the previously kept point and the average of the next bucket
+export const lttb = (getX, y, positions, threshold) => {
+  const n = positions.length;
+  if (threshold >= n || threshold < 3) return positions;
+
+  const sampled = [positions[0]];
+  const bucketSize = (n - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let b = 0; b < threshold - 2; b++) {
+    const avgStart = Math.floor((b + 1) * bucketSize) + 1;
+    const avgEnd = Math.min(Math.floor((b + 2) * bucketSize) + 1, n);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = avgStart; j < avgEnd; j++) {
+      avgX += getX(positions[j]);
+      avgY += y[positions[j]];
+    }
+    const avgLength = avgEnd - avgStart || 1;
+    avgX /= avgLength;
+    avgY /= avgLength;
+
+    const rangeStart = Math.floor(b * bucketSize) + 1;
+    const rangeEnd = Math.floor((b + 1) * bucketSize) + 1;
+    const ax = getX(positions[a]);
+    const ay = y[positions[a]];
+    let maxArea = -1;
+    let next = rangeStart;
+    for (let j = rangeStart; j < rangeEnd; j++) {
+      const area = Math.abs((ax - avgX) * (y[positions[j]] - ay) - (ax - getX(positions[j])) * (avgY - ay));
+      if (area > maxArea) {
+        maxArea = area;
+        next = j;
+      }
+    }
+    sampled.push(positions[next]);
+    a = next;
+  }
+
+  sampled.push(positions[n - 1]);
+  return sampled;
+};
+
+// Keeps the lowest and highest point of each bucket so spikes in either direction survive
+export const minMax = (y, positions, buckets) => {
+  const n = positions.length;
+  if (buckets * 2 >= n) return positions;
+
+  const sampled = [positions[0]];
+  const bucketSize = n / buckets;
+  for (let b = 0; b < buckets; b++) {
+    const from = Math.floor(b * bucketSize);
+    const to = Math.min(Math.floor((b + 1) * bucketSize), n);
+    let minPos = from;
+    let maxPos = from;
+    for (let j = from; j < to; j++) {
+      if (y[positions[j]] < y[positions[minPos]]) minPos = j;
+      if (y[positions[j]] > y[positions[maxPos]]) maxPos = j;
+    }
+    sampled.push(positions[Math.min(minPos, maxPos)], positions[Math.max(minPos, maxPos)]);
+  }
+  sampled.push(positions[n - 1]);
+  return sampled;
+};
+
+// Row positions to draw for the given series between start and end, or null when the
+// window already fits within maxPoints. Each series is reduced on its own and the results are
+// merged, keeping the first missing value of every gap so lines still break there.
+export const downsampleRows = ({ method, getX, series, start, end, maxPoints }) => {
+  const length = end - start + 1;
+  if (method === "none" || length <= maxPoints || series.length === 0) return null;
+
+  const keep = new Uint8Array(length);
+  series.forEach(y => {
+    const positions = validPositions(getX, y, start, end);
+    const sampled = method === "minmax"
+      ? minMax(y, positions, Math.floor(maxPoints / 2))
+      : lttb(getX, y, positions, maxPoints);
+    sampled.forEach(i => { keep[i - start] = 1; });
+
+    const gaps = [];
+    for (let i = start + 1; i <= end && gaps.length <= maxPoints; i++) {
+      if (!isFinite(y[i]) && isFinite(y[i - 1])) gaps.push(i);
+    }
+    if (gaps.length <= maxPoints) gaps.forEach(i => { keep[i - start] = 1; });
+  });
+
+  const rows = [];
+  for (let i = 0; i < length; i++) {
+    if (keep[i]) rows.push(start + i);
+  }
+  return rows;
+};
@@ -0,0 +1,57 @@
+import { downsampleRows, lttb, minMax } from "./downsample";
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+const getX = (i) => i;
+
+describe("lttb", () => {
+  test("keeps the ends and the given number of points", () => {
+    const y = range(100).map(i => Math.sin(i / 5));
+    const sampled = lttb(getX, y, range(100), 10);
+    expect(sampled).toHaveLength(10);
+    expect(sampled[0]).toBe(0);
+    expect(sampled[9]).toBe(99);
+  });
+
+  test("keeps a spike", () => {
+    const y = range(100).map(i => (i === 42 ? 100 : 0));
+    expect(lttb(getX, y, range(100), 10)).toContain(42);
+  });
+
+  test("leaves short series alone", () => {
+    expect(lttb(getX, [1, 2, 3], [0, 1, 2], 10)).toEqual([0, 1, 2]);
+  });
+});
+
+describe("minMax", () => {
+  test("keeps the lowest and highest point of each bucket", () => {
+    const y = range(100).map(i => (i === 10 ? -5 : i === 60 ? 5 : 0));
+    const sampled = minMax(y, range(100), 4);
+    expect(sampled).toContain(10);
+    expect(sampled).toContain(60);
+    expect(sampled[0]).toBe(0);
+    expect(sampled[sampled.length - 1]).toBe(99);
+  });
+});
+
+describe("downsampleRows", () => {
+  const y = range(1000).map(i => Math.cos(i / 20));
+
+  test("is null when the rows already fit or downsampling is off", () => {
+    expect(downsampleRows({ method: "lttb", getX, series: [y], start: 0, end: 99, maxPoints: 100 })).toBeNull();
+    expect(downsampleRows({ method: "none", getX, series: [y], start: 0, end: 999, maxPoints: 100 })).toBeNull();
+  });
+
+  test("keeps positions within the range, in order", () => {
+    const rows = downsampleRows({ method: "minmax", getX, series: [y], start: 200, end: 999, maxPoints: 100 });
+    expect(rows.length).toBeLessThanOrEqual(102);
+    expect(rows[0]).toBe(200);
+    expect(rows[rows.length - 1]).toBe(999);
+    expect(rows).toEqual([...rows].sort((a, b) => a - b));
+  });
+
+  test("keeps the start of each gap so lines break there", () => {
+    const gappy = y.map((v, i) => (i >= 500 && i < 510 ? NaN : v));
+    const rows = downsampleRows({ method: "lttb", getX, series: [gappy], start: 0, end: 999, maxPoints: 100 });
+    expect(rows).toContain(500);
+  });
+});
@@ -0,0 +1,122 @@
+import { isNumericType, isDateType, parseNumber, parseDate } from "./schema";
+import { takeRows } from "./columns";
+
+// Row filters: per-column conditions combined with AND or OR, applied to the combined columns
+// before anything is zoomed, downsampled or aggregated
+
+export const FILTER_OPERATORS = {
+  range: "between",
+  equals: "equals",
+  contains: "contains",
+  regex: "matches regex",
+  isNull: "is empty",
+  notNull: "is not empty",
+};
+
+export const EMPTY_FILTER = { combine: "and", conditions: [] };
+
+// Numbers and dates are filtered by range, everything else by its text
+export const operatorsForType = (type) => (
+  isNumericType(type) || isDateType(type)
+    ? ["range", "isNull", "notNull"]
+    : ["equals", "contains", "regex", "isNull", "notNull"]
+);
+
+const isMissing = (value) => value == null || (typeof value === "number" && isNaN(value));
+
+const cellText = (value, type) => {
+  if (isMissing(value)) return "";
+  if (type === "boolean") return value ? "true" : "false";
+  return String(value);
+};
+
+// Range bounds as typed in the panel: dates from date inputs ("2024-01-31" or "2024-01-31T10:00"),
+// anything else as a number. Empty bounds are open.
+const parseBound = (raw, type) => {
+  if (raw == null || String(raw).trim() === "") return null;
+  const value = isDateType(type) ? parseDate(raw, "YYYY-MM-DD") : parseNumber(raw);
+  return isFinite(value) ? value : NaN;
+};
+
+// Test for one row position, null when the condition isn't filled in yet.
+// Throws when it can't be used, with a message for the panel.
+export const compileCondition = ({ column, operator, value, value2 }, columns, schema) => {
+  const values = columns[column];
+  if (!values || !schema[column]) return null;
+  const { type } = schema[column];
+
+  switch (operator) {
+    case "isNull":
+      return (i) => isMissing(values[i]);
+    case "notNull":
+      return (i) => !isMissing(values[i]);
+    case "range": {
+      const min = parseBound(value, type);
+      const max = parseBound(value2, type);
+      if (Number.isNaN(min) || Number.isNaN(max)) throw new Error(isDateType(type) ? "Invalid date" : "Invalid number");
+      if (min == null && max == null) return null;
+      return (i) => {
+        const v = values[i];
+        return !isMissing(v) && (min == null || v >= min) && (max == null || v <= max);
+      };
+    }
+    case "equals": {
+      if (value == null || value === "") return null;
+      const target = String(value).trim().toLowerCase();
+      return (i) => cellText(values[i], type).trim().toLowerCase() === target;
+    }
+    case "contains": {
+      if (value == null || value === "") return null;
+      const target = String(value).toLowerCase();
+      return (i) => cellText(values[i], type).toLowerCase().includes(target);
+    }
+    case "regex": {
+      if (value == null || value === "") return null;
+      let pattern;
+      try {
+        pattern = new RegExp(value, "i");
+      } catch (err) {
+        throw new Error(`Invalid regex: ${err.message}`);
+      }
+      return (i) => pattern.test(cellText(values[i], type));
+    }
+    default:
+      throw new Error(`Unknown operator ${operator}`);
+  }
+};
+
+// Positions of the rows that pass the filter, with the error of each condition that can't be
+// used (by condition id). `positions` is null when no condition is active.
+export const filterRows = (filter, columns, schema, rowCount) => {
+  const errors = {};
+  const tests = [];
+  filter.conditions.forEach(condition => {
+    try {
+      const test = compileCondition(condition, columns, schema);
+      if (test) tests.push(test);
+    } catch (err) {
+      errors[condition.id] = err.message;
+    }
+  });
+  if (!tests.length) return { positions: null, errors };
+
+  const passes = filter.combine === "or"
+    ? (i) => tests.some(test => test(i))
+    : (i) => tests.every(test => test(i));
+  const kept = [];
+  for (let i = 0; i < rowCount; i++) {
+    if (passes(i)) kept.push(i);
+  }
+  return { positions: Int32Array.from(kept), errors };
+};
+
+// The combined columns reduced to the rows at `positions`
+export const applyRowFilter = (table, positions) => {
+  const columns = {};
+  const rawColumns = {};
+  table.headers.forEach(col => {
+    columns[col] = takeRows(table.columns[col], positions);
+    rawColumns[col] = takeRows(table.rawColumns[col], positions);
+  });
+  return { ...table, columns, rawColumns, rowCount: positions.length };
+};
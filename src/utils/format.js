@@ -0,0 +1,155 @@
+// Locale-aware display of numbers and dates on charts: axis ticks, tooltips and labels. Each
+// column can have a number format or a date pattern of its own; everything else follows the
+// chosen locale.
+
+// Locales offered; the empty one follows the browser
+export const LOCALES = {
+  "": "Browser default",
+  "en-US": "English (US)",
+  "en-GB": "English (UK)",
+  "de-DE": "Deutsch",
+  "fr-FR": "Français",
+  "es-ES": "Español",
+  "it-IT": "Italiano",
+  "nl-NL": "Nederlands",
+  "pt-BR": "Português (Brasil)",
+  "pl-PL": "Polski",
+  "sv-SE": "Svenska",
+  "ru-RU": "Русский",
+  "ja-JP": "日本語",
+  "zh-CN": "中文（简体）",
+  "hi-IN": "हिन्दी",
+};
+
+export const NUMBER_STYLES = {
+  auto: "Automatic",
+  fixed: "Fixed decimals",
+  si: "SI prefix (1.2k, 3.4M)",
+  scientific: "Scientific",
+  percent: "Percent",
+  currency: "Currency",
+};
+
+export const MAX_DECIMALS = 10;
+
+// Format of a column: number style with its decimal places, currency code and unit suffix, and a
+// date pattern for dates (empty for the locale's own)
+export const DEFAULT_COLUMN_FORMAT = { style: "auto", decimals: 2, currency: "USD", unit: "", datePattern: "" };
+
+export const resolveFormat = (format) => ({ ...DEFAULT_COLUMN_FORMAT, ...format });
+
+// True when `format` differs from the default
+export const isCustomFormat = (format) => Object.entries(resolveFormat(format))
+  .some(([key, value]) => value !== DEFAULT_COLUMN_FORMAT[key]);
+
+export const isCurrencyCode = (code) => /^[A-Z]{3}$/.test(code);
+
+// Intl formatters are slow to create, and ticks and tooltips ask for the same few again and again
+const formatters = new Map();
+const cachedFormatter = (Formatter, locale, options) => {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Formatter(locale || undefined, options));
+  return formatters.get(key);
+};
+
+export const numberFormatter = (locale, options = {}) => cachedFormatter(Intl.NumberFormat, locale, options);
+export const dateFormatter = (locale, options = {}) => cachedFormatter(Intl.DateTimeFormat, locale, options);
+
+// Whole counts, like row numbers, with the locale's digit grouping
+export const formatCount = (count, locale) => numberFormatter(locale).format(count);
+
+// A share between 0 and 1 as a percentage
+export const formatShare = (share, locale, decimals = 1) => (
+  numberFormatter(locale, { style: "percent", minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(share)
+);
+
+const SI_PREFIXES = ["p", "n", "µ", "m", "", "k", "M", "G", "T", "P", "E"];
+const SI_UNPREFIXED = SI_PREFIXES.indexOf("");
+
+// Value scaled to an SI prefix so between 1 and 1000 are left before the point, counting the
+// rounding to `decimals` (999.96 becomes 1k rather than 1000)
+const siParts = (value, decimals) => {
+  if (value === 0) return { scaled: 0, prefix: "" };
+  const lowest = -SI_UNPREFIXED;
+  const highest = SI_PREFIXES.length - 1 - SI_UNPREFIXED;
+  let exponent = Math.max(lowest, Math.min(highest, Math.floor(Math.log10(Math.abs(value)) / 3)));
+  if (Math.abs(Number((value / 1000 ** exponent).toFixed(decimals))) >= 1000 && exponent < highest) exponent++;
+  return { scaled: value / 1000 ** exponent, prefix: SI_PREFIXES[exponent + SI_UNPREFIXED] };
+};
+
+// Enough digits to tell values apart without trailing noise: tiny and huge values go scientific,
+// values below one keep three significant digits, the rest up to two decimals
+const autoOptions = (value) => {
+  const size = Math.abs(value);
+  if (size !== 0 && (size < 1e-4 || size >= 1e15)) return { notation: "scientific", maximumFractionDigits: 3 };
+  if (size < 1) return { maximumSignificantDigits: 3 };
+  return { maximumFractionDigits: 2 };
+};
+
+// A number in a column's format, with its unit after it
+export const formatNumber = (value, format, locale) => {
+  const { style, decimals, currency, unit } = resolveFormat(format);
+  const fixed = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  const withUnit = (text) => (unit ? `${text} ${unit}` : text);
+  switch (style) {
+    case "fixed":
+      return withUnit(numberFormatter(locale, fixed).format(value));
+    case "si": {
+      const { scaled, prefix } = siParts(value, decimals);
+      const text = numberFormatter(locale, { maximumFractionDigits: decimals }).format(scaled);
+      return unit ? `${text} ${prefix}${unit}` : `${text}${prefix}`;
+    }
+    case "scientific":
+      return withUnit(numberFormatter(locale, { notation: "scientific", maximumFractionDigits: decimals }).format(value));
+    case "percent":
+      return withUnit(numberFormatter(locale, { style: "percent", ...fixed }).format(value));
+    case "currency":
+      if (isCurrencyCode(currency)) {
+        return withUnit(numberFormatter(locale, { style: "currency", currency, ...fixed }).format(value));
+      }
+      return withUnit(numberFormatter(locale, fixed).format(value));
+    default:
+      return withUnit(numberFormatter(locale, autoOptions(value)).format(value));
+  }
+};
+
+// Date pattern tokens, longest first so "MMMM" isn't read as two "MM". Text in [brackets] is kept
+// as it is.
+const DATE_TOKENS = /\[([^\]]*)]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|SSS|A/g;
+
+export const DATE_PATTERN_HELP = "YYYY YY · MMMM MMM MM M · DD D · dddd ddd · HH H hh h · mm · ss · SSS · A · [text]";
+
+const pad = (number, width = 2) => String(number).padStart(width, "0");
+
+// A date written with a pattern like "YYYY-MM-DD HH:mm" or "ddd D MMM", with month and day names
+// in the locale's language
+export const formatDate = (value, pattern, locale) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return "—";
+  const name = (options) => dateFormatter(locale, options).format(date);
+  const hours = date.getHours();
+  return pattern.replace(DATE_TOKENS, (token, literal) => {
+    if (literal !== undefined) return literal;
+    switch (token) {
+      case "YYYY": return String(date.getFullYear());
+      case "YY": return pad(date.getFullYear() % 100);
+      case "MMMM": return name({ month: "long" });
+      case "MMM": return name({ month: "short" });
+      case "MM": return pad(date.getMonth() + 1);
+      case "M": return String(date.getMonth() + 1);
+      case "DD": return pad(date.getDate());
+      case "D": return String(date.getDate());
+      case "dddd": return name({ weekday: "long" });
+      case "ddd": return name({ weekday: "short" });
+      case "HH": return pad(hours);
+      case "H": return String(hours);
+      case "hh": return pad(hours % 12 || 12);
+      case "h": return String(hours % 12 || 12);
+      case "mm": return pad(date.getMinutes());
+      case "ss": return pad(date.getSeconds());
+      case "SSS": return pad(date.getMilliseconds(), 3);
+      case "A": return hours < 12 ? "AM" : "PM";
+      default: return token;
+    }
+  });
+};
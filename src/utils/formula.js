@@ -0,0 +1,580 @@
+import { parseNumber, inferColumnType, buildColumn, isNumericType, isDateType } from "./schema";
+
+// Computed columns: a small expression language parsed into a tree and evaluated column by column,
+// never through eval. Columns are referenced by name, or in [brackets] when the name has spaces
+// or symbols. Values have a kind (number, date, boolean or text); numbers, dates (epoch ms) and
+// booleans (1/0) are stored as numbers with NaN for missing, text as strings with null.
+
+export const FORMULA_HELP = [
+  ["Arithmetic", "+ - * / % ^, comparisons == != < <= > >=, && || !, cond ? a : b"],
+  ["Math", "abs sqrt exp ln log10 log(x, base) pow round(x, digits) floor ceil sign min max sin cos tan"],
+  ["Conditionals", "if(cond, a, b) isnull(x) coalesce(a, b, …)"],
+  ["Dates", "year month day hour minute second weekday date(y, m, d) adddays addhours daysbetween(a, b) hoursbetween(a, b)"],
+  ["Text", "len lower upper concat(a, b, …) contains(text, part) number(text)"],
+  ["Windows", "rolling_mean(x, n) rolling_sum rolling_min rolling_max diff(x, lag) cumsum(x) pct_change(x, lag) lag(x, n) lead(x, n)"],
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Tokens: numbers, quoted strings, [bracketed] or `quoted` column names, identifiers, operators
+const TOKEN = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\[[^\]]*\]|`[^`]*`)|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|&&|\|\||[-+*/%^<>=!?:(),]))/y;
+
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    const rest = source.slice(start);
+    if (/^\s*$/.test(rest)) break;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      const position = start + rest.search(/\S/);
+      throw new Error(`Unexpected "${source[position]}" at position ${position + 1}`);
+    }
+    const [, number, string, column, identifier, operator] = match;
+    // Where the token sits in the source, for rewriting column references
+    const span = { start: TOKEN.lastIndex - (number || string || column || identifier || operator).length, end: TOKEN.lastIndex };
+    if (number) tokens.push({ type: "num", value: Number(number), ...span });
+    else if (string) tokens.push({ type: "str", value: string.slice(1, -1).replace(/\\(.)/g, "$1"), ...span });
+    else if (column) tokens.push({ type: "col", value: column.slice(1, -1), ...span });
+    else if (identifier) tokens.push({ type: "id", value: identifier, ...span });
+    else tokens.push({ type: "op", value: operator === "=" ? "==" : operator, ...span });
+  }
+  return tokens;
+};
+
+// The formula with each column reference renamed by `rename`, which returns the new name or null
+// to leave it as it is. Formulas that don't parse are returned unchanged.
+export const renameReferences = (formula, rename) => {
+  let tokens;
+  try {
+    tokens = tokenize(formula);
+  } catch (err) {
+    return formula;
+  }
+  let result = "";
+  let last = 0;
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    const isReference = token.type === "col" ||
+      (token.type === "id" && !(next && next.type === "op" && next.value === "("));
+    const name = isReference && rename(token.value);
+    if (!name || name === token.value) return;
+    result += formula.slice(last, token.start) + (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `[${name}]`);
+    last = token.end;
+  });
+  return result + formula.slice(last);
+};
+
+// Names are looked up among the tables' own keys only, so "constructor" or "toString" are unknown
+// rather than something every object inherits
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const KEYWORD_OPERATORS = { and: "&&", or: "||", not: "!" };
+
+// Recursive descent parser; precedence from loosest to tightest:
+// ?: , ||, &&, comparisons, + -, * / %, unary - !, ^
+export const parseFormula = (source) => {
+  const tokens = tokenize(source).map(token => (
+    token.type === "id" && hasOwn(KEYWORD_OPERATORS, token.value.toLowerCase())
+      ? { type: "op", value: KEYWORD_OPERATORS[token.value.toLowerCase()] }
+      : token
+  ));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek() && peek().type === "op" && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) throw new Error(`Expected "${op}"${peek() ? ` before "${peek().value}"` : " at the end"}`);
+    pos++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error("Unexpected end of formula");
+    if (token.type === "num") return { type: "num", value: token.value };
+    if (token.type === "str") return { type: "str", value: token.value };
+    if (token.type === "col") return { type: "col", name: token.value };
+    if (token.type === "id") {
+      if (isOp("(")) {
+        pos++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(conditional());
+          while (isOp(",")) {
+            pos++;
+            args.push(conditional());
+          }
+        }
+        expect(")");
+        return { type: "call", name: token.value.toLowerCase(), args };
+      }
+      return { type: "name", name: token.value };
+    }
+    if (token.value === "(") {
+      const inner = conditional();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  // Right-associative, and tighter than unary minus so -2^2 is -4
+  const power = () => {
+    const base = primary();
+    if (!isOp("^")) return base;
+    pos++;
+    return { type: "binary", op: "^", left: base, right: unary() };
+  };
+
+  const unary = () => {
+    if (isOp("-", "!", "+")) {
+      const op = tokens[pos++].value;
+      const arg = unary();
+      return op === "+" ? arg : { type: "unary", op, arg };
+    }
+    return power();
+  };
+
+  const multiplicative = binary(unary, ["*", "/", "%"]);
+  const additive = binary(multiplicative, ["+", "-"]);
+  const comparison = binary(additive, ["==", "!=", "<", "<=", ">", ">="]);
+  const and = binary(comparison, ["&&"]);
+  const or = binary(and, ["||"]);
+
+  function conditional() {
+    const test = or();
+    if (!isOp("?")) return test;
+    pos++;
+    const then = conditional();
+    expect(":");
+    return { type: "cond", test, then, otherwise: conditional() };
+  }
+
+  if (!tokens.length) throw new Error("Formula is empty");
+  const tree = conditional();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+  return tree;
+};
+
+const CONSTANTS = {
+  pi: { kind: "number", value: Math.PI },
+  e: { kind: "number", value: Math.E },
+  true: { kind: "boolean", value: 1 },
+  false: { kind: "boolean", value: 0 },
+  null: { kind: "number", value: NaN },
+};
+
+const kindOfType = (type) => {
+  if (isNumericType(type)) return "number";
+  if (isDateType(type)) return "date";
+  if (type === "boolean") return "boolean";
+  return "text";
+};
+
+const isTextKind = (kind) => kind === "text";
+const missingOf = (kind) => (isTextKind(kind) ? null : NaN);
+const isMissing = (value) => value == null || (typeof value === "number" && isNaN(value));
+const toNumber = (value) => (typeof value === "string" ? parseNumber(value) : value == null ? NaN : value);
+const toText = (value, kind) => {
+  if (isMissing(value)) return null;
+  if (kind === "boolean") return value ? "true" : "false";
+  return String(value);
+};
+const bool = (value) => (value ? 1 : 0);
+
+// Each evaluated node is { kind, at }, where at(i) gives the value for row i
+const constant = (kind, value) => ({ kind, at: () => value });
+
+const dateParts = (fn) => ({ args: [1, 1], kind: () => "number", fn: (d) => (isNaN(d) ? NaN : fn(new Date(d))) });
+
+// Row-wise functions: argument count range, result kind from the argument kinds, implementation
+const FUNCTIONS = {
+  abs: { args: [1, 1], fn: Math.abs },
+  sqrt: { args: [1, 1], fn: Math.sqrt },
+  exp: { args: [1, 1], fn: Math.exp },
+  ln: { args: [1, 1], fn: Math.log },
+  log10: { args: [1, 1], fn: Math.log10 },
+  log: { args: [1, 2], fn: (x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base)) },
+  pow: { args: [2, 2], fn: Math.pow },
+  round: {
+    args: [1, 2],
+    fn: (x, digits = 0) => {
+      const factor = 10 ** digits;
+      return Math.round(x * factor) / factor;
+    },
+  },
+  floor: { args: [1, 1], fn: Math.floor },
+  ceil: { args: [1, 1], fn: Math.ceil },
+  sign: { args: [1, 1], fn: Math.sign },
+  sin: { args: [1, 1], fn: Math.sin },
+  cos: { args: [1, 1], fn: Math.cos },
+  tan: { args: [1, 1], fn: Math.tan },
+  min: { args: [1, Infinity], kind: (kinds) => kinds[0], fn: (...values) => Math.min(...values) },
+  max: { args: [1, Infinity], kind: (kinds) => kinds[0], fn: (...values) => Math.max(...values) },
+
+  isnull: { args: [1, 1], kind: () => "boolean", raw: true, fn: (value) => bool(isMissing(value)) },
+  coalesce: {
+    args: [1, Infinity],
+    kind: (kinds) => kinds[0],
+    raw: true,
+    fn: (...values) => {
+      const found = values.find(value => !isMissing(value));
+      return found === undefined ? values[0] : found;
+    },
+  },
+
+  year: dateParts(d => d.getFullYear()),
+  month: dateParts(d => d.getMonth() + 1),
+  day: dateParts(d => d.getDate()),
+  hour: dateParts(d => d.getHours()),
+  minute: dateParts(d => d.getMinutes()),
+  second: dateParts(d => d.getSeconds()),
+  // ISO weekday: Monday is 1, Sunday 7
+  weekday: dateParts(d => d.getDay() || 7),
+  date: {
+    args: [3, 6],
+    kind: () => "date",
+    fn: (y, m, d, h = 0, mi = 0, s = 0) => new Date(y, m - 1, d, h, mi, s).getTime(),
+  },
+  adddays: { args: [2, 2], kind: () => "date", fn: (d, n) => d + n * DAY },
+  addhours: { args: [2, 2], kind: () => "date", fn: (d, n) => d + n * HOUR },
+  daysbetween: { args: [2, 2], fn: (a, b) => (b - a) / DAY },
+  hoursbetween: { args: [2, 2], fn: (a, b) => (b - a) / HOUR },
+
+  len: { args: [1, 1], raw: true, fn: (text) => (text == null ? NaN : String(text).length) },
+  lower: { args: [1, 1], kind: () => "text", raw: true, fn: (text) => (text == null ? null : String(text).toLowerCase()) },
+  upper: { args: [1, 1], kind: () => "text", raw: true, fn: (text) => (text == null ? null : String(text).toUpperCase()) },
+  concat: {
+    args: [1, Infinity],
+    kind: () => "text",
+    raw: true,
+    fn: (...values) => values.map(value => (value == null ? "" : value)).join(""),
+  },
+  contains: {
+    args: [2, 2],
+    kind: () => "boolean",
+    raw: true,
+    fn: (text, part) => (text == null || part == null ? NaN : bool(String(text).includes(String(part)))),
+  },
+  number: { args: [1, 1], raw: true, fn: toNumber },
+};
+
+// Window size or lag argument: a constant whole number
+const windowArg = (node, fallback, name) => {
+  if (!node) return fallback;
+  const value = node.type === "num" ? node.value : NaN;
+  if (!Number.isInteger(value) || value < 1) throw new Error(`${name}() needs a whole number of rows, like ${name}(x, 7)`);
+  return value;
+};
+
+// Window functions see the whole column in row order
+const WINDOW_FUNCTIONS = {
+  rolling_mean: { args: [2, 2], fn: (x, n) => rolling(x, n, (sum, count) => sum / count) },
+  rolling_sum: { args: [2, 2], fn: (x, n) => rolling(x, n, (sum) => sum) },
+  rolling_min: { args: [2, 2], fn: (x, n) => rollingExtreme(x, n, Math.min) },
+  rolling_max: { args: [2, 2], fn: (x, n) => rollingExtreme(x, n, Math.max) },
+  diff: { args: [1, 2], fn: (x, lag = 1) => x.map((v, i) => (i >= lag ? v - x[i - lag] : NaN)) },
+  pct_change: {
+    args: [1, 2],
+    fn: (x, lag = 1) => x.map((v, i) => (i >= lag && x[i - lag] !== 0 ? ((v - x[i - lag]) / Math.abs(x[i - lag])) * 100 : NaN)),
+  },
+  cumsum: {
+    args: [1, 1],
+    fn: (x) => {
+      let sum = 0;
+      return x.map(v => {
+        if (isNaN(v)) return NaN;
+        sum += v;
+        return sum;
+      });
+    },
+  },
+  lag: { args: [1, 2], keepKind: true, fn: (x, n = 1) => x.map((v, i) => (i >= n ? x[i - n] : NaN)) },
+  lead: { args: [1, 2], keepKind: true, fn: (x, n = 1) => x.map((v, i) => (i + n < x.length ? x[i + n] : NaN)) },
+};
+
+// Trailing window of n rows, NaN until the window is full; missing values inside it are skipped
+const rolling = (x, n, combine) => {
+  const result = new Float64Array(x.length).fill(NaN);
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < x.length; i++) {
+    if (!isNaN(x[i])) {
+      sum += x[i];
+      count++;
+    }
+    if (i >= n && !isNaN(x[i - n])) {
+      sum -= x[i - n];
+      count--;
+    }
+    if (i >= n - 1 && count > 0) result[i] = combine(sum, count);
+  }
+  return result;
+};
+
+const rollingExtreme = (x, n, pick) => {
+  const result = new Float64Array(x.length).fill(NaN);
+  for (let i = n - 1; i < x.length; i++) {
+    let best = NaN;
+    for (let j = i - n + 1; j <= i; j++) {
+      if (!isNaN(x[j])) best = isNaN(best) ? x[j] : pick(best, x[j]);
+    }
+    result[i] = best;
+  }
+  return result;
+};
+
+// Division by zero is missing rather than infinite, so isnull() and coalesce() see it the way the
+// stored column does
+const numericBinary = {
+  "*": (a, b) => a * b,
+  "/": (a, b) => (b === 0 ? NaN : a / b),
+  "%": (a, b) => a % b,
+  "^": (a, b) => a ** b,
+};
+
+const compare = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+// Evaluate a parsed formula against the table's columns
+const evaluate = (tree, table) => {
+  const { columns, schema, rowCount } = table;
+
+  const columnRef = (name) => {
+    if (!hasOwn(columns, name)) throw new Error(`Unknown column "${name}"`);
+    const values = columns[name];
+    return { kind: kindOfType(schema[name].type), at: (i) => values[i] };
+  };
+
+  const visit = (node) => {
+    switch (node.type) {
+      case "num":
+        return constant("number", node.value);
+      case "str":
+        return constant("text", node.value);
+      case "col":
+        return columnRef(node.name);
+      case "name": {
+        if (hasOwn(columns, node.name)) return columnRef(node.name);
+        const constantName = node.name.toLowerCase();
+        if (hasOwn(CONSTANTS, constantName)) {
+          const { kind, value } = CONSTANTS[constantName];
+          return constant(kind, value);
+        }
+        throw new Error(`Unknown column "${node.name}"`);
+      }
+      case "unary": {
+        const arg = visit(node.arg);
+        if (node.op === "-") return { kind: "number", at: (i) => -toNumber(arg.at(i)) };
+        return {
+          kind: "boolean",
+          at: (i) => {
+            const v = toNumber(arg.at(i));
+            return isNaN(v) ? NaN : bool(!v);
+          },
+        };
+      }
+      case "binary":
+        return visitBinary(node);
+      case "cond":
+        return conditional(visit(node.test), visit(node.then), visit(node.otherwise));
+      case "call":
+        return visitCall(node);
+      default:
+        throw new Error(`Unknown expression ${node.type}`);
+    }
+  };
+
+  const conditional = (test, then, otherwise) => {
+    const kind = isTextKind(then.kind) || isTextKind(otherwise.kind) ? "text" : then.kind;
+    const convert = isTextKind(kind) ? (value, from) => toText(value, from) : (value) => toNumber(value);
+    return {
+      kind,
+      at: (i) => {
+        const t = toNumber(test.at(i));
+        if (isNaN(t)) return missingOf(kind);
+        return t ? convert(then.at(i), then.kind) : convert(otherwise.at(i), otherwise.kind);
+      },
+    };
+  };
+
+  const visitBinary = ({ op, left: leftNode, right: rightNode }) => {
+    const left = visit(leftNode);
+    const right = visit(rightNode);
+
+    if (op === "&&" || op === "||") {
+      return {
+        kind: "boolean",
+        at: (i) => {
+          const a = toNumber(left.at(i));
+          const b = toNumber(right.at(i));
+          if (isNaN(a) || isNaN(b)) return NaN;
+          return bool(op === "&&" ? a && b : a || b);
+        },
+      };
+    }
+
+    if (compare[op]) {
+      const asText = isTextKind(left.kind) && isTextKind(right.kind);
+      return {
+        kind: "boolean",
+        at: (i) => {
+          const a = asText ? left.at(i) : toNumber(left.at(i));
+          const b = asText ? right.at(i) : toNumber(right.at(i));
+          if (isMissing(a) || isMissing(b)) return NaN;
+          return bool(compare[op](a, b));
+        },
+      };
+    }
+
+    // + joins text; dates shift by milliseconds and subtract to a duration in milliseconds
+    if (op === "+" && (isTextKind(left.kind) || isTextKind(right.kind))) {
+      return {
+        kind: "text",
+        at: (i) => {
+          const a = toText(left.at(i), left.kind);
+          const b = toText(right.at(i), right.kind);
+          return a == null || b == null ? null : a + b;
+        },
+      };
+    }
+    if (op === "+" || op === "-") {
+      let kind = "number";
+      if (op === "+" && (left.kind === "date") !== (right.kind === "date")) kind = "date";
+      if (op === "-" && left.kind === "date" && right.kind !== "date") kind = "date";
+      return {
+        kind,
+        at: (i) => (op === "+" ? toNumber(left.at(i)) + toNumber(right.at(i)) : toNumber(left.at(i)) - toNumber(right.at(i))),
+      };
+    }
+
+    const fn = numericBinary[op];
+    return { kind: "number", at: (i) => fn(toNumber(left.at(i)), toNumber(right.at(i))) };
+  };
+
+  const checkArgs = (name, spec, count) => {
+    const [min, max] = spec.args;
+    if (count < min || count > max) {
+      const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+      throw new Error(`${name}() takes ${expected} argument${max === 1 ? "" : "s"}, got ${count}`);
+    }
+  };
+
+  const visitCall = ({ name, args }) => {
+    if (name === "if") {
+      checkArgs(name, { args: [3, 3] }, args.length);
+      return conditional(visit(args[0]), visit(args[1]), visit(args[2]));
+    }
+
+    if (hasOwn(WINDOW_FUNCTIONS, name)) {
+      const window = WINDOW_FUNCTIONS[name];
+      checkArgs(name, window, args.length);
+      const input = visit(args[0]);
+      const values = new Float64Array(rowCount);
+      for (let i = 0; i < rowCount; i++) values[i] = toNumber(input.at(i));
+      const result = window.fn(values, windowArg(args[1], undefined, name));
+      return { kind: window.keepKind ? input.kind : "number", at: (i) => result[i] };
+    }
+
+    if (!hasOwn(FUNCTIONS, name)) throw new Error(`Unknown function ${name}()`);
+    const spec = FUNCTIONS[name];
+    checkArgs(name, spec, args.length);
+    const inputs = args.map(visit);
+    const kind = spec.kind ? spec.kind(inputs.map(input => input.kind)) : "number";
+    // Most functions take numbers; text functions (raw) get the values as they are, null when missing
+    const read = spec.raw
+      ? inputs.map(input => (i) => {
+        const value = input.at(i);
+        return isMissing(value) ? null : value;
+      })
+      : inputs.map(input => (i) => toNumber(input.at(i)));
+    return {
+      kind,
+      at: (i) => {
+        const result = spec.fn(...read.map(get => get(i)));
+        return isTextKind(kind) ? result : toNumber(result);
+      },
+    };
+  };
+
+  return visit(tree);
+};
+
+// Typed values and schema of a computed column. Text results go through type inference like an
+// uploaded column, so a formula producing date strings becomes a date column.
+export const computeColumn = (formula, table) => {
+  const result = evaluate(parseFormula(formula), table);
+  const { rowCount } = table;
+
+  if (isTextKind(result.kind)) {
+    const raw = Array.from({ length: rowCount }, (_, i) => result.at(i));
+    const columnSchema = inferColumnType(raw);
+    return { values: buildColumn(raw, columnSchema), raw, schema: columnSchema };
+  }
+
+  const values = new Float64Array(rowCount);
+  let isInteger = true;
+  for (let i = 0; i < rowCount; i++) {
+    const value = result.at(i);
+    values[i] = Number.isFinite(value) ? value : NaN;
+    if (Number.isFinite(value) && !Number.isInteger(value)) isInteger = false;
+  }
+  const schema = {
+    number: { type: isInteger ? "integer" : "number", format: "." },
+    date: { type: "datetime", format: "YYYY-MM-DD" },
+    boolean: { type: "boolean", format: null },
+  }[result.kind];
+  return { values, raw: values, schema };
+};
+
+// Dataset id used in `sources` for computed columns, whose `column` is the computed column's id so
+// that renaming one carries the selection over
+export const COMPUTED_SOURCE = "computed";
+
+// The table with every computed column appended in order, so later ones can use earlier ones.
+// Columns whose formula fails are left out, with the message under their id in `errors`.
+export const addComputedColumns = (table, computedColumns) => {
+  if (!computedColumns.length) return { table, errors: {} };
+  const next = {
+    ...table,
+    headers: [...table.headers],
+    columns: { ...table.columns },
+    rawColumns: { ...table.rawColumns },
+    schema: { ...table.schema },
+    inferredSchema: { ...table.inferredSchema },
+    sources: { ...table.sources },
+  };
+  const errors = {};
+  computedColumns.forEach(({ id, name, formula }) => {
+    try {
+      if (hasOwn(next.columns, name)) throw new Error(`There is already a column named "${name}"`);
+      const { values, raw, schema } = computeColumn(formula, next);
+      next.headers.push(name);
+      next.columns[name] = values;
+      next.rawColumns[name] = raw;
+      next.schema[name] = schema;
+      next.inferredSchema[name] = schema;
+      next.sources[name] = { datasetId: COMPUTED_SOURCE, column: id };
+    } catch (err) {
+      errors[id] = err.message;
+    }
+  });
+  return { table: next, errors };
+};
+
@@ -0,0 +1,86 @@
+import { parseFormula, computeColumn, renameReferences } from "./formula";
+
+const table = {
+  headers: ["a", "b", "unit price"],
+  columns: {
+    a: Float64Array.from([1, 2, 3]),
+    b: Float64Array.from([4, 0, NaN]),
+    "unit price": Float64Array.from([10, 20, 30]),
+  },
+  schema: {
+    a: { type: "integer" },
+    b: { type: "integer" },
+    "unit price": { type: "integer" },
+  },
+  rowCount: 3,
+};
+
+const valuesOf = (formula) => Array.from(computeColumn(formula, table).values);
+
+describe("parseFormula", () => {
+  test("binds * tighter than + and ^ tighter than unary minus", () => {
+    expect(valuesOf("1 + 2 * 3")).toEqual([7, 7, 7]);
+    expect(valuesOf("(1 + 2) * 3")).toEqual([9, 9, 9]);
+    expect(valuesOf("-2 ^ 2")).toEqual([-4, -4, -4]);
+    expect(valuesOf("2 ^ 3 ^ 2")).toEqual([512, 512, 512]);
+  });
+
+  test("compares before combining with and/or", () => {
+    expect(valuesOf("a > 1 && a < 3")).toEqual([0, 1, 0]);
+    expect(valuesOf("a == 1 or a == 3")).toEqual([1, 0, 1]);
+    expect(valuesOf("a > 1 ? 10 : 20")).toEqual([20, 10, 10]);
+  });
+
+  test("reads exponents in either case", () => {
+    expect(valuesOf("1e3")).toEqual([1000, 1000, 1000]);
+    expect(valuesOf("1E3 + 2.5E-1")).toEqual([1000.25, 1000.25, 1000.25]);
+    expect(valuesOf(".5E1")).toEqual([5, 5, 5]);
+  });
+
+  test("reports where it stops", () => {
+    expect(() => parseFormula("1 +")).toThrow("Unexpected end of formula");
+    expect(() => parseFormula("(1 + 2")).toThrow('Expected ")"');
+    expect(() => parseFormula("1 # 2")).toThrow('Unexpected "#" at position 3');
+  });
+});
+
+describe("computeColumn", () => {
+  test("reads columns by name or in brackets", () => {
+    expect(valuesOf("a + [unit price]")).toEqual([11, 22, 33]);
+  });
+
+  test("rejects unknown columns and functions", () => {
+    expect(() => computeColumn("missing + 1", table)).toThrow('Unknown column "missing"');
+    expect(() => computeColumn("nope(a)", table)).toThrow("Unknown function nope()");
+  });
+
+  test("treats names every object inherits as unknown", () => {
+    expect(() => computeColumn("constructor", table)).toThrow('Unknown column "constructor"');
+    expect(() => computeColumn("[__proto__] + 1", table)).toThrow('Unknown column "__proto__"');
+    expect(() => computeColumn("toString(a)", table)).toThrow("Unknown function tostring()");
+    expect(() => computeColumn("hasOwnProperty", table)).toThrow('Unknown column "hasOwnProperty"');
+  });
+
+  test("leaves division by zero and missing values empty", () => {
+    expect(valuesOf("a / b")).toEqual([0.25, NaN, NaN]);
+    expect(valuesOf("a % 0")).toEqual([NaN, NaN, NaN]);
+    expect(valuesOf("coalesce(a / b, -1)")).toEqual([0.25, -1, -1]);
+  });
+
+  test("types the result", () => {
+    expect(computeColumn("a * 2", table).schema.type).toBe("integer");
+    expect(computeColumn("a / 2", table).schema.type).toBe("number");
+    expect(computeColumn("a > 1", table).schema.type).toBe("boolean");
+  });
+});
+
+describe("renameReferences", () => {
+  test("renames column references but not functions", () => {
+    const rename = (name) => ({ a: "alpha", "unit price": "price each" }[name] || null);
+    expect(renameReferences("abs(a) + [unit price]", rename)).toBe("abs(alpha) + [price each]");
+  });
+
+  test("leaves formulas that don't parse alone", () => {
+    expect(renameReferences("a # b", () => "x")).toBe("a # b");
+  });
+});
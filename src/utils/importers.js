@@ -0,0 +1,293 @@
+import Papa from "papaparse";
+import { streamCsv, makeHeaders, finishParse } from "./csvParse";
+
+// Input formats and dialect options offered in the import dialog
+
+export const IMPORT_FORMATS = {
+  csv: "Delimited text (CSV, TSV)",
+  json: "JSON array",
+  ndjson: "NDJSON (one object per line)",
+  xlsx: "Excel workbook",
+};
+
+export const DELIMITERS = {
+  ",": "Comma ( , )",
+  ";": "Semicolon ( ; )",
+  "\t": "Tab",
+  "|": "Pipe ( | )",
+};
+
+export const QUOTE_CHARS = {
+  '"': 'Double quote ( " )',
+  "'": "Single quote ( ' )",
+};
+
+export const ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "windows-1252", "iso-8859-1"];
+
+export const DEFAULT_IMPORT_OPTIONS = {
+  format: "csv",
+  delimiter: ",",
+  quoteChar: '"',
+  decimalSeparator: "auto",
+  hasHeader: true,
+  skipRows: 0,
+  encoding: "utf-8",
+  sheet: null,
+};
+
+export const PREVIEW_ROWS = 10;
+
+// Bytes sniffed to detect format and dialect
+const HEAD_BYTES = 64 * 1024;
+
+const readArrayBuffer = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+const readText = async (blob, encoding) =>
+  new TextDecoder(encoding).decode(await readArrayBuffer(blob));
+
+const isZip = (bytes) => bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+const isOleDocument = (bytes) => bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0;
+
+// Byte order marks first, then UTF-8 validity; anything else is most likely a Windows code page
+export const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return "utf-8";
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+  try {
+    // Drop a few trailing bytes in case the sniffed head ends inside a multi-byte character
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes.length >= HEAD_BYTES ? bytes.slice(0, -3) : bytes);
+    return "utf-8";
+  } catch (err) {
+    return "windows-1252";
+  }
+};
+
+const extensionOf = (fileName) => {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName || "");
+  return match ? match[1].toLowerCase() : "";
+};
+
+export const detectFormat = (fileName, bytes, text) => {
+  const ext = extensionOf(fileName);
+  if (ext === "xlsx" || ext === "xls" || isZip(bytes) || isOleDocument(bytes)) return "xlsx";
+  if (ext === "ndjson" || ext === "jsonl") return "ndjson";
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("[")) return "json";
+  if (trimmed.startsWith("{")) {
+    // Several lines that each start an object means one record per line
+    const objectLines = trimmed.split(/\r?\n/, 3).filter(line => line.trim().startsWith("{"));
+    return objectLines.length > 1 ? "ndjson" : "json";
+  }
+  return "csv";
+};
+
+// Field count shared by most rows
+const modeFieldCount = (rows) => {
+  const counts = {};
+  rows.forEach(row => { counts[row.length] = (counts[row.length] || 0) + 1; });
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  return best ? { width: Number(best[0]), rows: best[1] } : { width: 0, rows: 0 };
+};
+
+// Sniffed lines, without the last one which may be cut off
+const headRows = (text, delimiter, quoteChar) => {
+  const rows = Papa.parse(text, { delimiter, quoteChar, preview: 50, skipEmptyLines: true }).data;
+  return rows.length > 2 ? rows.slice(0, -1) : rows;
+};
+
+// The delimiter giving the most rows with the same number of fields (more than one)
+export const detectDelimiter = (text, quoteChar = '"') => {
+  let best = ",";
+  let bestScore = 0;
+  Object.keys(DELIMITERS).forEach(delimiter => {
+    const { width, rows } = modeFieldCount(headRows(text, delimiter, quoteChar));
+    const score = width > 1 ? rows * Math.log2(width) : 0;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Preamble lines before the table usually have a different field count than the data
+const detectSkipRows = (rows) => {
+  const { width } = modeFieldCount(rows);
+  const first = rows.findIndex(row => row.length === width);
+  return first > 0 && first <= 20 ? first : 0;
+};
+
+const looksNumeric = (value) => /^[+-]?[\d.,\s]+$/.test(value) && /\d/.test(value);
+
+// A first row is data rather than a header when it has numbers where later rows do
+const detectHeader = (rows) => {
+  if (rows.length < 2) return true;
+  const [first, ...rest] = rows;
+  return !first.some((cell, i) => {
+    const numericBelow = rest.filter(row => looksNumeric(row[i] || "")).length;
+    return looksNumeric(cell) && numericBelow >= rest.length * 0.8;
+  });
+};
+
+// Guess the format and dialect of a file from its first bytes
+export const detectImportOptions = async (file) => {
+  const bytes = new Uint8Array(await readArrayBuffer(file.slice(0, HEAD_BYTES)));
+  const encoding = detectEncoding(bytes);
+  const text = new TextDecoder(encoding).decode(bytes);
+  const format = detectFormat(file.name, bytes, text);
+  const options = { ...DEFAULT_IMPORT_OPTIONS, format, encoding };
+  if (format !== "csv") return options;
+
+  const ext = extensionOf(file.name);
+  const delimiter = ext === "tsv" || ext === "tab" ? "\t" : detectDelimiter(text);
+  const rows = headRows(text, delimiter, options.quoteChar);
+  const skipRows = detectSkipRows(rows);
+  return { ...options, delimiter, skipRows, hasHeader: detectHeader(rows.slice(skipRows)) };
+};
+
+// Cell value from JSON or a spreadsheet as the raw string the schema step expects
+const cellToString = (value) => {
+  if (value == null || value === "") return null;
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}` +
+      `T${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value).trim();
+};
+
+// Apply rows-to-skip and header options to a table of cell arrays
+const toTable = (rows, { hasHeader, skipRows }) => {
+  const body = rows.slice(skipRows || 0);
+  const width = body.reduce((max, row) => Math.max(max, row.length), 0);
+  const headers = makeHeaders(hasHeader ? body[0] : null, width);
+  return { headers, rows: hasHeader ? body.slice(1) : body };
+};
+
+// Objects become one column per key (in order of first appearance); plain values a single column
+const recordsToTable = (records, options) => {
+  if (records.every(Array.isArray)) {
+    return toTable(records.map(row => row.map(cellToString)), options);
+  }
+  if (!records.every(r => r && typeof r === "object" && !Array.isArray(r))) {
+    return { headers: ["value"], rows: records.map(value => [cellToString(value)]) };
+  }
+  const keys = new Set();
+  records.forEach(record => Object.keys(record).forEach(key => keys.add(key)));
+  const headers = [...keys];
+  return { headers, rows: records.map(record => headers.map(key => cellToString(record[key]))) };
+};
+
+// Records of a JSON document: a top-level array, or the first array property of a top-level object
+const jsonRecords = (text) => {
+  const parsed = JSON.parse(text);
+  if (Array.isArray(parsed)) return parsed;
+  const nested = parsed && typeof parsed === "object" && Object.values(parsed).find(Array.isArray);
+  if (nested) return nested;
+  throw new Error("JSON file must contain an array of records");
+};
+
+const ndjsonRecords = (text, limit = Infinity) => {
+  const records = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length && records.length < limit; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error(`Invalid JSON on line ${i + 1}`);
+    }
+  }
+  return records;
+};
+
+const readWorkbook = async (file, sheetRows) => {
+  const XLSX = await import("xlsx");
+  const buffer = await readArrayBuffer(file);
+  const workbook = XLSX.read(buffer, { type: "array", cellDates: true, sheetRows });
+  return { XLSX, workbook };
+};
+
+const sheetTable = (XLSX, workbook, options) => {
+  const sheetName = options.sheet && workbook.SheetNames.includes(options.sheet)
+    ? options.sheet
+    : workbook.SheetNames[0];
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, blankrows: false });
+  return toTable(rows.map(row => Array.from(row, cellToString)), options);
+};
+
+// First rows of the file as they would be imported with `options`
+export const readPreview = async (file, options) => {
+  const limit = PREVIEW_ROWS + (options.skipRows || 0) + 1;
+  if (options.format === "xlsx") {
+    const { XLSX, workbook } = await readWorkbook(file, limit);
+    const table = sheetTable(XLSX, workbook, options);
+    return { ...table, rows: table.rows.slice(0, PREVIEW_ROWS), sheetNames: workbook.SheetNames };
+  }
+  if (options.format === "json") {
+    const table = recordsToTable(jsonRecords(await readText(file, options.encoding)).slice(0, limit), options);
+    return { ...table, rows: table.rows.slice(0, PREVIEW_ROWS) };
+  }
+
+  const text = await readText(file.slice(0, HEAD_BYTES), options.encoding);
+  if (options.format === "ndjson") {
+    // The last sniffed line may be cut off
+    const lines = text.split(/\r?\n/);
+    const complete = file.size > HEAD_BYTES ? lines.slice(0, -1).join("\n") : text;
+    const table = recordsToTable(ndjsonRecords(complete, limit), options);
+    return { ...table, rows: table.rows.slice(0, PREVIEW_ROWS) };
+  }
+
+  const rows = Papa.parse(text, {
+    delimiter: options.delimiter,
+    quoteChar: options.quoteChar,
+    preview: limit,
+    skipEmptyLines: true,
+    transform: (value) => value.trim(),
+  }).data;
+  const table = toTable(rows, options);
+  return { ...table, rows: table.rows.slice(0, PREVIEW_ROWS) };
+};
+
+// Whole-file parse of the formats that can't be streamed
+const parseDocument = async (file, options) => {
+  if (options.format === "xlsx") {
+    const { XLSX, workbook } = await readWorkbook(file);
+    return sheetTable(XLSX, workbook, options);
+  }
+  const text = await readText(file, options.encoding);
+  const records = options.format === "ndjson" ? ndjsonRecords(text) : jsonRecords(text);
+  return recordsToTable(records, options);
+};
+
+// Parse a file with the confirmed import options and any type overrides under `schemaOverrides`,
+// reporting progress for streamed formats.
+// Returns a function that cancels the import.
+export const importFile = (file, options, { onProgress, onComplete, onError }) => {
+  if (options.format === "csv") {
+    return streamCsv(file, options, { onProgress, onComplete, onError });
+  }
+
+  let cancelled = false;
+  parseDocument(file, options)
+    .then(({ headers, rows }) => {
+      if (cancelled) return;
+      onProgress({ rows: rows.length, bytes: file.size, totalBytes: file.size });
+      const rawColumns = {};
+      headers.forEach((col, i) => {
+        rawColumns[col] = rows.map(row => (row[i] === undefined ? null : row[i]));
+      });
+      onComplete(finishParse(headers, rawColumns, rows.length, options.decimalSeparator, options.schemaOverrides));
+    })
+    .catch(err => {
+      if (!cancelled) onError(err);
+    });
+  return () => { cancelled = true; };
+};
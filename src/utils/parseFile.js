@@ -0,0 +1,41 @@
+import { importFile } from "./importers";
+import { buildColumn, isPlottableType } from "./schema";
+
+// The worker sends only the typed columns; text columns are read again from their raw text
+const withTextColumns = (result) => {
+  const schema = { ...result.inferredSchema, ...result.schemaOverrides };
+  const columns = {};
+  result.headers.forEach(col => {
+    columns[col] = isPlottableType(schema[col].type) ? result.columns[col] : buildColumn(result.rawColumns[col], schema[col]);
+  });
+  return { ...result, columns };
+};
+
+// Parse a data file in a Web Worker, falling back to the main thread where workers aren't available.
+// Returns a function that cancels the parse.
+export const parseDataFile = (file, options, { onProgress, onComplete, onError }) => {
+  if (typeof Worker === "undefined") {
+    return importFile(file, options, { onProgress, onComplete, onError });
+  }
+
+  const worker = new Worker(new URL("../workers/fileParser.worker.js", import.meta.url));
+  worker.onmessage = (e) => {
+    const { type, ...payload } = e.data;
+    if (type === "progress") {
+      onProgress(payload);
+    } else if (type === "complete") {
+      worker.terminate();
+      onComplete(withTextColumns(payload.result));
+    } else if (type === "error") {
+      worker.terminate();
+      onError(new Error(payload.message));
+    }
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    onError(new Error(e.message || "File parser worker failed"));
+  };
+  worker.postMessage({ file, options });
+
+  return () => worker.terminate();
+};
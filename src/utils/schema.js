@@ -0,0 +1,263 @@
+// Column type inference and value parsing driven by a per-column schema
+
+export const COLUMN_TYPES = ["number", "integer", "date", "datetime", "boolean", "category", "text"];
+
+// Cell contents treated as missing values
+const NULL_TOKENS = new Set(["", "na", "n/a", "nan", "null", "none", "-", "#n/a"]);
+
+const TRUE_TOKENS = new Set(["true", "yes", "y", "t"]);
+const FALSE_TOKENS = new Set(["false", "no", "n", "f"]);
+
+// Share of sampled values that must parse for a type to be chosen
+const MATCH_THRESHOLD = 0.95;
+const SAMPLE_SIZE = 5000;
+
+const TIME_PART = "(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d+))?)?)?";
+const ZONE_PART = "\\s*(Z|[+-]\\d{2}:?\\d{2})?";
+const datePattern = (datePart) => new RegExp(`^${datePart}${TIME_PART}${ZONE_PART}$`, "i");
+
+// Supported date formats; `order` maps the three captured date parts to year/month/day.
+// Formats marked `explicitOnly` are never guessed because they look like plain numbers.
+export const DATE_FORMATS = {
+  "YYYY-MM-DD": { pattern: datePattern("(\\d{4})-(\\d{1,2})-(\\d{1,2})"), order: "ymd" },
+  "YYYY/MM/DD": { pattern: datePattern("(\\d{4})/(\\d{1,2})/(\\d{1,2})"), order: "ymd" },
+  "MM/DD/YYYY": { pattern: datePattern("(\\d{1,2})/(\\d{1,2})/(\\d{4})"), order: "mdy" },
+  "DD/MM/YYYY": { pattern: datePattern("(\\d{1,2})/(\\d{1,2})/(\\d{4})"), order: "dmy" },
+  "DD.MM.YYYY": { pattern: datePattern("(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})"), order: "dmy" },
+  "DD-MM-YYYY": { pattern: datePattern("(\\d{1,2})-(\\d{1,2})-(\\d{4})"), order: "dmy" },
+  "YYYYMMDD": { pattern: datePattern("(\\d{4})(\\d{2})(\\d{2})"), order: "ymd", explicitOnly: true },
+  "epoch-s": { explicitOnly: true },
+  "epoch-ms": { explicitOnly: true },
+  "text": {},
+};
+
+const MONTH_NAME = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+
+export const isNullToken = (raw) =>
+  raw == null || NULL_TOKENS.has(String(raw).trim().toLowerCase());
+
+export const isNumericType = (type) => type === "number" || type === "integer";
+export const isDateType = (type) => type === "date" || type === "datetime";
+
+// Types whose parsed values are numbers and can be plotted on a value axis
+export const isPlottableType = (type) => isNumericType(type) || isDateType(type) || type === "boolean";
+
+const DOT_DECIMAL = /^[+-]?(?:\d+|\d{1,3}(?:,\d{3})+)?(?:\.\d*)?(?:e[+-]?\d+)?$/i;
+const COMMA_DECIMAL = /^[+-]?(?:\d+|\d{1,3}(?:\.\d{3})+)?(?:,\d*)?(?:e[+-]?\d+)?$/i;
+
+// Parse a number written with either "." or "," as decimal separator, NaN when it isn't one
+export const parseNumber = (raw, decimalSeparator = ".") => {
+  if (typeof raw === "number") return raw;
+  // Drop space or apostrophe thousands separators ("1 234,5", "1'234.5")
+  const str = String(raw).trim().replace(/(\d)[\s\u00a0'](?=\d{3}(?!\d))/g, "$1");
+  if (!/\d/.test(str)) return NaN;
+  if (decimalSeparator === ",") {
+    if (!COMMA_DECIMAL.test(str)) return NaN;
+    return Number(str.replace(/\./g, "").replace(",", "."));
+  }
+  if (!DOT_DECIMAL.test(str)) return NaN;
+  return Number(str.replace(/,/g, ""));
+};
+
+// Parse a date string with the given format into epoch milliseconds, NaN when it doesn't match.
+// Values without an explicit offset are read as local time.
+export const parseDate = (raw, format) => {
+  const str = String(raw).trim();
+  if (format === "epoch-s" || format === "epoch-ms") {
+    const num = parseNumber(str);
+    return format === "epoch-s" ? num * 1000 : num;
+  }
+  if (format === "text") {
+    return MONTH_NAME.test(str) ? Date.parse(str) : NaN;
+  }
+
+  const spec = DATE_FORMATS[format];
+  const match = spec && spec.pattern.exec(str);
+  if (!match) return NaN;
+
+  const parts = {};
+  spec.order.split("").forEach((key, i) => { parts[key] = Number(match[i + 1]); });
+  const [hours, minutes, seconds] = [match[4], match[5], match[6]].map(v => (v ? Number(v) : 0));
+  const millis = match[7] ? Number(match[7].slice(0, 3).padEnd(3, "0")) : 0;
+  const zone = match[8];
+
+  if (parts.m < 1 || parts.m > 12 || parts.d < 1 || parts.d > 31 || hours > 23 || minutes > 59 || seconds > 59) {
+    return NaN;
+  }
+
+  if (zone) {
+    const sign = zone[0] === "-" ? -1 : 1;
+    const offset = zone.toUpperCase() === "Z" ? 0 : sign * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(-2)));
+    return Date.UTC(parts.y, parts.m - 1, parts.d, hours, minutes, seconds, millis) - offset * 60000;
+  }
+
+  const date = new Date(parts.y, parts.m - 1, parts.d, hours, minutes, seconds, millis);
+  // Reject dates that rolled over, such as 31/02
+  if (date.getDate() !== parts.d) return NaN;
+  return date.getTime();
+};
+
+// True when a parsed date string carried a time of day
+const hasTimePart = (raw, format) => {
+  if (format === "epoch-s" || format === "epoch-ms") return true;
+  if (format === "text") return /\d:\d/.test(raw);
+  const match = DATE_FORMATS[format].pattern.exec(String(raw).trim());
+  return Boolean(match && match[4]);
+};
+
+// True when a date string named its own UTC offset, so it marks an instant rather than a wall-clock
+// time. Epoch numbers always mark an instant.
+export const hasTimeZone = (raw, format) => {
+  if (format === "epoch-s" || format === "epoch-ms") return true;
+  if (format === "text") return /(?:Z|GMT|UTC|[+-]\d{2}:?\d{2})$/i.test(String(raw).trim());
+  const spec = DATE_FORMATS[format];
+  const match = spec && spec.pattern && spec.pattern.exec(String(raw).trim());
+  return Boolean(match && match[8]);
+};
+
+// Evenly spaced sample of non-null raw values, so inference stays fast on large files
+const sampleValues = (values) => {
+  const present = values.filter(v => !isNullToken(v)).map(v => String(v).trim());
+  if (present.length <= SAMPLE_SIZE) return present;
+  const step = present.length / SAMPLE_SIZE;
+  const sample = [];
+  for (let i = 0; i < SAMPLE_SIZE; i++) sample.push(present[Math.floor(i * step)]);
+  return sample;
+};
+
+const countMatches = (values, test) => values.reduce((count, v) => count + (test(v) ? 1 : 0), 0);
+
+// Numbers with a leading zero ("007", "02134") are identifiers, not quantities
+const hasLeadingZero = (str) => /^[+-]?0\d/.test(str);
+
+// Pick the date format that parses the most values, ignoring formats that must be chosen explicitly
+const detectDateFormat = (values, includeExplicit = false) => {
+  let best = null;
+  let bestCount = 0;
+  Object.entries(DATE_FORMATS).forEach(([format, spec]) => {
+    if (spec.explicitOnly && !includeExplicit) return;
+    const count = countMatches(values, v => !isNaN(parseDate(v, format)));
+    if (count > bestCount) {
+      best = format;
+      bestCount = count;
+    }
+  });
+  return { format: best, count: bestCount };
+};
+
+const detectDecimalSeparator = (values, forced = "auto") => {
+  if (forced === "." || forced === ",") {
+    return { format: forced, count: countMatches(values, v => !hasLeadingZero(v) && !isNaN(parseNumber(v, forced))) };
+  }
+  const dotCount = countMatches(values, v => !hasLeadingZero(v) && !isNaN(parseNumber(v, ".")));
+  const commaCount = countMatches(values, v => !hasLeadingZero(v) && !isNaN(parseNumber(v, ",")));
+  // "1,234" parses either way; only switch to comma decimals when it explains more values
+  return commaCount > dotCount
+    ? { format: ",", count: commaCount }
+    : { format: ".", count: dotCount };
+};
+
+// Infer the type (and date format or decimal separator) of a column from its raw string values.
+// `decimalSeparator` may force "." or "," instead of detecting it per column.
+export const inferColumnType = (values, decimalSeparator = "auto") => {
+  const sample = sampleValues(values);
+  if (sample.length === 0) return { type: "text", format: null };
+  const needed = sample.length * MATCH_THRESHOLD;
+
+  const numeric = detectDecimalSeparator(sample, decimalSeparator);
+  if (numeric.count >= needed) {
+    const isInteger = sample.every(v => {
+      const num = parseNumber(v, numeric.format);
+      return isNaN(num) || Number.isInteger(num);
+    });
+    return { type: isInteger ? "integer" : "number", format: numeric.format };
+  }
+
+  const booleanCount = countMatches(sample, v => {
+    const lower = v.toLowerCase();
+    return TRUE_TOKENS.has(lower) || FALSE_TOKENS.has(lower);
+  });
+  if (booleanCount >= needed) return { type: "boolean", format: null };
+
+  const date = detectDateFormat(sample);
+  if (date.format && date.count >= needed) {
+    const withTime = sample.some(v => hasTimePart(v, date.format));
+    return { type: withTime ? "datetime" : "date", format: date.format };
+  }
+
+  const distinct = new Set(sample).size;
+  if (distinct <= 100 && distinct <= sample.length * 0.5) return { type: "category", format: null };
+  return { type: "text", format: null };
+};
+
+// Schema entry for a column forced to `type`, choosing the format that best fits its values
+export const resolveColumnSchema = (values, type) => {
+  const sample = sampleValues(values);
+  if (isNumericType(type)) return { type, format: detectDecimalSeparator(sample).format };
+  if (isDateType(type)) return { type, format: detectDateFormat(sample, true).format || "YYYY-MM-DD" };
+  return { type, format: null };
+};
+
+// Infer every column's schema from raw string values stored column by column
+export const inferSchema = (rawColumns, headers, decimalSeparator = "auto") => {
+  const schema = {};
+  headers.forEach(col => {
+    schema[col] = inferColumnType(rawColumns[col], decimalSeparator);
+  });
+  return schema;
+};
+
+// Convert one raw cell to its typed value: numbers, epoch ms for dates, 1/0 for booleans, strings otherwise.
+// Missing and unparsable cells become null.
+export const parseCellValue = (raw, columnSchema) => {
+  if (isNullToken(raw)) return null;
+  const { type, format } = columnSchema || { type: "text" };
+
+  if (isNumericType(type)) {
+    const num = parseNumber(raw, format || ".");
+    return isFinite(num) ? num : null;
+  }
+  if (isDateType(type)) {
+    const time = parseDate(raw, format || "YYYY-MM-DD");
+    return isFinite(time) ? time : null;
+  }
+  if (type === "boolean") {
+    const lower = String(raw).trim().toLowerCase();
+    if (TRUE_TOKENS.has(lower)) return 1;
+    if (FALSE_TOKENS.has(lower)) return 0;
+    const num = parseNumber(lower);
+    return isNaN(num) ? null : Number(num !== 0);
+  }
+  return String(raw);
+};
+
+// Parse a whole raw column. Plottable types go into a Float64Array with NaN for missing values,
+// categories and text stay plain arrays of strings and nulls.
+export const buildColumn = (rawValues, columnSchema) => {
+  const type = columnSchema ? columnSchema.type : "text";
+  if (isPlottableType(type)) {
+    const column = new Float64Array(rawValues.length);
+    for (let i = 0; i < rawValues.length; i++) {
+      const value = parseCellValue(rawValues[i], columnSchema);
+      column[i] = value == null ? NaN : value;
+    }
+    return column;
+  }
+  return rawValues.map(raw => parseCellValue(raw, columnSchema));
+};
+
+// The raw text kept of a column once `values` are read from it. Text and categories keep all of
+// it. Number, date and boolean values stand in for their text, so only cells whose text they can't
+// replace keep it: those that didn't read as the type, and timestamps that name their UTC offset.
+// The first row is kept as an example. The rest are holes.
+export const keptText = (rawValues, values, columnSchema) => {
+  if (!isPlottableType(columnSchema.type)) return rawValues;
+  const { type, format } = columnSchema;
+  const checkZone = isDateType(type) && format !== "epoch-s" && format !== "epoch-ms";
+  const kept = [];
+  kept.length = rawValues.length;
+  for (let i = 0; i < rawValues.length; i++) {
+    if (i === 0 || Number.isNaN(values[i]) || (checkZone && hasTimeZone(rawValues[i], format))) kept[i] = rawValues[i];
+  }
+  return kept;
+};
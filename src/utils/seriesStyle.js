@@ -0,0 +1,252 @@
+import { parseNumber } from "./schema";
+import { MIN_POLYNOMIAL_DEGREE, MAX_POLYNOMIAL_DEGREE, MAX_FORECAST_STEPS } from "./trends";
+
+// Per-series drawing options and Y-axis assignment. Styles are stored per column name and only hold
+// what the user changed; everything else comes from the defaults and the palette.
+
+// Colour sets for the series, in the order they're handed out. All but the original set are
+// distinguishable with the common forms of colour blindness.
+export const PALETTES = {
+  classic: { label: "Classic", colors: ["#8884d8", "#82ca9d", "#ffc658", "#ff8042", "#8dd1e1"] },
+  okabeIto: {
+    label: "Okabe–Ito (colour-blind safe)",
+    colors: ["#0072b2", "#e69f00", "#009e73", "#cc79a7", "#56b4e9", "#d55e00", "#f0e442", "#000000"],
+  },
+  tolBright: {
+    label: "Tol bright (colour-blind safe)",
+    colors: ["#4477aa", "#ee6677", "#228833", "#ccbb44", "#66ccee", "#aa3377", "#bbbbbb"],
+  },
+  tolMuted: {
+    label: "Tol muted (colour-blind safe)",
+    colors: ["#332288", "#88ccee", "#44aa99", "#117733", "#999933", "#ddcc77", "#cc6677", "#882255", "#aa4499"],
+  },
+  ibm: { label: "IBM (colour-blind safe)", colors: ["#648fff", "#785ef0", "#dc267f", "#fe6100", "#ffb000"] },
+  tableau: {
+    label: "Tableau 10",
+    colors: ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac"],
+  },
+};
+
+export const CURVE_TYPES = {
+  monotone: "Smooth",
+  linear: "Straight",
+  stepAfter: "Step",
+  natural: "Natural spline",
+};
+
+// SVG stroke-dasharray values
+export const DASH_PATTERNS = {
+  solid: { label: "Solid", dasharray: undefined },
+  dashed: { label: "Dashed", dasharray: "8 4" },
+  dotted: { label: "Dotted", dasharray: "2 3" },
+  dashDot: { label: "Dash-dot", dasharray: "8 4 2 4" },
+};
+
+// Marker shapes, named as Recharts' Symbols types; "none" draws no markers on lines and areas
+export const MARKERS = {
+  none: "None",
+  circle: "Circle",
+  square: "Square",
+  diamond: "Diamond",
+  triangle: "Triangle",
+  cross: "Cross",
+  star: "Star",
+};
+
+// "own" gives the series an axis of its own, alternating sides like before; "left" and "right"
+// are shared by every series assigned to them
+export const AXIS_ASSIGNMENTS = {
+  own: "Own axis",
+  left: "Shared left axis",
+  right: "Shared right axis",
+};
+
+// How a series is drawn in the composed chart
+export const MARK_TYPES = {
+  line: "Line",
+  bar: "Bar",
+  area: "Area",
+  scatter: "Scatter",
+};
+
+// Bars and areas in the same group are stacked on each other
+export const STACK_GROUPS = {
+  "": "Not stacked",
+  a: "Stack A",
+  b: "Stack B",
+  c: "Stack C",
+};
+
+// Recharts stackOffset values for the whole chart
+export const STACK_OFFSETS = {
+  none: "Stacked values",
+  expand: "Percent of stack",
+};
+
+// Trendlines fitted to a line or scatter series over the rows in view
+export const TREND_TYPES = {
+  none: "No trend",
+  linear: "Linear trend",
+  polynomial: "Polynomial trend",
+  exponential: "Exponential trend",
+  loess: "LOESS trend",
+};
+
+// Marks that can have a trendline, moving average and forecast drawn over them
+export const OVERLAY_MARKS = ["line", "scatter"];
+
+export const AXIS_SCALES = {
+  linear: "Linear",
+  log: "Log",
+};
+
+export const DEFAULT_AXIS = { scale: "linear", min: "", max: "" };
+
+// Scale and bounds are those of the series' own axis; shared axes have their own settings
+export const DEFAULT_STYLE = {
+  color: null,
+  name: "",
+  curve: "monotone",
+  dash: "solid",
+  marker: "none",
+  strokeWidth: 2,
+  fillOpacity: null,
+  mark: "line",
+  stack: "",
+  axis: "own",
+  ...DEFAULT_AXIS,
+  trend: "none",
+  trendDegree: 2,
+  movingAverage: 0,
+  forecast: 0,
+  forecastSeason: 0,
+};
+
+// Colour of the series at `index` among the plotted ones; past the end of the palette the colours
+// repeat
+export const paletteColor = (palette, index) => {
+  const { colors } = PALETTES[palette] || PALETTES.classic;
+  return colors[index % colors.length];
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isChoice = (options) => (value) => typeof value === "string" && hasOwn(options, value);
+const isCount = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+const isBound = (value) => typeof value === "string" || (typeof value === "number" && isFinite(value));
+
+// Values each style field can hold
+const STYLE_CHECKS = {
+  color: (value) => value === null || /^#[0-9a-f]{6}$/i.test(value),
+  name: (value) => typeof value === "string",
+  curve: isChoice(CURVE_TYPES),
+  dash: isChoice(DASH_PATTERNS),
+  marker: isChoice(MARKERS),
+  strokeWidth: (value) => typeof value === "number" && value > 0 && isFinite(value),
+  fillOpacity: (value) => value === null || (typeof value === "number" && value >= 0 && value <= 1),
+  mark: isChoice(MARK_TYPES),
+  stack: isChoice(STACK_GROUPS),
+  axis: isChoice(AXIS_ASSIGNMENTS),
+  scale: isChoice(AXIS_SCALES),
+  min: isBound,
+  max: isBound,
+  trend: isChoice(TREND_TYPES),
+  trendDegree: isCount(MIN_POLYNOMIAL_DEGREE, MAX_POLYNOMIAL_DEGREE),
+  movingAverage: isCount(0, Number.MAX_SAFE_INTEGER),
+  forecast: isCount(0, MAX_FORECAST_STEPS),
+  forecastSeason: isCount(0, Number.MAX_SAFE_INTEGER),
+};
+
+// The fields of `defaults` that `saved` holds a valid value for. Styles come from saved and
+// shared views too, so anything else is dropped and the default applies.
+const validFields = (saved, defaults) => {
+  const fields = {};
+  if (saved === null || typeof saved !== "object") return fields;
+  Object.keys(defaults).forEach(key => {
+    if (hasOwn(saved, key) && STYLE_CHECKS[key](saved[key])) fields[key] = saved[key];
+  });
+  return fields;
+};
+
+export const validStyle = (style) => validFields(style, DEFAULT_STYLE);
+
+export const validAxis = (axis) => validFields(axis, DEFAULT_AXIS);
+
+export const resolveStyle = (style) => ({ ...DEFAULT_STYLE, ...validStyle(style) });
+
+export const resolveAxis = (axis) => ({ ...DEFAULT_AXIS, ...validAxis(axis) });
+
+// Manual axis bound as typed, or null for automatic
+export const parseAxisBound = (raw) => {
+  if (raw == null || String(raw).trim() === "") return null;
+  const value = parseNumber(raw);
+  return isFinite(value) ? value : null;
+};
+
+// Mark a series is drawn with: its own choice in the composed chart, else the chart's type
+export const markFor = (col, styles, chartType) => (
+  chartType === "composed" ? resolveStyle(styles[col]).mark : chartType
+);
+
+// Whether a series has a trendline, moving average or forecast turned on
+export const hasOverlays = (style) => (
+  (style.trend !== "none" && Boolean(TREND_TYPES[style.trend])) || style.movingAverage > 1 || style.forecast > 0
+);
+
+// Stack group of a series, or null when it isn't stacked; only bars and areas stack
+export const stackGroupFor = (col, styles, chartType) => {
+  const mark = markFor(col, styles, chartType);
+  const { stack } = resolveStyle(styles[col]);
+  return stack && (mark === "bar" || mark === "area") ? `${mark}-${stack}` : null;
+};
+
+// Y axes for the plotted series: one per series on its own axis, then the shared left and right
+// ones that have series. Each lists its series and carries its scale settings. Recharts only stacks
+// series on the same axis, so a stacked series goes on the axis of the first one in its group.
+export const buildAxes = (series, styles, sharedAxes, chartType) => {
+  const axes = [];
+  const shared = {};
+  const stackAxes = {};
+  series.forEach(col => {
+    const style = resolveStyle(styles[col]);
+    const stack = stackGroupFor(col, styles, chartType);
+    if (stack && stackAxes[stack]) {
+      stackAxes[stack].columns.push(col);
+      return;
+    }
+    if (style.axis === "left" || style.axis === "right") {
+      if (!shared[style.axis]) {
+        shared[style.axis] = {
+          id: `axis-${style.axis}`,
+          orientation: style.axis,
+          columns: [],
+          ...resolveAxis(sharedAxes[style.axis]),
+        };
+      }
+      shared[style.axis].columns.push(col);
+      if (stack) stackAxes[stack] = shared[style.axis];
+    } else {
+      const axis = {
+        id: col,
+        orientation: axes.length % 2 === 0 ? "left" : "right",
+        columns: [col],
+        scale: style.scale,
+        min: style.min,
+        max: style.max,
+      };
+      axes.push(axis);
+      if (stack) stackAxes[stack] = axis;
+    }
+  });
+  return [...axes, ...["left", "right"].filter(side => shared[side]).map(side => shared[side])];
+};
+
+// Object with its keys passed through `rename`, dropping the ones it returns null for
+export const renameKeys = (object, rename) => {
+  const result = {};
+  Object.entries(object).forEach(([key, value]) => {
+    const name = rename(key);
+    if (name) result[name] = value;
+  });
+  return result;
+};
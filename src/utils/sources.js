@@ -0,0 +1,47 @@
+// Non-file data sources (pasted text, URLs) wrapped as File objects so they go through the
+// same detection, preview and parsing pipeline as uploads
+
+// Query parameter holding a URL to load on startup, e.g. ?src=https://example.com/data.csv
+export const SOURCE_PARAM = "src";
+
+export const getSourceParam = (search = window.location.search) =>
+  new URLSearchParams(search).get(SOURCE_PARAM);
+
+// Pasted spreadsheet cells arrive as tab-separated text; the extension lets delimiter detection pick tabs
+export const fileFromText = (text, name = "Pasted data.txt") =>
+  new File([text], name, { type: "text/plain" });
+
+// Text worth importing: more than one line, or a single line with a delimiter in it
+export const looksTabular = (text) => /\S/.test(text) && /[\n\t,;|]/.test(text.trim());
+
+// File name from the last path segment of a URL, used for format detection and display
+const fileNameFromUrl = (url) => {
+  const segment = url.pathname.split("/").filter(Boolean).pop();
+  return segment ? decodeURIComponent(segment) : url.hostname;
+};
+
+// Download a URL as a File. Errors carry a message fit for showing to the user.
+export const fetchDataFile = async (address) => {
+  let url;
+  try {
+    url = new URL(address, window.location.href);
+  } catch (err) {
+    throw new Error(`"${address}" is not a valid URL`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Only http and https URLs can be loaded, not ${url.protocol}`);
+  }
+
+  let response;
+  try {
+    response = await fetch(url.href);
+  } catch (err) {
+    // Network failures and CORS rejections look the same from here
+    throw new Error(`Could not reach ${url.href}. The server may be down or may not allow cross-origin requests.`);
+  }
+  if (!response.ok) {
+    throw new Error(`${url.href} returned HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ""}`);
+  }
+  const blob = await response.blob();
+  return new File([blob], fileNameFromUrl(url), { type: blob.type });
+};
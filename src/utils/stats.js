@@ -0,0 +1,185 @@
+import { isNumericType, isDateType, isNullToken, parseNumber } from "./schema";
+import { exportValue } from "./dataExport";
+
+// Per-column summary statistics and data-quality checks. Numbers and dates get the numeric summary
+// and a histogram; booleans, categories and text get counts of their most common values.
+
+const HISTOGRAM_BINS = 20;
+const TOP_VALUES = 8;
+const EXAMPLE_COUNT = 3;
+
+// Values this many interquartile ranges beyond the quartiles count as outliers. Wider than the
+// usual 1.5 so large, well-behaved files aren't flagged for their ordinary tails.
+const OUTLIER_IQR_FACTOR = 3;
+
+// Text columns with at least this share of numbers are flagged as mixed
+const MIXED_TYPE_SHARE = 0.1;
+
+const plural = (n, word) => `${n.toLocaleString()} ${n === 1 ? word : `${word}s`}`;
+
+// Linear interpolation between the closest ranks, as spreadsheets compute quantiles
+export const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const histogram = (sorted, min, max) => {
+  const bins = new Array(HISTOGRAM_BINS).fill(0);
+  const width = (max - min) / HISTOGRAM_BINS;
+  sorted.forEach(value => {
+    bins[width > 0 ? Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / width)) : 0]++;
+  });
+  return bins;
+};
+
+// Summary of the finite values of a number or date column, in row order
+const numericSummary = (values, type) => {
+  const finite = [];
+  let backward = 0;
+  let forward = 0;
+  let previous = null;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (!Number.isFinite(value)) continue;
+    finite.push(value);
+    if (previous != null) {
+      if (value < previous) backward++;
+      else if (value > previous) forward++;
+    }
+    previous = value;
+  }
+  const sorted = Float64Array.from(finite).sort();
+  const n = sorted.length;
+  if (!n) return { count: 0, distinct: 0, issues: [] };
+
+  let sum = 0;
+  let distinct = 1;
+  for (let i = 0; i < n; i++) {
+    sum += sorted[i];
+    if (i > 0 && sorted[i] !== sorted[i - 1]) distinct++;
+  }
+  const mean = sum / n;
+  let squares = 0;
+  for (let i = 0; i < n; i++) squares += (sorted[i] - mean) ** 2;
+
+  const min = sorted[0];
+  const max = sorted[n - 1];
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const issues = [];
+  if (isNumericType(type)) {
+    const iqr = q3 - q1;
+    const low = q1 - OUTLIER_IQR_FACTOR * iqr;
+    const high = q3 + OUTLIER_IQR_FACTOR * iqr;
+    let outliers = 0;
+    for (let i = 0; i < n; i++) {
+      if (sorted[i] < low || sorted[i] > high) outliers++;
+    }
+    if (outliers) {
+      issues.push({ kind: "outliers", text: `${plural(outliers, "outlier")} more than ${OUTLIER_IQR_FACTOR} interquartile ranges beyond the quartiles` });
+    }
+  }
+  // Dates that only ever go up, or only ever down, are in order
+  if (isDateType(type) && backward && forward) {
+    issues.push({ kind: "order", text: `Timestamps go backwards ${plural(backward, "time")}` });
+  }
+  return {
+    count: n,
+    distinct,
+    min,
+    max,
+    mean,
+    median: quantile(sorted, 0.5),
+    std: n > 1 ? Math.sqrt(squares / (n - 1)) : 0,
+    q1,
+    q3,
+    histogram: histogram(sorted, min, max),
+    issues,
+  };
+};
+
+// Counts of each value of a boolean, category or text column
+const categorySummary = (values, type) => {
+  const counts = new Map();
+  let count = 0;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value == null || (typeof value === "number" && isNaN(value))) continue;
+    const key = String(exportValue(value, type));
+    counts.set(key, (counts.get(key) || 0) + 1);
+    count++;
+  }
+  const topValues = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUES)
+    .map(([value, n]) => ({ value, count: n }));
+
+  const issues = [];
+  if (type === "category" || type === "text") {
+    let numbers = 0;
+    counts.forEach((n, value) => {
+      if (!isNaN(parseNumber(value))) numbers += n;
+    });
+    if (numbers >= count * MIXED_TYPE_SHARE && numbers < count) {
+      issues.push({ kind: "mixed", text: `Mixed types: ${Math.round((numbers / count) * 100)}% of values are numbers, the rest text` });
+    }
+  }
+  return { count, distinct: counts.size, topValues, issues };
+};
+
+// Values that were in the file but couldn't be read as the column's type, and so are missing
+const invalidValues = (values, rawValues) => {
+  let missing = 0;
+  let invalid = 0;
+  const examples = new Set();
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value != null && !(typeof value === "number" && isNaN(value))) continue;
+    const raw = rawValues ? rawValues[i] : null;
+    if (isNullToken(raw)) {
+      missing++;
+    } else {
+      invalid++;
+      if (examples.size < EXAMPLE_COUNT) examples.add(String(raw).trim());
+    }
+  }
+  return { missing, invalid, examples: [...examples] };
+};
+
+// Number of rows whose value already appeared in an earlier row
+const countRepeats = (values) => {
+  const seen = new Set();
+  let repeats = 0;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value == null || (typeof value === "number" && isNaN(value))) continue;
+    if (seen.has(value)) repeats++;
+    else seen.add(value);
+  }
+  return repeats;
+};
+
+// Statistics and issues for every column of a table. Repeated values are only an issue in the X
+// column, when there is one.
+export const columnStatistics = (table, xColumn = null) => table.headers.map(col => {
+  const { type } = table.schema[col];
+  const values = table.columns[col];
+  const isNumeric = isNumericType(type) || isDateType(type);
+  const summary = isNumeric ? numericSummary(values, type) : categorySummary(values, type);
+  const { missing, invalid, examples } = invalidValues(values, table.rawColumns && table.rawColumns[col]);
+
+  const issues = [];
+  if (invalid) {
+    const quoted = examples.map(example => `"${example}"`).join(", ");
+    issues.push({ kind: "invalid", text: `${plural(invalid, "value")} could not be read as ${type} and ${invalid === 1 ? "is" : "are"} treated as missing, e.g. ${quoted}` });
+  }
+  if (col === xColumn) {
+    const repeats = countRepeats(values);
+    if (repeats) issues.push({ kind: "duplicates", text: plural(repeats, "repeated X value") });
+  }
+  issues.push(...summary.issues);
+
+  return { column: col, type, ...summary, missing, invalid, issues };
+});
@@ -0,0 +1,219 @@
+import { isNumericType, isDateType, hasTimeZone } from "./schema";
+import { aggregateTable, aggregatesForType, defaultAggregate } from "./aggregate";
+import { takeRows } from "./columns";
+import { sortedValues } from "./distribution";
+import { quantile } from "./stats";
+
+// Time-series tools for charts against a date X column: resampling to a fixed interval, filling
+// missing values, finding gaps in the timeline, and showing times in UTC rather than local time.
+
+export const RESAMPLE_INTERVALS = {
+  none: "Off",
+  second: "Second",
+  minute: "Minute",
+  hour: "Hour",
+  day: "Day",
+};
+
+export const FILL_METHODS = {
+  none: "Leave missing",
+  zero: "Zero",
+  forward: "Carry forward",
+  linear: "Interpolate linearly",
+};
+
+export const TIME_ZONES = {
+  local: "Local time",
+  utc: "UTC",
+};
+
+export const MIN_GAP_FACTOR = 1.5;
+export const MAX_GAP_FACTOR = 1000;
+
+// Most rows a resampled table may have, so a short interval over a long timeline can't build
+// millions of empty rows
+export const MAX_RESAMPLED_ROWS = 100000;
+
+const INTERVAL_MS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000 };
+
+// Start of the interval after the one starting at `time`. Days step by the calendar so they stay
+// on midnight across daylight saving changes.
+const nextBucket = (time, interval) => {
+  if (interval !== "day") return time + INTERVAL_MS[interval];
+  const date = new Date(time);
+  date.setDate(date.getDate() + 1);
+  return date.getTime();
+};
+
+// Timestamps of a date column that name a UTC offset, and those that don't
+export const countTimeZones = (table, col) => {
+  const raw = table.rawColumns && table.rawColumns[col];
+  const counts = { zoned: 0, naive: 0 };
+  if (!raw || !table.schema[col]) return counts;
+  const values = table.columns[col];
+  const { format } = table.schema[col];
+  for (let i = 0; i < values.length; i++) {
+    if (!Number.isFinite(values[i])) continue;
+    if (hasTimeZone(raw[i], format)) counts.zoned++;
+    else counts.naive++;
+  }
+  return counts;
+};
+
+// Local time whose wall clock reads what `time`'s does in UTC
+const utcWallClock = (time) => {
+  const date = new Date(time);
+  return new Date(
+    date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+  ).getTime();
+};
+
+// The table with its dates shown in UTC. Charts draw dates in local time, so timestamps that name
+// an offset move to the local time reading as their UTC time, and those without one are taken to
+// be UTC already and stay as they are. Computed dates have no text to tell and stay too.
+export const showInUtc = (table) => {
+  const columns = { ...table.columns };
+  table.headers.forEach(col => {
+    const { type, format } = table.schema[col];
+    const raw = table.rawColumns && table.rawColumns[col];
+    if (!isDateType(type) || !raw) return;
+    const values = table.columns[col];
+    const shifted = new Float64Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      shifted[i] = Number.isFinite(values[i]) && hasTimeZone(raw[i], format) ? utcWallClock(values[i]) : values[i];
+    }
+    columns[col] = shifted;
+  });
+  return { ...table, columns };
+};
+
+// One row per `interval` from the first X value's to the last's, with every other column reduced
+// by `aggregate`, or by its type's default where that doesn't apply. Intervals without rows get
+// missing values, and counts of zero.
+export const resampleTable = (table, xColumn, interval, aggregate) => {
+  const aggregates = {};
+  table.headers.forEach(col => {
+    const { type } = table.schema[col];
+    aggregates[col] = aggregatesForType(type).includes(aggregate) ? aggregate : defaultAggregate(type);
+  });
+  const grouped = aggregateTable(table, { groupBy: xColumn, bucket: interval, aggregates });
+  const keys = grouped.columns[xColumn];
+  if (!keys.length) return grouped;
+
+  const times = [];
+  for (let time = keys[0]; time <= keys[keys.length - 1]; time = nextBucket(time, interval)) {
+    if (times.length === MAX_RESAMPLED_ROWS) {
+      throw new Error(`Resampling per ${interval} would make more than ${MAX_RESAMPLED_ROWS.toLocaleString()} rows. Pick a longer interval or filter the rows.`);
+    }
+    times.push(time);
+  }
+  const keyPositions = new Map(Array.from(keys, (key, i) => [key, i]));
+  const positions = times.map(time => (keyPositions.has(time) ? keyPositions.get(time) : -1));
+
+  const columns = { [xColumn]: Float64Array.from(times) };
+  grouped.headers.forEach(col => {
+    if (col === xColumn) return;
+    const values = takeRows(grouped.columns[col], positions);
+    if (aggregates[col] === "count" || aggregates[col] === "distinct") {
+      positions.forEach((position, i) => { if (position < 0) values[i] = 0; });
+    }
+    columns[col] = values;
+  });
+  return { ...grouped, columns, rowCount: times.length };
+};
+
+// Missing values of the number columns filled in row order: with zero, with the last value before
+// them, or on a straight line by X between the values either side. Values missing before the first
+// one stay missing unless zeroed, as do those after the last one when interpolating.
+export const fillMissing = (table, xColumn, method) => {
+  const x = table.columns[xColumn];
+  const columns = { ...table.columns };
+  const schema = { ...table.schema };
+  table.headers.forEach(col => {
+    if (col === xColumn || !isNumericType(schema[col].type)) return;
+    const values = table.columns[col];
+    const filled = Float64Array.from(values);
+    let last = -1;
+    for (let i = 0; i < values.length; i++) {
+      if (!Number.isFinite(values[i])) {
+        if (method === "zero") filled[i] = 0;
+        else if (method === "forward" && last >= 0) filled[i] = values[last];
+        continue;
+      }
+      if (method === "linear" && last >= 0) {
+        const span = x[i] - x[last];
+        for (let j = last + 1; j < i; j++) {
+          // Rows whose X isn't between the two are spaced evenly instead
+          const byX = span > 0 ? (x[j] - x[last]) / span : NaN;
+          const share = byX >= 0 && byX <= 1 ? byX : (j - last) / (i - last);
+          filled[j] = values[last] + (values[i] - values[last]) * share;
+        }
+      }
+      last = i;
+    }
+    columns[col] = filled;
+    if (method === "linear" && schema[col].type === "integer") schema[col] = { ...schema[col], type: "number" };
+  });
+  return { ...table, columns, schema };
+};
+
+// Stretches of the timeline longer than `factor` times the median step between successive
+// distinct X values, as { start, end } pairs in time order
+export const findGaps = (xValues, factor) => {
+  const sorted = sortedValues(xValues, 0, xValues.length - 1);
+  const steps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] > sorted[i - 1]) steps.push(sorted[i] - sorted[i - 1]);
+  }
+  if (steps.length < 2) return [];
+  const limit = factor * quantile(Float64Array.from(steps).sort(), 0.5);
+  const gaps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] - sorted[i - 1] > limit) gaps.push({ start: sorted[i - 1], end: sorted[i] });
+  }
+  return gaps;
+};
+
+// The table with an empty row halfway across each gap between successive rows, so lines break there
+// instead of bridging it. Raw text moves with its rows, so the data table still lines up.
+const breakAtGaps = (table, xColumn, gaps) => {
+  const x = table.columns[xColumn];
+  const gapEnds = new Map(gaps.map(gap => [gap.start, gap.end]));
+  const positions = [];
+  for (let i = 0; i < table.rowCount; i++) {
+    positions.push(i);
+    if (i + 1 < table.rowCount && gapEnds.get(x[i]) === x[i + 1]) positions.push(-1);
+  }
+  if (positions.length === table.rowCount) return table;
+
+  const columns = {};
+  const rawColumns = table.rawColumns && {};
+  table.headers.forEach(col => {
+    columns[col] = takeRows(table.columns[col], positions);
+    if (rawColumns) rawColumns[col] = takeRows(table.rawColumns[col], positions);
+  });
+  positions.forEach((position, i) => {
+    if (position < 0) columns[xColumn][i] = (x[positions[i - 1]] + x[positions[i + 1]]) / 2;
+  });
+  return { ...table, columns, rawColumns, rowCount: positions.length };
+};
+
+// The time-series settings applied to a table plotted against the date column `xColumn`. Gaps are
+// found in the rows as they are, before resampling evens them out. Returns the table, the gaps
+// (empty unless shaded) and an error message when resampling couldn't be done.
+export const applyTimeSeries = (table, xColumn, { resample, aggregate, fill, showGaps, gapFactor }) => {
+  const gaps = showGaps ? findGaps(table.columns[xColumn], gapFactor) : [];
+  let result = table;
+  let error = null;
+  if (resample !== "none") {
+    try {
+      result = resampleTable(table, xColumn, resample, aggregate);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+  if (fill !== "none") result = fillMissing(result, xColumn, fill);
+  else if (result === table && gaps.length) result = breakAtGaps(table, xColumn, gaps);
+  return { table: result, gaps, error };
+};
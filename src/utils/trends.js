@@ -0,0 +1,330 @@
+// Trendlines, moving-average bands and forecasts of a series against a continuous X (numbers, row
+// positions, or dates as epoch ms). They are fitted to whichever rows they're given, so callers
+// pass the rows in view.
+
+export const MIN_POLYNOMIAL_DEGREE = 2;
+export const MAX_POLYNOMIAL_DEGREE = 5;
+export const MAX_FORECAST_STEPS = 500;
+
+// Points a fitted curve is drawn with, and most points drawn for a band
+const CURVE_POINTS = 100;
+const BAND_MAX_POINTS = 1000;
+
+// LOESS fits each point to this share of the data around it, working on at most this many points
+const LOESS_SPAN = 0.3;
+const LOESS_MAX_POINTS = 2000;
+
+// Forecasts are fitted to the most recent points only, which is also what they depend on most
+const FORECAST_MAX_POINTS = 2000;
+
+// Normal quantile of the 95% bands; moving-average bands are two standard deviations wide
+const Z_95 = 1.96;
+const BAND_DEVIATIONS = 2;
+
+// Smoothing parameters tried when fitting a forecast, keeping the ones with the least one-step error
+const ALPHAS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0.01, 0.05, 0.1, 0.2, 0.3];
+const GAMMAS = [0.05, 0.1, 0.3, 0.5];
+
+// Finite (x, y) points of rows `start` to `end`, sorted by X. Without X values, the row position
+// is X.
+export const seriesPoints = (xValues, yValues, start, end) => {
+  const points = [];
+  for (let i = Math.max(0, start); i <= end && i < yValues.length; i++) {
+    const x = xValues ? xValues[i] : i;
+    const y = yValues[i];
+    if (Number.isFinite(x) && Number.isFinite(y)) points.push({ x, y });
+  }
+  return points.sort((a, b) => a.x - b.x);
+};
+
+const formatNumber = (value) => String(Number(value.toPrecision(3)));
+
+// "+ 3x", "- 0.5x²" and so on, for the terms after the first
+const formatTerm = (coefficient, power, isFirst) => {
+  const variable = power === 0 ? "" : power === 1 ? "x" : `x${String(power).replace(/\d/g, d => "⁰¹²³⁴⁵⁶⁷⁸⁹"[d])}`;
+  const magnitude = formatNumber(Math.abs(coefficient));
+  const body = variable && magnitude === "1" ? variable : `${magnitude}${variable}`;
+  if (isFirst) return coefficient < 0 ? `-${body}` : body;
+  return coefficient < 0 ? ` - ${body}` : ` + ${body}`;
+};
+
+// Polynomial with coefficients from the highest power down, leaving out zero terms
+const formatPolynomial = (coefficients) => {
+  const terms = coefficients
+    .map((coefficient, power) => ({ coefficient, power }))
+    .reverse()
+    .filter(({ coefficient }) => Number(coefficient.toPrecision(3)) !== 0);
+  if (!terms.length) return "y = 0";
+  return `y = ${terms.map(({ coefficient, power }, i) => formatTerm(coefficient, power, i === 0)).join("")}`;
+};
+
+// Share of the variance of the points explained by `predict`, or null when the points are all equal
+const rSquared = (points, predict) => {
+  const mean = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  let residual = 0;
+  let total = 0;
+  points.forEach(p => {
+    residual += (p.y - predict(p.x)) ** 2;
+    total += (p.y - mean) ** 2;
+  });
+  return total > 0 ? 1 - residual / total : null;
+};
+
+// Solution of the square system `matrix` · x = `vector` by elimination with partial pivoting, or
+// null when it is singular
+const solve = (matrix, vector) => {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+};
+
+const binomial = (n, k) => {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+};
+
+// Least-squares polynomial of `degree` in t. It is fitted in t scaled to about -1..1 to keep the
+// equations well conditioned, then expanded back into powers of t for the equation.
+const fitPolynomial = (points, degree) => {
+  if (points.length <= degree) return null;
+  const ts = points.map(p => p.t);
+  const center = (ts[0] + ts[ts.length - 1]) / 2;
+  const scale = (ts[ts.length - 1] - ts[0]) / 2 || 1;
+  const size = degree + 1;
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+  const vector = new Array(size).fill(0);
+  points.forEach(p => {
+    const u = (p.t - center) / scale;
+    const powers = [1];
+    for (let k = 1; k <= 2 * degree; k++) powers.push(powers[k - 1] * u);
+    for (let i = 0; i < size; i++) {
+      vector[i] += powers[i] * p.y;
+      for (let j = 0; j < size; j++) matrix[i][j] += powers[i + j];
+    }
+  });
+  const scaled = solve(matrix, vector);
+  if (!scaled) return null;
+  // c·((t - center) / scale)^k expanded binomially
+  const coefficients = new Array(size).fill(0);
+  scaled.forEach((c, k) => {
+    for (let j = 0; j <= k; j++) {
+      coefficients[j] += (c * binomial(k, j) * (-center) ** (k - j)) / scale ** k;
+    }
+  });
+  return {
+    predictT: (t) => {
+      const u = (t - center) / scale;
+      return scaled.reduceRight((sum, c) => sum * u + c, 0);
+    },
+    equation: formatPolynomial(coefficients),
+  };
+};
+
+// y = a·e^(bt), fitted as a line to the logarithms of the positive values
+const fitExponential = (points) => {
+  const positive = points.filter(p => p.y > 0).map(p => ({ t: p.t, y: Math.log(p.y) }));
+  const line = fitPolynomial(positive, 1);
+  if (!line) return null;
+  const a = Math.exp(line.predictT(0));
+  const b = line.predictT(1) - line.predictT(0);
+  return {
+    predictT: (t) => Math.exp(line.predictT(t)),
+    equation: `y = ${formatNumber(a)}e^(${formatNumber(b)}x)`,
+  };
+};
+
+// Locally weighted linear regression with tricube weights, worked out at evenly spaced points and
+// interpolated between them
+const fitLoess = (points) => {
+  const step = Math.ceil(points.length / LOESS_MAX_POINTS);
+  const sample = points.filter((_, i) => i % step === 0);
+  const n = sample.length;
+  const k = Math.max(3, Math.ceil(LOESS_SPAN * n));
+  if (n < 3) return null;
+  const first = sample[0].t;
+  const last = sample[n - 1].t;
+
+  const smoothAt = (t) => {
+    // The k points nearest t, widening the window towards whichever side is closer
+    let lo = 0;
+    while (lo < n - 1 && sample[lo].t < t) lo++;
+    let hi = lo;
+    while (hi - lo + 1 < Math.min(k, n)) {
+      if (lo === 0) hi++;
+      else if (hi === n - 1) lo--;
+      else if (t - sample[lo - 1].t <= sample[hi + 1].t - t) lo--;
+      else hi++;
+    }
+    const reach = Math.max(t - sample[lo].t, sample[hi].t - t) * 1.0001 || 1;
+    let sw = 0;
+    let st = 0;
+    let sy = 0;
+    let stt = 0;
+    let sty = 0;
+    for (let i = lo; i <= hi; i++) {
+      const w = (1 - (Math.abs(sample[i].t - t) / reach) ** 3) ** 3;
+      sw += w;
+      st += w * sample[i].t;
+      sy += w * sample[i].y;
+      stt += w * sample[i].t * sample[i].t;
+      sty += w * sample[i].t * sample[i].y;
+    }
+    const meanT = st / sw;
+    const meanY = sy / sw;
+    const spread = stt / sw - meanT * meanT;
+    const slope = spread > 1e-12 * (meanT * meanT || 1) ? (sty / sw - meanT * meanY) / spread : 0;
+    return meanY + slope * (t - meanT);
+  };
+
+  const grid = Array.from({ length: CURVE_POINTS }, (_, i) => first + ((last - first) * i) / (CURVE_POINTS - 1));
+  const smoothed = grid.map(smoothAt);
+  return {
+    predictT: (t) => {
+      if (last === first) return smoothed[0];
+      const position = Math.min(CURVE_POINTS - 1, Math.max(0, ((t - first) / (last - first)) * (CURVE_POINTS - 1)));
+      const i = Math.min(CURVE_POINTS - 2, Math.floor(position));
+      return smoothed[i] + (smoothed[i + 1] - smoothed[i]) * (position - i);
+    },
+    equation: null,
+  };
+};
+
+// Trendline through sorted points: `predict` at any X, the equation (none for LOESS) and R².
+// Fits are in t = (x - origin) / unit, which is also the x of the equation, so date axes can have
+// equations in days. Null when there are too few points for the fit.
+export const fitTrend = (points, type, { degree = MIN_POLYNOMIAL_DEGREE, origin = 0, unit = 1 } = {}) => {
+  const scaled = points.map(p => ({ t: (p.x - origin) / unit, y: p.y }));
+  let fit = null;
+  if (type === "linear") fit = fitPolynomial(scaled, 1);
+  else if (type === "polynomial") fit = fitPolynomial(scaled, Math.min(MAX_POLYNOMIAL_DEGREE, Math.max(MIN_POLYNOMIAL_DEGREE, degree)));
+  else if (type === "exponential") fit = fitExponential(scaled);
+  else if (type === "loess") fit = fitLoess(scaled);
+  if (!fit) return null;
+  const predict = (x) => fit.predictT((x - origin) / unit);
+  return { predict, equation: fit.equation, r2: rSquared(points, predict) };
+};
+
+// Points to draw a fitted curve with across the X range of the points it was fitted to
+export const curvePoints = (points, predict) => {
+  const first = points[0].x;
+  const last = points[points.length - 1].x;
+  const count = last > first ? CURVE_POINTS : 1;
+  return Array.from({ length: count }, (_, i) => {
+    const x = count > 1 ? first + ((last - first) * i) / (count - 1) : first;
+    return { x, y: predict(x) };
+  }).filter(p => Number.isFinite(p.y));
+};
+
+// Trailing mean of the last `window` points at each point, with a band of two standard deviations
+// of those points either side. Long series are thinned, always keeping the last point.
+export const movingAverageBand = (points, window) => {
+  if (window < 2 || points.length < window) return [];
+  const band = [];
+  let sum = 0;
+  let squares = 0;
+  points.forEach((p, i) => {
+    sum += p.y;
+    squares += p.y * p.y;
+    if (i >= window) {
+      sum -= points[i - window].y;
+      squares -= points[i - window].y ** 2;
+    }
+    if (i < window - 1) return;
+    const mean = sum / window;
+    const deviation = Math.sqrt(Math.max(0, squares / window - mean * mean));
+    band.push({ x: p.x, y: mean, low: mean - BAND_DEVIATIONS * deviation, high: mean + BAND_DEVIATIONS * deviation });
+  });
+  const step = Math.ceil(band.length / BAND_MAX_POINTS);
+  return band.filter((_, i) => i % step === 0 || i === band.length - 1);
+};
+
+// One pass of additive Holt–Winters smoothing over `ys` with seasons of length `season` (1 for
+// none, which is Holt's linear trend), returning the final state and the sum of squared one-step
+// errors
+const smooth = (ys, season, alpha, beta, gamma) => {
+  let level;
+  let trend;
+  let seasonal;
+  let start;
+  if (season > 1) {
+    const mean = (from) => ys.slice(from, from + season).reduce((sum, y) => sum + y, 0) / season;
+    level = mean(0);
+    trend = (mean(season) - level) / season;
+    seasonal = ys.slice(0, season).map(y => y - level);
+    start = season;
+  } else {
+    level = ys[0];
+    trend = ys[1] - ys[0];
+    seasonal = [0];
+    start = 1;
+  }
+  let sse = 0;
+  for (let t = start; t < ys.length; t++) {
+    const s = t % season;
+    const error = ys[t] - (level + trend + seasonal[s]);
+    sse += error * error;
+    const nextLevel = alpha * (ys[t] - seasonal[s]) + (1 - alpha) * (level + trend);
+    trend = beta * (nextLevel - level) + (1 - beta) * trend;
+    seasonal[s] = gamma * (ys[t] - nextLevel) + (1 - gamma) * seasonal[s];
+    level = nextLevel;
+  }
+  return { level, trend, seasonal, sse, errors: ys.length - start };
+};
+
+// Forecast of `steps` points past the last one by additive Holt–Winters smoothing, with seasons of
+// `season` points (0 or 1 for none). The points are taken to be evenly spaced in X, by the median
+// spacing. Each forecast point has a 95% band, and the first point is the last actual one so the
+// forecast joins the series. Null when there are too few points.
+export const forecastSeries = (points, steps, season = 0) => {
+  const m = season > 1 ? Math.round(season) : 1;
+  const recent = points.slice(-FORECAST_MAX_POINTS);
+  const n = recent.length;
+  if (steps < 1 || n < Math.max(4, 2 * m + 1)) return null;
+  const gaps = recent.slice(1).map((p, i) => p.x - recent[i].x).filter(gap => gap > 0).sort((a, b) => a - b);
+  if (!gaps.length) return null;
+  const spacing = gaps[Math.floor(gaps.length / 2)];
+  const ys = recent.map(p => p.y);
+
+  let best = null;
+  ALPHAS.forEach(alpha => BETAS.forEach(beta => (m > 1 ? GAMMAS : [0]).forEach(gamma => {
+    const state = smooth(ys, m, alpha, beta, gamma);
+    if (!best || state.sse < best.sse) best = { ...state, alpha, beta, gamma };
+  })));
+
+  // Variance of the h-step error grows by c_j² for each earlier step j, per Hyndman et al.
+  const variance = best.sse / Math.max(1, best.errors);
+  const last = recent[n - 1];
+  const forecast = [{ x: last.x, y: last.y, low: last.y, high: last.y }];
+  let factor = 1;
+  for (let h = 1; h <= Math.min(steps, MAX_FORECAST_STEPS); h++) {
+    if (h > 1) {
+      const j = h - 1;
+      const c = best.alpha * (1 + j * best.beta) + (m > 1 && j % m === 0 ? best.gamma : 0);
+      factor += c * c;
+    }
+    const y = best.level + h * best.trend + best.seasonal[(n - 1 + h) % m];
+    const margin = Z_95 * Math.sqrt(variance * factor);
+    forecast.push({ x: last.x + h * spacing, y, low: y - margin, high: y + margin });
+  }
+  return forecast;
+};
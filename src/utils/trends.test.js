@@ -0,0 +1,84 @@
+import { seriesPoints, fitTrend, curvePoints, movingAverageBand, forecastSeries } from "./trends";
+
+const line = Array.from({ length: 20 }, (_, x) => ({ x, y: 3 * x + 2 }));
+
+describe("seriesPoints", () => {
+  test("keeps finite pairs in the range, sorted by X", () => {
+    const x = [5, 1, NaN, 3, 2];
+    const y = [50, 10, 30, NaN, 20];
+    expect(seriesPoints(x, y, 0, 4)).toEqual([{ x: 1, y: 10 }, { x: 2, y: 20 }, { x: 5, y: 50 }]);
+    expect(seriesPoints(null, y, 1, 2)).toEqual([{ x: 1, y: 10 }, { x: 2, y: 30 }]);
+  });
+});
+
+describe("fitTrend", () => {
+  test("fits a straight line exactly", () => {
+    const trend = fitTrend(line, "linear");
+    expect(trend.predict(100)).toBeCloseTo(302);
+    expect(trend.r2).toBeCloseTo(1);
+    expect(trend.equation).toBe("y = 3x + 2");
+  });
+
+  test("fits polynomials of the given degree, within the allowed degrees", () => {
+    const parabola = line.map(({ x }) => ({ x, y: x * x - 4 }));
+    const trend = fitTrend(parabola, "polynomial", { degree: 9 });
+    expect(trend.predict(30)).toBeCloseTo(896);
+    expect(trend.r2).toBeCloseTo(1);
+  });
+
+  test("fits exponentials to positive values", () => {
+    const growth = line.map(({ x }) => ({ x, y: 2 * Math.exp(0.1 * x) }));
+    expect(fitTrend(growth, "exponential").predict(25)).toBeCloseTo(2 * Math.exp(2.5));
+  });
+
+  test("reads equations in units from the origin", () => {
+    const day = 24 * 60 * 60 * 1000;
+    const start = Date.UTC(2024, 0, 1);
+    const daily = line.map(({ x, y }) => ({ x: start + x * day, y }));
+    const trend = fitTrend(daily, "linear", { origin: start, unit: day });
+    expect(trend.equation).toBe("y = 3x + 2");
+    expect(trend.predict(start + 10 * day)).toBeCloseTo(32);
+  });
+
+  test("gives up on too few points", () => {
+    expect(fitTrend([{ x: 0, y: 1 }], "linear")).toBeNull();
+  });
+});
+
+describe("curvePoints", () => {
+  test("spans the X range of the points", () => {
+    const curve = curvePoints(line, (x) => x);
+    expect(curve[0]).toEqual({ x: 0, y: 0 });
+    expect(curve[curve.length - 1]).toEqual({ x: 19, y: 19 });
+  });
+});
+
+describe("movingAverageBand", () => {
+  test("averages the trailing window with a band around it", () => {
+    const points = [1, 3, 5, 7].map((y, x) => ({ x, y }));
+    const band = movingAverageBand(points, 2);
+    expect(band.map(p => p.y)).toEqual([2, 4, 6]);
+    expect(band[0].low).toBeCloseTo(0);
+    expect(band[0].high).toBeCloseTo(4);
+  });
+
+  test("is empty when the window doesn't fit", () => {
+    expect(movingAverageBand(line.slice(0, 3), 5)).toEqual([]);
+  });
+});
+
+describe("forecastSeries", () => {
+  test("carries a trend on from the last point", () => {
+    const forecast = forecastSeries(line, 5);
+    expect(forecast).toHaveLength(6);
+    expect(forecast[0]).toEqual({ x: 19, y: 59, low: 59, high: 59 });
+    expect(forecast[5].x).toBe(24);
+    expect(forecast[5].y).toBeCloseTo(74, 0);
+    expect(forecast[5].low).toBeLessThanOrEqual(forecast[5].y);
+  });
+
+  test("needs enough points for its seasons", () => {
+    expect(forecastSeries(line.slice(0, 3), 5)).toBeNull();
+    expect(forecastSeries(line, 5, 12)).toBeNull();
+  });
+});
@@ -0,0 +1,303 @@
+import { EMPTY_FILTER, FILTER_OPERATORS } from "./filters";
+import { SOURCE_PARAM } from "./sources";
+import { DEFAULT_VIEW, ROW_INDEX_KEY, CHART_TYPES, X_AXIS_STRATEGIES, MAX_SPAN } from "./views";
+import { ALIGN_MODES } from "./datasets";
+import { BIN_RULES, MAX_BINS } from "./distribution";
+import { ANNOTATION_TYPES, DEFAULT_ANNOTATION_COLOR } from "./annotations";
+import { AGGREGATES, DATE_BUCKETS } from "./aggregate";
+import { PALETTES, STACK_OFFSETS, validStyle, validAxis } from "./seriesStyle";
+import { DOWNSAMPLE_METHODS } from "./downsample";
+import { RESAMPLE_INTERVALS, FILL_METHODS, TIME_ZONES, MIN_GAP_FACTOR, MAX_GAP_FACTOR } from "./timeSeries";
+import { LOCALES, NUMBER_STYLES, MAX_DECIMALS, DEFAULT_COLUMN_FORMAT } from "./format";
+
+// View specs: the whole plot configuration as plain JSON, so it can be kept as a named preset,
+// downloaded, or shared in a link. Columns are referred to by their combined names, so a spec
+// applies to any data with the same headers.
+
+export const SPEC_VERSION = 1;
+
+// Hash parameter holding an encoded spec, e.g. #view=eyJ2ZXJzaW9uIjox...
+export const SPEC_HASH_PARAM = "view";
+
+const PRESETS_KEY = "csv-plotter:view-presets";
+
+const LAYOUTS = ["single", "dashboard"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// True when `value` is one of the keys of `options`, and not something they inherit
+const isOption = (options, value) => typeof value === "string" && Object.prototype.hasOwnProperty.call(options, value);
+
+// `value` when it is one of the options, else `fallback`
+const readOption = (options, value, fallback) => (isOption(options, value) ? value : fallback);
+
+// Spec for the current state. View ids are left out; restoring gives the views new ones.
+export const createViewSpec = ({
+  views, activeViewId, layout, dashboardColumns, syncZoom, syncHover, alignMode, joinColumn, computedColumns, darkMode,
+  locale,
+}) => ({
+  version: SPEC_VERSION,
+  layout,
+  dashboardColumns,
+  syncZoom,
+  syncHover,
+  activeView: Math.max(0, views.findIndex(view => view.id === activeViewId)),
+  alignMode,
+  joinColumn,
+  computedColumns: computedColumns.map(({ id, name, formula }) => ({ id, name, formula })),
+  darkMode,
+  locale,
+  views: views.map(({ id, ...view }) => view),
+});
+
+const asText = (value) => (typeof value === "string" || typeof value === "number" ? String(value) : "");
+
+// Annotations of a saved view with a known type, their values as text and fresh ids
+const readAnnotations = (saved) => (Array.isArray(saved) ? saved : [])
+  .filter(annotation => isObject(annotation) && isOption(ANNOTATION_TYPES, annotation.type))
+  .map((annotation, i) => ({
+    id: i + 1,
+    type: annotation.type,
+    x: asText(annotation.x),
+    x2: asText(annotation.x2),
+    y: asText(annotation.y),
+    y2: asText(annotation.y2),
+    column: typeof annotation.column === "string" ? annotation.column : null,
+    label: asText(annotation.label),
+    color: /^#[0-9a-f]{6}$/i.test(annotation.color) ? annotation.color : DEFAULT_ANNOTATION_COLOR,
+  }));
+
+// Time-series settings of a saved view, with defaults for any that are unknown
+const readTimeSeries = (saved) => {
+  const defaults = DEFAULT_VIEW.timeSeries;
+  const timeSeries = isObject(saved) ? saved : {};
+  const { gapFactor } = timeSeries;
+  return {
+    resample: readOption(RESAMPLE_INTERVALS, timeSeries.resample, defaults.resample),
+    aggregate: readOption(AGGREGATES, timeSeries.aggregate, defaults.aggregate),
+    fill: readOption(FILL_METHODS, timeSeries.fill, defaults.fill),
+    showGaps: timeSeries.showGaps === true,
+    gapFactor: typeof gapFactor === "number" && gapFactor >= MIN_GAP_FACTOR && gapFactor <= MAX_GAP_FACTOR
+      ? gapFactor
+      : defaults.gapFactor,
+    timeZone: readOption(TIME_ZONES, timeSeries.timeZone, defaults.timeZone),
+  };
+};
+
+// Column formats of a saved view, each field checked on its own
+const readColumnFormats = (saved) => Object.fromEntries(Object.entries(isObject(saved) ? saved : {})
+  .filter(([, format]) => isObject(format))
+  .map(([col, format]) => [col, {
+    style: readOption(NUMBER_STYLES, format.style, DEFAULT_COLUMN_FORMAT.style),
+    decimals: Number.isInteger(format.decimals) && format.decimals >= 0 && format.decimals <= MAX_DECIMALS
+      ? format.decimals
+      : DEFAULT_COLUMN_FORMAT.decimals,
+    currency: typeof format.currency === "string" ? format.currency : DEFAULT_COLUMN_FORMAT.currency,
+    unit: asText(format.unit),
+    datePattern: asText(format.datePattern),
+  }]));
+
+// Conditions of a saved row filter on a column with a known operator, their values as text and
+// fresh ids
+const readRowFilter = (saved) => {
+  const rowFilter = isObject(saved) ? saved : {};
+  const conditions = Array.isArray(rowFilter.conditions) ? rowFilter.conditions : [];
+  return {
+    combine: rowFilter.combine === "or" ? "or" : EMPTY_FILTER.combine,
+    conditions: conditions
+      .filter(condition => isObject(condition) && typeof condition.column === "string"
+        && isOption(FILTER_OPERATORS, condition.operator))
+      .map((condition, i) => ({
+        id: i + 1,
+        column: condition.column,
+        operator: condition.operator,
+        value: asText(condition.value),
+        value2: asText(condition.value2),
+      })),
+  };
+};
+
+// Group-by settings of a saved view, with known buckets and aggregates only
+const readAggregation = (saved) => {
+  const defaults = DEFAULT_VIEW.aggregation;
+  const aggregation = isObject(saved) ? saved : {};
+  const aggregates = isObject(aggregation.aggregates) ? aggregation.aggregates : {};
+  return {
+    enabled: aggregation.enabled === true,
+    groupBy: typeof aggregation.groupBy === "string" ? aggregation.groupBy : defaults.groupBy,
+    bucket: readOption(DATE_BUCKETS, aggregation.bucket, defaults.bucket),
+    aggregates: Object.fromEntries(Object.entries(aggregates).filter(([, name]) => isOption(AGGREGATES, name))),
+  };
+};
+
+// Style fields of each series, and of the shared axes, that hold a value they can take
+const readStyles = (saved, readStyle) => Object.fromEntries(Object.entries(isObject(saved) ? saved : {})
+  .map(([key, style]) => [key, readStyle(style)]));
+
+// A saved view checked field by field: values this version doesn't know, or of the wrong kind,
+// give way to the defaults, so a damaged link or file can't break the chart
+const readView = (saved) => {
+  if (!isObject(saved)) throw new Error("A view in the spec is not an object");
+  if (!Array.isArray(saved.selectedColumns)) throw new Error("A view in the spec has no list of columns");
+  const { histogramBins, span, zoom } = saved;
+  const isBinCount = Number.isInteger(histogramBins) && histogramBins >= 1 && histogramBins <= MAX_BINS;
+  return {
+    title: typeof saved.title === "string" ? saved.title : DEFAULT_VIEW.title,
+    chartType: readOption(CHART_TYPES, saved.chartType, DEFAULT_VIEW.chartType),
+    xColumn: typeof saved.xColumn === "string" ? saved.xColumn : ROW_INDEX_KEY,
+    selectedColumns: saved.selectedColumns.filter(col => typeof col === "string"),
+    rowFilter: readRowFilter(saved.rowFilter),
+    aggregation: readAggregation(saved.aggregation),
+    seriesStyles: readStyles(saved.seriesStyles, validStyle),
+    sharedAxes: readStyles(saved.sharedAxes, validAxis),
+    palette: readOption(PALETTES, saved.palette, DEFAULT_VIEW.palette),
+    stackOffset: readOption(STACK_OFFSETS, saved.stackOffset, DEFAULT_VIEW.stackOffset),
+    xAxisStrategy: readOption(X_AXIS_STRATEGIES, saved.xAxisStrategy, DEFAULT_VIEW.xAxisStrategy),
+    downsampleMethod: readOption(DOWNSAMPLE_METHODS, saved.downsampleMethod, DEFAULT_VIEW.downsampleMethod),
+    histogramBins: isBinCount || isOption(BIN_RULES, histogramBins) ? histogramBins : DEFAULT_VIEW.histogramBins,
+    boxGroupBy: typeof saved.boxGroupBy === "string" ? saved.boxGroupBy : null,
+    annotations: readAnnotations(saved.annotations),
+    timeSeries: readTimeSeries(saved.timeSeries),
+    columnFormats: readColumnFormats(saved.columnFormats),
+    span: Number.isInteger(span) && span >= 1 && span <= MAX_SPAN ? span : DEFAULT_VIEW.span,
+    zoom: isObject(zoom) && Number.isInteger(zoom.start) && Number.isInteger(zoom.end) && zoom.start < zoom.end
+      ? { start: zoom.start, end: zoom.end }
+      : null,
+  };
+};
+
+// Check parsed JSON and fill in what older specs lack. Errors carry a message fit for showing to
+// the user.
+export const readViewSpec = (json) => {
+  if (!isObject(json) || !Array.isArray(json.views)) {
+    throw new Error("This is not a CSV Plotter view: it has no list of views");
+  }
+  if (!Number.isInteger(json.version) || json.version > SPEC_VERSION) {
+    throw new Error("This view was saved by a newer version of CSV Plotter");
+  }
+  if (!json.views.length) throw new Error("The view has no charts");
+  const computedColumns = Array.isArray(json.computedColumns)
+    ? json.computedColumns.filter(c => isObject(c) && typeof c.name === "string" && typeof c.formula === "string")
+    : [];
+  return {
+    version: json.version,
+    layout: LAYOUTS.includes(json.layout) ? json.layout : "single",
+    dashboardColumns: Number.isInteger(json.dashboardColumns) ? Math.min(MAX_SPAN, Math.max(1, json.dashboardColumns)) : 2,
+    syncZoom: Boolean(json.syncZoom),
+    syncHover: Boolean(json.syncHover),
+    activeView: Number.isInteger(json.activeView) && json.views[json.activeView] ? json.activeView : 0,
+    alignMode: readOption(ALIGN_MODES, json.alignMode, "x"),
+    joinColumn: typeof json.joinColumn === "string" ? json.joinColumn : null,
+    computedColumns: computedColumns.map((c, i) => ({ id: Number.isInteger(c.id) ? c.id : i + 1, name: c.name, formula: c.formula })),
+    darkMode: Boolean(json.darkMode),
+    locale: readOption(LOCALES, json.locale, ""),
+    views: json.views.map(readView),
+  };
+};
+
+export const parseViewSpec = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The view file is not valid JSON: ${err.message}`);
+  }
+  return readViewSpec(json);
+};
+
+// Spec from a JSON file picked by the user
+export const readViewSpecFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+}).then(parseViewSpec);
+
+// Columns a view refers to, by combined name
+const viewColumns = (view) => [
+  ...(view.xColumn === ROW_INDEX_KEY ? [] : [view.xColumn]),
+  ...view.selectedColumns,
+  ...view.rowFilter.conditions.map(condition => condition.column),
+  ...(view.aggregation.groupBy ? [view.aggregation.groupBy] : []),
+  ...Object.keys(view.aggregation.aggregates),
+  ...Object.keys(view.seriesStyles),
+  ...Object.keys(view.columnFormats),
+  ...(view.boxGroupBy ? [view.boxGroupBy] : []),
+  ...view.annotations.map(annotation => annotation.column).filter(Boolean),
+];
+
+// The spec's views with every column missing from `headers` taken out, and the names of those
+// columns
+export const resolveSpecViews = (spec, headers) => {
+  const available = new Set(headers);
+  const missing = new Set();
+  spec.views.forEach(view => viewColumns(view).forEach(col => {
+    if (!available.has(col)) missing.add(col);
+  }));
+  const keep = (col) => available.has(col);
+  const keepKeys = (object) => Object.fromEntries(Object.entries(object).filter(([col]) => keep(col)));
+  const views = spec.views.map(view => ({
+    ...view,
+    xColumn: view.xColumn === ROW_INDEX_KEY || keep(view.xColumn) ? view.xColumn : ROW_INDEX_KEY,
+    selectedColumns: view.selectedColumns.filter(keep),
+    rowFilter: { ...view.rowFilter, conditions: view.rowFilter.conditions.filter(condition => keep(condition.column)) },
+    aggregation: {
+      ...view.aggregation,
+      groupBy: keep(view.aggregation.groupBy) ? view.aggregation.groupBy : null,
+      aggregates: keepKeys(view.aggregation.aggregates),
+    },
+    seriesStyles: keepKeys(view.seriesStyles),
+    columnFormats: keepKeys(view.columnFormats),
+    boxGroupBy: keep(view.boxGroupBy) ? view.boxGroupBy : null,
+    annotations: view.annotations.map(annotation => (
+      annotation.column && !keep(annotation.column) ? { ...annotation, column: null } : annotation
+    )),
+  }));
+  return { views, missing: [...missing] };
+};
+
+// Specs in links are base64url-encoded UTF-8 JSON
+export const encodeViewSpec = (spec) => (
+  btoa(unescape(encodeURIComponent(JSON.stringify(spec)))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+);
+
+export const decodeViewSpec = (encoded) => {
+  let text;
+  try {
+    text = decodeURIComponent(escape(atob(encoded.replace(/-/g, "+").replace(/_/g, "/"))));
+  } catch (err) {
+    throw new Error("The view in the link is damaged");
+  }
+  return parseViewSpec(text);
+};
+
+// Encoded spec from the page's hash, or null
+export const getSpecHashParam = (hash = window.location.hash) =>
+  new URLSearchParams(hash.replace(/^#/, "")).get(SPEC_HASH_PARAM);
+
+// Link to this page with the spec in its hash, and with the data URL when there is one
+export const viewSpecUrl = (spec, dataUrl = null) => {
+  const url = new URL(window.location.href);
+  if (dataUrl) url.searchParams.set(SOURCE_PARAM, dataUrl);
+  url.hash = `${SPEC_HASH_PARAM}=${encodeViewSpec(spec)}`;
+  return url.href;
+};
+
+// Named presets kept in localStorage. Storage can be unavailable (private windows, disabled
+// cookies), in which case there are none.
+export const loadPresets = () => {
+  try {
+    const presets = JSON.parse(window.localStorage.getItem(PRESETS_KEY));
+    return isObject(presets) ? presets : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+export const storePresets = (presets) => {
+  try {
+    window.localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch (err) {
+    throw new Error(`Could not save presets in this browser: ${err.message}`);
+  }
+};
@@ -0,0 +1,93 @@
+import { readViewSpec, parseViewSpec, encodeViewSpec, decodeViewSpec, resolveSpecViews, SPEC_VERSION } from "./viewSpec";
+import { DEFAULT_VIEW, ROW_INDEX_KEY } from "./views";
+
+const spec = (view, extra = {}) => ({ version: SPEC_VERSION, views: [{ selectedColumns: ["a"], ...view }], ...extra });
+
+describe("readViewSpec", () => {
+  test("refuses what isn't a spec", () => {
+    expect(() => readViewSpec([])).toThrow("it has no list of views");
+    expect(() => readViewSpec({ version: SPEC_VERSION + 1, views: [{}] })).toThrow("newer version");
+    expect(() => readViewSpec({ version: SPEC_VERSION, views: [] })).toThrow("no charts");
+    expect(() => readViewSpec(spec(undefined, { views: [{ chartType: "line" }] }))).toThrow("no list of columns");
+    expect(() => parseViewSpec("{")).toThrow("not valid JSON");
+  });
+
+  test("fills in what older specs lack", () => {
+    const { views: [view], layout, dashboardColumns, alignMode } = readViewSpec(spec({}));
+    expect(view).toEqual({ ...DEFAULT_VIEW, selectedColumns: ["a"], zoom: null });
+    expect(layout).toBe("single");
+    expect(dashboardColumns).toBe(2);
+    expect(alignMode).toBe("x");
+  });
+
+  test("keeps values it knows", () => {
+    const saved = {
+      title: "Sales",
+      chartType: "bar",
+      xColumn: "when",
+      palette: "okabeIto",
+      downsampleMethod: "minmax",
+      histogramBins: 12,
+      aggregation: { enabled: true, groupBy: "region", bucket: "week", aggregates: { sales: "median" } },
+      seriesStyles: { a: { color: "#ff0000", dash: "dashed" } },
+      span: 2,
+      zoom: { start: 5, end: 50 },
+    };
+    const { views: [view] } = readViewSpec(spec(saved));
+    expect(view).toMatchObject(saved);
+  });
+
+  test("drops values it doesn't know, field by field", () => {
+    const { views: [view], dashboardColumns, locale } = readViewSpec(spec({
+      chartType: "radar",
+      palette: "neon",
+      stackOffset: "wiggle",
+      xAxisStrategy: "toString",
+      downsampleMethod: "constructor",
+      histogramBins: 0,
+      span: 9,
+      aggregation: { enabled: "yes", groupBy: 3, bucket: "fortnight", aggregates: { a: "mode", b: "hasOwnProperty", c: "sum" } },
+      seriesStyles: { a: { dash: "wavy", curve: "__proto__", strokeWidth: -1, name: "A" } },
+      rowFilter: { combine: "xor", conditions: [{ column: "a", operator: "valueOf", value: 1 }, { column: "a", operator: "equals", value: 1 }] },
+      timeSeries: { resample: "fortnight", gapFactor: 1, showGaps: 1 },
+      columnFormats: { a: { style: "toString", decimals: 99 } },
+    }, { dashboardColumns: 12, locale: "constructor" }));
+    expect(view.chartType).toBe(DEFAULT_VIEW.chartType);
+    expect(view.palette).toBe(DEFAULT_VIEW.palette);
+    expect(view.stackOffset).toBe(DEFAULT_VIEW.stackOffset);
+    expect(view.xAxisStrategy).toBe(DEFAULT_VIEW.xAxisStrategy);
+    expect(view.downsampleMethod).toBe(DEFAULT_VIEW.downsampleMethod);
+    expect(view.histogramBins).toBe(DEFAULT_VIEW.histogramBins);
+    expect(view.span).toBe(DEFAULT_VIEW.span);
+    expect(view.aggregation).toEqual({ enabled: false, groupBy: null, bucket: "day", aggregates: { c: "sum" } });
+    expect(view.seriesStyles).toEqual({ a: { name: "A" } });
+    expect(view.rowFilter).toEqual({ combine: "and", conditions: [{ id: 1, column: "a", operator: "equals", value: "1", value2: "" }] });
+    expect(view.timeSeries).toEqual(DEFAULT_VIEW.timeSeries);
+    expect(view.columnFormats.a).toMatchObject({ style: "auto", decimals: 2 });
+    expect(dashboardColumns).toBe(4);
+    expect(locale).toBe("");
+  });
+});
+
+describe("links", () => {
+  test("encode and decode a spec", () => {
+    const original = readViewSpec(spec({ title: "Ünïcode ✓" }));
+    expect(decodeViewSpec(encodeViewSpec(original))).toEqual(original);
+    expect(() => decodeViewSpec("%%%")).toThrow("damaged");
+  });
+});
+
+describe("resolveSpecViews", () => {
+  test("takes out columns the data lacks and names them", () => {
+    const { views: [view] } = readViewSpec(spec({
+      xColumn: "gone",
+      selectedColumns: ["a", "b"],
+      seriesStyles: { a: { name: "A" }, b: { name: "B" } },
+    }));
+    const resolved = resolveSpecViews({ views: [view] }, ["a"]);
+    expect(resolved.missing.sort()).toEqual(["b", "gone"]);
+    expect(resolved.views[0].xColumn).toBe(ROW_INDEX_KEY);
+    expect(resolved.views[0].selectedColumns).toEqual(["a"]);
+    expect(resolved.views[0].seriesStyles).toEqual({ a: { name: "A" } });
+  });
+});
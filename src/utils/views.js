@@ -0,0 +1,123 @@
+import { renameColumn } from "./datasets";
+import { EMPTY_FILTER } from "./filters";
+import { COMPUTED_SOURCE } from "./formula";
+import { renameKeys } from "./seriesStyle";
+
+// Chart views: everything one chart panel shows of the shared data. The single-chart layout shows
+// the first view; the dashboard shows them all.
+
+// Synthetic key holding each row's position, used when plotting against row index
+export const ROW_INDEX_KEY = "__rowIndex";
+
+export const CHART_TYPES = {
+  line: "Line Chart",
+  bar: "Bar Chart",
+  area: "Area Chart",
+  scatter: "Scatter Chart",
+  composed: "Composed Chart",
+  pie: "Pie Chart",
+  histogram: "Histogram",
+  box: "Box Plot",
+  ecdf: "Cumulative Distribution (ECDF)",
+};
+
+export const X_AXIS_STRATEGIES = {
+  auto: "Auto Spacing",
+  sparse: "Sparse Labels",
+  none: "No Labels",
+};
+
+// Widest a panel can span in the dashboard grid, and the most grid columns there are
+export const MAX_SPAN = 4;
+
+export const DEFAULT_VIEW = {
+  title: "",
+  chartType: "line",
+  // X column as chosen; charts fall back to row index while it doesn't exist
+  xColumn: ROW_INDEX_KEY,
+  selectedColumns: [],
+  rowFilter: EMPTY_FILTER,
+  // Group-by mode: one row per group with an aggregate per column (by column name)
+  aggregation: { enabled: false, groupBy: null, bucket: "day", aggregates: {} },
+  // Style overrides per series (by column name) and settings of the shared left and right Y axes
+  seriesStyles: {},
+  sharedAxes: {},
+  palette: "classic",
+  stackOffset: "none", // none, expand
+  xAxisStrategy: "auto",
+  downsampleMethod: "lttb", // lttb, minmax, none
+  // Histogram bin rule (fd, sturges) or bin count, and the column splitting box plots into groups
+  histogramBins: "fd",
+  boxGroupBy: null,
+  // Reference lines, shaded ranges and notes drawn on the chart, with the series whose Y axis they
+  // use by column name
+  annotations: [],
+  // Time-series tools for a date X column: resampling interval and aggregate, how missing values
+  // are filled, whether gaps longer than `gapFactor` median intervals are shaded, and whether
+  // times show in local time or UTC
+  timeSeries: { resample: "none", aggregate: "mean", fill: "none", showGaps: false, gapFactor: 3, timeZone: "local" },
+  // Number formats and date patterns of columns shown on the chart (by column name)
+  columnFormats: {},
+  // Dashboard grid columns the panel spans
+  span: 1,
+  // Committed zoom window in rows, kept so it can be saved and restored
+  zoom: null,
+};
+
+export const createView = (id, fields = {}) => ({ ...DEFAULT_VIEW, ...fields, id });
+
+// Keep a view's X column, series, filters, aggregates and styles pointing at the same dataset
+// columns when the combined columns change from `previous` to `next`: datasets added, removed,
+// renamed or aligned differently change the combined names, and computed columns can be renamed.
+export const remapView = (view, previous, next) => {
+  const from = previous.sources;
+  const to = next.sources;
+  const names = Object.keys(to);
+  // A computed column whose formula broke with this change keeps its name, since the formulas
+  // are rewritten along with the views and it comes back on the next render
+  const carry = (name) => (
+    renameColumn(name, from, to) || (from[name] && from[name].datasetId === COMPUTED_SOURCE ? name : null)
+  );
+
+  let { xColumn, selectedColumns } = view;
+  if (!Object.keys(from).length) {
+    // First dataset: use the first column as X and select the second one if it exists
+    xColumn = names[0] || ROW_INDEX_KEY;
+    selectedColumns = names.length > 1 ? [names[1]] : [];
+  } else {
+    xColumn = xColumn === ROW_INDEX_KEY ? xColumn : carry(xColumn) || ROW_INDEX_KEY;
+    const kept = selectedColumns.map(carry).filter(name => name && !(to[name] && to[name].datasetId === null));
+    // A dataset that was just added gets the columns already selected in the others, or its
+    // second column (its first one besides the join key)
+    const isJoin = names.some(name => to[name].datasetId === null);
+    const selectedNames = new Set(selectedColumns.map(name => from[name] && from[name].column));
+    const addedIds = next.datasetIds.filter(id => !previous.datasetIds.includes(id));
+    addedIds.forEach(id => {
+      const own = names.filter(name => to[name].datasetId === id);
+      const matching = own.filter(name => selectedNames.has(to[name].column));
+      kept.push(...(matching.length ? matching : own.slice(isJoin ? 0 : 1).slice(0, 1)));
+    });
+    selectedColumns = [...new Set(kept)];
+  }
+
+  const conditions = view.rowFilter.conditions
+    .map(condition => ({ ...condition, column: carry(condition.column) }))
+    .filter(condition => condition.column);
+  const { aggregation } = view;
+
+  return {
+    ...view,
+    xColumn,
+    selectedColumns,
+    rowFilter: { ...view.rowFilter, conditions },
+    aggregation: {
+      ...aggregation,
+      groupBy: aggregation.groupBy && carry(aggregation.groupBy),
+      aggregates: renameKeys(aggregation.aggregates, carry),
+    },
+    seriesStyles: renameKeys(view.seriesStyles, carry),
+    columnFormats: renameKeys(view.columnFormats, carry),
+    boxGroupBy: view.boxGroupBy && carry(view.boxGroupBy),
+    annotations: view.annotations.map(annotation => ({ ...annotation, column: annotation.column && carry(annotation.column) })),
+  };
+};
@@ -0,0 +1,226 @@
+import { buildColumn } from "./schema";
+
+// Local workspace in IndexedDB: parsed datasets, kept column by column and gzip-compressed, with
+// the view spec they were last shown with, so they survive a reload and reopen without parsing.
+// The file each was read from is kept too, compressed the same way, to read it again with other
+// types. Nothing leaves the browser.
+
+const DB_NAME = "csv-plotter";
+const DB_VERSION = 1;
+// Name, size, row count, dates and view spec of each saved dataset, by key
+const META_STORE = "datasets";
+// Packed columns, source file and import options of each dataset, by the same key, kept apart so
+// listing doesn't read them
+const DATA_STORE = "datasetData";
+// Keys of the datasets open in the last session and its view spec
+const SESSION_STORE = "session";
+const SESSION_KEY = "current";
+
+const PACK_VERSION = 2;
+
+export const isWorkspaceAvailable = () => typeof indexedDB !== "undefined";
+
+export const newStoreKey = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let databasePromise = null;
+const openDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(META_STORE, { keyPath: "key" });
+      db.createObjectStore(DATA_STORE);
+      db.createObjectStore(SESSION_STORE);
+    };
+    databasePromise = requestResult(request);
+    // A failed open is tried again next time
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+  return databasePromise;
+};
+
+// Run `work` with the named stores of one transaction, resolving with its result once the
+// transaction has committed. Only IndexedDB requests may be awaited inside it.
+const withStores = async (names, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(names, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Saving to the workspace was cancelled"));
+    Promise.resolve(work(...names.map(name => transaction.objectStore(name))))
+      .then(value => { result = value; })
+      .catch(err => {
+        reject(err);
+        transaction.abort();
+      });
+  });
+};
+
+// Merge `patch` into the record under `key`, creating it when there is none
+const patchRecord = (store, key, patch) => requestResult(store.get(key))
+  .then(existing => requestResult(store.put({ ...existing, ...patch, key })));
+
+// Padding that brings `length` bytes to a multiple of 8, so typed values after it can be read in place
+const align = (length) => Math.ceil(length / 8) * 8;
+
+const compress = async (blob) => {
+  if (typeof CompressionStream === "undefined") return { blob, compressed: false };
+  const stream = blob.stream().pipeThrough(new CompressionStream("gzip"));
+  return { blob: await new Response(stream).blob(), compressed: true };
+};
+
+const decompress = ({ blob, compressed }) => (
+  compressed ? new Response(blob.stream().pipeThrough(new DecompressionStream("gzip"))).arrayBuffer() : blob.arrayBuffer()
+);
+
+// A dataset's columns as one Blob: the length of a JSON header, the header with the kept raw text
+// of every column and the schema the values were read with, then the values of the number and
+// date columns as 8-byte floats, so they needn't be parsed again. Their text is mostly holes, so
+// only the cells that have it are written, as [row, text] pairs.
+const packDataset = (dataset) => {
+  const typed = dataset.headers.filter(col => dataset.columns[col] instanceof Float64Array);
+  const rawColumns = { ...dataset.rawColumns };
+  typed.forEach(col => {
+    const cells = [];
+    dataset.rawColumns[col].forEach((text, i) => cells.push([i, text]));
+    rawColumns[col] = cells;
+  });
+  const header = new TextEncoder().encode(JSON.stringify({
+    version: PACK_VERSION,
+    headers: dataset.headers,
+    rowCount: dataset.rowCount,
+    rawColumns,
+    inferredSchema: dataset.inferredSchema,
+    schemaOverrides: dataset.schemaOverrides,
+    typed,
+  }));
+  const start = align(4 + header.length);
+  return compress(new Blob([
+    Uint32Array.of(header.length),
+    header,
+    new Uint8Array(start - 4 - header.length),
+    ...typed.map(col => dataset.columns[col]),
+  ]));
+};
+
+// Columns, text and schema of a packed dataset
+const unpackDataset = (buffer) => {
+  const length = new Uint32Array(buffer, 0, 1)[0];
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, length)));
+  if (header.version !== PACK_VERSION) throw new Error("It was saved by another version of CSV Plotter");
+  const { headers, rowCount, inferredSchema, schemaOverrides } = header;
+  const dataset = { headers, rowCount, rawColumns: { ...header.rawColumns }, inferredSchema, schemaOverrides, columns: {} };
+  let offset = align(4 + length);
+  header.typed.forEach(col => {
+    dataset.columns[col] = new Float64Array(buffer, offset, rowCount);
+    offset += rowCount * 8;
+    const text = [];
+    text.length = rowCount;
+    header.rawColumns[col].forEach(([i, cell]) => { text[i] = cell; });
+    dataset.rawColumns[col] = text;
+  });
+  const schema = { ...inferredSchema, ...schemaOverrides };
+  headers.forEach(col => {
+    if (!header.typed.includes(col)) dataset.columns[col] = buildColumn(dataset.rawColumns[col], schema[col]);
+  });
+  return dataset;
+};
+
+// The file a dataset was read from, compressed, with what it takes to make it a File again
+const packFile = async (file) => ({
+  ...(await compress(file)),
+  name: file.name,
+  type: file.type,
+  lastModified: file.lastModified,
+});
+
+const unpackFile = async (packed) => new File([await decompress(packed)], packed.name, {
+  type: packed.type,
+  lastModified: packed.lastModified,
+});
+
+// Saved datasets without their data, most recently opened first
+export const listStoredDatasets = () => withStores([META_STORE], "readonly", (meta) => requestResult(meta.getAll()))
+  .then(records => records.sort((a, b) => (b.openedAt || 0) - (a.openedAt || 0)));
+
+// Save a dataset's columns and file under its store key with its details, and `spec` as the charts
+// to open it with when given
+export const storeDataset = async (dataset, spec = null) => {
+  const [packed, file] = await Promise.all([packDataset(dataset), packFile(dataset.file)]);
+  const now = Date.now();
+  await withStores([META_STORE, DATA_STORE], "readwrite", (meta, data) => Promise.all([
+    requestResult(data.put({ ...packed, file, options: dataset.options }, dataset.storeKey)),
+    patchRecord(meta, dataset.storeKey, {
+      ...datasetDetails(dataset),
+      ...(spec && { spec }),
+      size: packed.blob.size + file.blob.size,
+      savedAt: now,
+      openedAt: now,
+    }),
+  ]));
+};
+
+// What the list shows of a dataset and what's kept alongside its columns
+const datasetDetails = (dataset) => ({
+  name: dataset.name,
+  fileName: dataset.fileName,
+  url: dataset.url || null,
+  rowCount: dataset.rowCount,
+  columnCount: dataset.headers.length,
+});
+
+// Save the open datasets' names, and remember them with `spec` as the session to restore on the
+// next visit. A dataset open on its own also keeps `spec` as its charts; views of several datasets
+// name their columns after each, so they wouldn't fit one alone. Columns are saved by storeDataset.
+export const storeSession = (datasets, spec) => withStores([META_STORE, SESSION_STORE], "readwrite", (meta, session) => (
+  Promise.all([
+    ...datasets.map(dataset => patchRecord(meta, dataset.storeKey, {
+      ...datasetDetails(dataset),
+      ...(datasets.length === 1 && { spec }),
+    })),
+    requestResult(session.put({ keys: datasets.map(dataset => dataset.storeKey), spec }, SESSION_KEY)),
+  ])
+));
+
+export const loadSession = () => withStores([SESSION_STORE], "readonly", (session) => requestResult(session.get(SESSION_KEY)));
+
+// A saved dataset, ready to be added to the loaded ones, and the spec it was last shown with. It
+// reloads from the saved copy of its file, or from its URL if it came from one.
+export const loadStoredDataset = async (key) => {
+  const { record, packed } = await withStores([META_STORE, DATA_STORE], "readwrite", async (meta, data) => {
+    const [saved, savedData] = await Promise.all([requestResult(meta.get(key)), requestResult(data.get(key))]);
+    if (saved) await requestResult(meta.put({ ...saved, openedAt: Date.now() }));
+    return { record: saved, packed: savedData };
+  });
+  if (!record || !packed) throw new Error("It is no longer in the workspace");
+  const [dataset, file] = await Promise.all([decompress(packed).then(unpackDataset), unpackFile(packed.file)]);
+  return {
+    dataset: {
+      ...dataset,
+      name: record.name,
+      fileName: record.fileName,
+      url: record.url,
+      file,
+      options: packed.options,
+      storeKey: key,
+    },
+    spec: record.spec || null,
+  };
+};
+
+export const deleteStoredDataset = (key) => withStores([META_STORE, DATA_STORE], "readwrite", (meta, data) => Promise.all([
+  requestResult(meta.delete(key)),
+  requestResult(data.delete(key)),
+]));
+
+// Bytes used and available to this site, or null where the browser doesn't say
+export const storageEstimate = () => (
+  navigator.storage && navigator.storage.estimate ? navigator.storage.estimate() : Promise.resolve(null)
+);
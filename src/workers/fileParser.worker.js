@@ -0,0 +1,21 @@
+/* eslint-disable no-restricted-globals */
+import { importFile } from "../utils/importers";
+
+// Parses the posted file with its import options off the main thread, reporting progress as it goes.
+// Typed column buffers are transferred rather than copied. Text columns are left out, since they
+// are their raw text again and parseDataFile rebuilds them from it, so no cell string is sent twice.
+self.onmessage = (e) => {
+  const { file, options } = e.data;
+  importFile(file, options, {
+    onProgress: (progress) => self.postMessage({ type: "progress", ...progress }),
+    onComplete: (result) => {
+      const columns = {};
+      Object.entries(result.columns).forEach(([col, column]) => {
+        if (ArrayBuffer.isView(column)) columns[col] = column;
+      });
+      const buffers = Object.values(columns).map(column => column.buffer);
+      self.postMessage({ type: "complete", result: { ...result, columns } }, buffers);
+    },
+    onError: (err) => self.postMessage({ type: "error", message: err.message || String(err) }),
+  });
+};